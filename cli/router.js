@@ -0,0 +1,218 @@
+"use strict";
+
+// Shared by the command line tools: options, login and the status snapshot.
+// The ubus core keeps one session per process, so there is one
+// RouterSession per process as well.
+
+const fs = require("fs");
+
+const core = require("../ng/zte-script-ng.js");
+
+const ROUTER_OPTIONS = {
+  host: process.env.ZTE_HOST || "192.168.0.1",
+  password: process.env.ZTE_PASSWORD || "",
+  passwordHash: process.env.ZTE_PASSWORD_HASH || "",
+  insecure: false
+};
+
+class UsageError extends Error {}
+
+// prints the comment block at the top of file
+function printHelp(file) {
+  const lines = fs.readFileSync(file, "utf8").split("\n");
+  const start = lines.findIndex(l => l.startsWith("//"));
+  const end = lines.findIndex((l, i) => i > start && !l.startsWith("//"));
+  console.log(lines.slice(start, end).join("\n").replace(/^\/\/ ?/gm, ""));
+}
+
+// --name value / --flag, names in kebab-case; everything else is returned in args
+function parseArgs(argv, defaults, helpFile) {
+  const options = { ...defaults };
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      printHelp(helpFile);
+      process.exit(0);
+    }
+    if (!arg.startsWith("--")) {
+      args.push(arg);
+      continue;
+    }
+    const name = arg.replace(/^--/, "").replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    if (!(name in defaults)) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+    if (typeof defaults[name] === "boolean") {
+      options[name] = true;
+    } else {
+      const value = argv[++i];
+      options[name] = typeof defaults[name] === "number" ? Number(value) : value;
+      if (value === undefined || Number.isNaN(options[name])) {
+        throw new UsageError(`Invalid value for ${arg}`);
+      }
+    }
+  }
+  return { options, args };
+}
+
+function routerUrl(host) {
+  return /^https?:\/\//.test(host) ? host : `http://${host}`;
+}
+
+function isDenied(res) {
+  return Array.isArray(res) ? res.some(r => r?.accessDenied) : !!res?.accessDenied;
+}
+
+function isSuccess(res) {
+  return Array.isArray(res) ? res.every(r => r?.success) : !!res?.success;
+}
+
+class RouterSession {
+  constructor({ host, password, passwordHash, insecure }) {
+    if (!password && !passwordHash) {
+      throw new UsageError("No password, use --password or ZTE_PASSWORD");
+    }
+    if (insecure) {
+      process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
+    }
+    this.password = password;
+    this.passwordHash = passwordHash ? passwordHash.toUpperCase() : null;
+    this.loggedIn = false;
+    // access denied answers are retried and end in a new login, runOrFail()
+    // reports them if that doesn't help; a cron job would mail every retry otherwise
+    core.configureUbus({
+      baseUrl: routerUrl(host),
+      errorLog: (msg, { accessDenied }) => {
+        if (!accessDenied) console.error(`[ubus error]: ${msg}`);
+      }
+    });
+  }
+
+  async login() {
+    this.loggedIn = false;
+    this.passwordHash = this.passwordHash || await core.sha256Hex(this.password);
+    if (!(await core.login("web_login", this.passwordHash))) {
+      throw new Error("Login failed");
+    }
+    this.loggedIn = true;
+  }
+
+  // Runs fn (a callUbus call) with the panel's retries. Logs in first, and
+  // again when the access denied answers outlast the retries (session expired,
+  // router rebooted).
+  async run(fn, maxAttempts = 5) {
+    if (!this.loggedIn) {
+      await this.login();
+    }
+    let { res } = await core.runWithRetry(fn, maxAttempts);
+    if (isDenied(res)) {
+      await this.login();
+      ({ res } = await core.runWithRetry(fn, maxAttempts));
+    }
+    return res;
+  }
+
+  // like run(), but throws unless every call succeeded
+  async runOrFail(fn, what) {
+    const res = await this.run(fn);
+    if (!isSuccess(res)) {
+      throw new Error(`${what} failed${isDenied(res) ? " (access denied)" : ""}`);
+    }
+    return res;
+  }
+
+  async logout() {
+    if (!this.loggedIn) return;
+    this.loggedIn = false;
+    await core.callUbus({ service: "zwrt_web", method: "web_logout" }, null, true).catch(() => {});
+  }
+}
+
+function describeLocks(netInfo) {
+  return {
+    lteBands: netInfo.lte_band_lock ? core.lteBandsFromMask(netInfo.lte_band_lock) : [],
+    // numbers like lteBands, the lock itself is a "78,28" string
+    nrBands: netInfo.nr5g_sa_band_lock
+      ? netInfo.nr5g_sa_band_lock.split(",").map(b => parseInt(b, 10)).filter(b => !isNaN(b))
+      : [],
+    lteCell: core.parseCellLock(netInfo.lock_lte_cell, false),
+    nrCell: core.parseCellLock(netInfo.lock_nr_cell, true)
+  };
+}
+
+// 1+3+20, 78,28 or "all"; only bands the script supports are accepted
+function parseBandList(str, supported) {
+  if (str === "all") return supported.map(String);
+  const bands = String(str || "").split(/[+,]/).map(b => b.trim().replace(/^[bBnN]/, "")).filter(Boolean);
+  const allowed = supported.map(String);
+  if (bands.length === 0 || bands.some(b => !allowed.includes(b))) {
+    throw new UsageError(`Invalid band list "${str}", supported bands: ${allowed.join(",")}`);
+  }
+  return [...new Set(bands)];
+}
+
+// PCI,EARFCN or PCI,ARFCN,BAND, in the shape of parseCellLock()
+function parseCellArg(str, withBand) {
+  const parts = String(str || "").split(",").map(p => p.trim().replace(/^[nN]/, ""));
+  if (parts.length !== (withBand ? 3 : 2) || !parts.every(p => /^\d+$/.test(p))) {
+    throw new UsageError(`Invalid cell "${str ?? ""}", expected ${withBand ? "PCI,ARFCN,BAND" : "PCI,EARFCN"}`);
+  }
+  const lock = { pci: parts[0], earfcn: parts[1] };
+  if (withBand) lock.band = parts[2];
+  return lock;
+}
+
+// get_wwandst values as numbers, e.g. real_rx_bytes, month_tx_packets
+function parseWanStat(wanStat) {
+  const traffic = {};
+  Object.entries(wanStat || {}).forEach(([k, v]) => {
+    const n = Number(v);
+    if (v !== "" && Number.isFinite(n)) traffic[k] = n;
+  });
+  return traffic;
+}
+
+// one poll of the panel's device info calls, parsed like the panel does
+async function readStatus(session) {
+  const [netRes, tempRes, devRes, wanRes, statRes] =
+    await session.runOrFail(() => core.callUbus(core.DEVICE_INFO_CALLS), "Reading the status");
+  const netInfo = netRes.data;
+  const wanInfo = wanRes.data || {};
+  const signal = core.Signal.parse(netInfo);
+
+  return {
+    networkType: netInfo.network_type || null,
+    provider: netInfo.network_provider_fullname || null,
+    bearer: netInfo.net_select || null,
+    bands: core.getConnectedBands(netInfo, signal),
+    locks: describeLocks(netInfo),
+    lte: core.is4gBasedNetworkType(netInfo.network_type) ? signal.lteSignal : [],
+    nr: core.is5gBasedNetworkType(netInfo.network_type) ? signal.nrSignal : [],
+    wan: {
+      status: wanInfo.mwan_wanlan1_status || null,
+      ipv4: wanInfo.mwan_wanlan1_wan_ipaddr || null,
+      ipv6: wanInfo.mwan_wanlan1_ipv6_wan_ipaddr || null
+    },
+    traffic: parseWanStat(statRes.data),
+    device: core.parseDeviceInfo(tempRes.data, devRes.data),
+    version: {
+      hardware: devRes.data?.hardware_version || null,
+      software: devRes.data?.software_version || null
+    }
+  };
+}
+
+module.exports = {
+  core,
+  ROUTER_OPTIONS,
+  UsageError,
+  printHelp,
+  parseArgs,
+  routerUrl,
+  RouterSession,
+  describeLocks,
+  parseBandList,
+  parseCellArg,
+  readStatus
+};
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+"use strict";
+
+// Command line interface for the NG routers (G5TC and later), for cron jobs
+// and shell scripts. Uses the ubus core of ng/zte-script-ng.js, Node.js 18 or
+// later, no dependencies:
+//
+//   node cli/zte-cli.js [options] <command>
+//
+//   status                         network, cells, locks, WAN and traffic
+//   bands                          current band locks
+//   bands set-4g 1+3+20 | all      LTE band lock
+//   bands set-5g 78,28 | all       NR band lock
+//   bearer Only_5G                 Only_5G, LTE_AND_5G, WL_AND_5G or Only_LTE
+//   cell-lock 4g PCI,EARFCN | off
+//   cell-lock 5g PCI,ARFCN,BAND | off
+//   wifi txpower 80,100            percent for 2.4 GHz and 5 GHz, one value sets both
+//
+//   --host 192.168.0.1             router address (or $ZTE_HOST), http:// is the default scheme
+//   --password <password>          (or $ZTE_PASSWORD)
+//   --password-hash <sha256>       SHA256 of the password instead (or $ZTE_PASSWORD_HASH)
+//   --json                         JSON output instead of tables
+//   --insecure                     accept self-signed HTTPS certificates
+//
+// Exit code 0 on success, 1 if the router or the login failed, 2 on usage errors.
+
+const path = require("path");
+
+const {
+  core, ROUTER_OPTIONS, UsageError, parseArgs, RouterSession, describeLocks, readStatus,
+  parseBandList, parseCellArg
+} = require("./router");
+
+const DEFAULT_OPTIONS = {
+  ...ROUTER_OPTIONS,
+  json: false
+};
+
+// --- output ---
+
+function formatTable(headers, rows) {
+  const cells = rows.map(r => r.map(v => (v === null || v === undefined || Number.isNaN(v) ? "-" : String(v))));
+  const widths = headers.map((h, i) => Math.max(h.length, ...cells.map(r => r[i].length)));
+  return [headers, ...cells]
+    .map(r => r.map((v, i) => v.padEnd(widths[i])).join("  ").trimEnd())
+    .join("\n");
+}
+
+function formatPairs(pairs) {
+  const width = Math.max(...pairs.map(([k]) => k.length));
+  return pairs.map(([k, v]) => `${k.padEnd(width)}  ${v ?? "-"}`).join("\n");
+}
+
+function fmtMbit(bytesPerSecond) {
+  const n = Number(bytesPerSecond);
+  return Number.isFinite(n) ? `${(n * 8 / 1e6).toFixed(1)} Mbit/s` : "-";
+}
+
+function formatLocks(locks) {
+  return [
+    ["4G bands", locks.lteBands.length > 0 ? locks.lteBands.join("+") : "auto"],
+    ["5G bands", locks.nrBands.length > 0 ? locks.nrBands.join(",") : "auto"],
+    ["4G cell", locks.lteCell ? `${locks.lteCell.pci},${locks.lteCell.earfcn}` : "none"],
+    ["5G cell", locks.nrCell ? `${locks.nrCell.pci},${locks.nrCell.earfcn},${locks.nrCell.band}` : "none"]
+  ];
+}
+
+// --- commands ---
+
+async function cmdStatus(args, options, session) {
+  const status = await readStatus(session);
+
+  if (options.json) {
+    return status;
+  }
+
+  const carriers = [
+    ...status.lte.map(c => ["4G", c.band ? `B${c.band}` : null, c.pci, c.earfcn, c.dlFreqMhz, c.bandwidth, c.rsrp, c.rsrq, c.sinr]),
+    ...status.nr.map(c => ["5G", c.band ? `n${c.band}` : null, c.pci, c.arfcn, c.dlFreqMhz, c.bandwidth, c.rsrp, c.rsrq, c.sinr])
+  ];
+
+  return [
+    formatPairs([
+      ["Network", status.networkType ? `${status.networkType} (${status.provider || "-"})` : "-"],
+      ["Bearer", status.bearer],
+      ["WAN", [status.wan.status, status.wan.ipv4, status.wan.ipv6].filter(Boolean).join(", ") || "-"],
+      ["Speed", `DL ${fmtMbit(status.traffic.real_rx_speed)}, UL ${fmtMbit(status.traffic.real_tx_speed)}`],
+      ["CPU temp", status.device.cpuTemp !== null ? `${status.device.cpuTemp} °C` : "-"],
+      ...formatLocks(status.locks)
+    ]),
+    carriers.length > 0
+      ? formatTable(["RAT", "Band", "PCI", "Channel", "DL MHz", "BW", "RSRP", "RSRQ", "SINR"], carriers)
+      : "No serving cell."
+  ].join("\n\n");
+}
+
+async function cmdBands(args, options, session) {
+  const [sub, list] = args;
+
+  if (sub === "set-4g") {
+    const bands = parseBandList(list, core.SUPPORTED_4G_BANDS);
+    await session.runOrFail(() => core.set4gBandLock(core.buildLteMask(bands)), "Setting the 4G band lock");
+  } else if (sub === "set-5g") {
+    const bands = parseBandList(list, core.FULL_5G_BANDS);
+    await session.runOrFail(() => core.set5gBandLock(bands), "Setting the 5G band lock");
+  } else if (sub !== undefined) {
+    throw new UsageError(`Unknown bands command: ${sub}`);
+  }
+
+  const [netRes] = await session.runOrFail(
+    () => core.callUbus([{ service: "zte_nwinfo_api", method: "nwinfo_get_netinfo" }]),
+    "Reading the network info"
+  );
+  const locks = describeLocks(netRes.data);
+  if (options.json) {
+    return { lteBands: locks.lteBands, nrBands: locks.nrBands };
+  }
+  return formatPairs(formatLocks(locks).slice(0, 2));
+}
+
+async function cmdBearer(args, options, session) {
+  const [mode] = args;
+  if (!core.BEARER_MODES.includes(mode)) {
+    throw new UsageError(`Invalid bearer "${mode ?? ""}", one of: ${core.BEARER_MODES.join(", ")}`);
+  }
+  await session.runOrFail(() => core.setBearer(mode), "Setting the bearer");
+  return options.json ? { bearer: mode } : `Bearer set to ${mode}.`;
+}
+
+async function cmdCellLock(args, options, session) {
+  const [rat, value] = args;
+  if (rat !== "4g" && rat !== "5g") {
+    throw new UsageError("Usage: cell-lock 4g PCI,EARFCN | cell-lock 5g PCI,ARFCN,BAND | cell-lock <4g|5g> off");
+  }
+
+  if (value === "off") {
+    await session.runOrFail(rat === "4g" ? core.unlock4gCell : core.unlock5gCell, `Removing the ${rat.toUpperCase()} cell lock`);
+    return options.json ? { rat, lock: null } : `${rat.toUpperCase()} cell lock removed.`;
+  }
+
+  const lock = parseCellArg(value, rat === "5g");
+  if (rat === "4g") {
+    await session.runOrFail(() => core.lock4gCell(lock.pci, lock.earfcn), "Locking the 4G cell");
+  } else {
+    await session.runOrFail(() => core.lock5gCell(lock.pci, lock.earfcn, lock.band), "Locking the 5G cell");
+  }
+
+  return options.json ? { rat, lock } : `${rat.toUpperCase()} cell locked to ${Object.values(lock).join(",")}.`;
+}
+
+async function cmdWifi(args, options, session) {
+  const [sub, value] = args;
+  if (sub !== "txpower") {
+    throw new UsageError("Usage: wifi txpower <2.4 GHz>[,<5 GHz>]");
+  }
+
+  const parts = String(value || "").split(",").map(p => p.trim());
+  const [val24, val5 = val24] = parts;
+  if (parts.length > 2 || !core.isValidTxPowerPercent(val24) || !core.isValidTxPowerPercent(val5)) {
+    throw new UsageError(`Invalid tx power "${value ?? ""}", expected 1-100 percent, e.g. 80,100`);
+  }
+
+  await session.runOrFail(() => core.callUbus(core.setWifiParamCall("txpowerpercent", val24, val5)), "Setting the WiFi tx power");
+  return options.json
+    ? { txpowerpercent: { "2.4GHz": Number(val24), "5GHz": Number(val5) } }
+    : `WiFi tx power set to ${val24}% (2.4 GHz) and ${val5}% (5 GHz).`;
+}
+
+const COMMANDS = {
+  "status": cmdStatus,
+  "bands": cmdBands,
+  "bearer": cmdBearer,
+  "cell-lock": cmdCellLock,
+  "wifi": cmdWifi
+};
+
+async function main(argv) {
+  const { options, args } = parseArgs(argv, DEFAULT_OPTIONS, __filename);
+  const [name, ...rest] = args;
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new UsageError(name ? `Unknown command: ${name}` : `Missing command, see ${path.basename(__filename)} --help`);
+  }
+
+  const session = new RouterSession(options);
+  try {
+    const result = await command(rest, options, session);
+    console.log(options.json ? JSON.stringify(result, null, 2) : result);
+  } finally {
+    // a new session per run, don't leave them behind
+    await session.logout();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(e => {
+    console.error(e.message);
+    process.exitCode = e instanceof UsageError ? 2 : 1;
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+"use strict";
+
+// Prometheus exporter for the NG routers (G5TC and later). Every scrape of
+// /metrics polls the router once, with the same calls and parsing as the
+// panel. The login is renewed automatically, so it can run unattended:
+//
+//   node cli/zte-exporter.js [options]
+//
+//   --listen 0.0.0.0 --port 9870   address of the /metrics endpoint
+//   --host 192.168.0.1             router address (or $ZTE_HOST), http:// is the default scheme
+//   --password <password>          (or $ZTE_PASSWORD)
+//   --password-hash <sha256>       SHA256 of the password instead (or $ZTE_PASSWORD_HASH)
+//   --insecure                     accept self-signed HTTPS certificates
+//
+// zte_up is 0 when the router could not be read, the other metrics are left
+// out of that scrape.
+
+const http = require("http");
+
+const { ROUTER_OPTIONS, UsageError, parseArgs, RouterSession, readStatus } = require("./router");
+
+const DEFAULT_OPTIONS = {
+  ...ROUTER_OPTIONS,
+  listen: "0.0.0.0",
+  port: 9870
+};
+
+const WAN_PERIODS = ["real", "month", "total"]; // since connect, this month, since reset
+
+// Prometheus text format: samples are grouped per metric, each group with
+// its # HELP and # TYPE line
+class MetricWriter {
+  constructor() {
+    this.metrics = new Map(); // name -> { help, type, samples }
+  }
+
+  add(name, help, value, labels = {}, type = "gauge") {
+    if (value === null || value === undefined || !Number.isFinite(Number(value))) return;
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, { help, type, samples: [] });
+    }
+    const labelStr = Object.entries(labels)
+      .map(([k, v]) => `${k}="${String(v ?? "").replace(/[\\"]/g, c => "\\" + c).replace(/\n/g, "\\n")}"`)
+      .join(",");
+    this.metrics.get(name).samples.push(`${name}${labelStr ? `{${labelStr}}` : ""} ${Number(value)}`);
+  }
+
+  toString() {
+    const lines = [];
+    this.metrics.forEach(({ help, type, samples }, name) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples);
+    });
+    return lines.join("\n") + "\n";
+  }
+}
+
+// the first cell of each RAT is the primary (PCell, or PSCell for NR in ENDC)
+function addCarrierMetrics(m, rat, cells) {
+  cells.forEach((cell, idx) => {
+    const labels = {
+      rat,
+      band: cell.band ? `${rat === "nr" ? "n" : "B"}${cell.band}` : "",
+      pci: cell.pci,
+      channel: rat === "nr" ? cell.arfcn : cell.earfcn,
+      role: idx === 0 ? "primary" : "secondary"
+    };
+    m.add("zte_signal_rsrp_dbm", "Reference signal received power per carrier.", cell.rsrp, labels);
+    m.add("zte_signal_rsrq_db", "Reference signal received quality per carrier.", cell.rsrq, labels);
+    m.add("zte_signal_sinr_db", "Signal to interference plus noise ratio per carrier.", cell.sinr, labels);
+    m.add("zte_signal_rssi_dbm", "Received signal strength per carrier.", cell.rssi, labels);
+    m.add("zte_carrier_bandwidth_mhz", "Carrier bandwidth.", cell.bandwidth, labels);
+  });
+}
+
+function buildMetrics(status, scrapeSeconds) {
+  const m = new MetricWriter();
+
+  m.add("zte_up", "Whether the router could be read.", 1);
+  m.add("zte_network_info", "Network type, provider and bearer of the connection.", 1, {
+    network_type: status.networkType || "",
+    provider: status.provider || "",
+    bearer: status.bearer || ""
+  });
+  m.add("zte_wan_connected", "Whether the WAN connection is up.", status.wan.status === "connected" ? 1 : 0);
+
+  addCarrierMetrics(m, "lte", status.lte);
+  addCarrierMetrics(m, "nr", status.nr);
+
+  const { device, traffic } = status;
+  m.add("zte_cpu_temperature_celsius", "CPU temperature.", device.cpuTemp);
+  device.cores.forEach(c => {
+    m.add("zte_cpu_load_percent", "CPU load per core.", c.load, { core: c.name });
+  });
+  if (device.memory) {
+    m.add("zte_memory_total_bytes", "Total memory.", device.memory.totalKb * 1024);
+    m.add("zte_memory_available_bytes", "Available memory.", device.memory.availableKb * 1024);
+  }
+  m.add("zte_uptime_seconds", "Router uptime.", device.uptime);
+
+  m.add("zte_wan_speed_bytes_per_second", "Current WAN speed.", traffic.real_rx_speed, { direction: "rx" });
+  m.add("zte_wan_speed_bytes_per_second", "Current WAN speed.", traffic.real_tx_speed, { direction: "tx" });
+  WAN_PERIODS.forEach(period => {
+    ["rx", "tx"].forEach(direction => {
+      const labels = { period, direction };
+      // counters: they only reset (reconnect, new month), rate() handles that
+      m.add("zte_wan_bytes_total", "WAN bytes from get_wwandst (real = since connect).",
+        traffic[`${period}_${direction}_bytes`], labels, "counter");
+      m.add("zte_wan_packets_total", "WAN packets from get_wwandst (real = since connect).",
+        traffic[`${period}_${direction}_packets`], labels, "counter");
+    });
+    m.add("zte_wan_time_seconds", "WAN connection time from get_wwandst.", traffic[`${period}_time`], { period });
+  });
+
+  m.add("zte_scrape_duration_seconds", "Time it took to read the router.", scrapeSeconds);
+  return m.toString();
+}
+
+function createExporter(session, log = console.log) {
+  let pending = null; // parallel scrapes share one poll
+
+  async function scrape() {
+    const start = Date.now();
+    try {
+      const status = await readStatus(session);
+      return buildMetrics(status, (Date.now() - start) / 1000);
+    } catch (e) {
+      log(`scrape failed: ${e.message}`);
+      const m = new MetricWriter();
+      m.add("zte_up", "Whether the router could be read.", 0);
+      return m.toString();
+    }
+  }
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname === "/metrics") {
+      pending = pending || scrape().finally(() => { pending = null; });
+      pending.then(body => {
+        res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+        res.end(body);
+      });
+      return;
+    }
+    if (url.pathname === "/") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(`<html><body><h1>ZTE exporter</h1><a href="/metrics">/metrics</a></body></html>`);
+      return;
+    }
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("Not found");
+  });
+}
+
+if (require.main === module) {
+  let options, session;
+  try {
+    ({ options } = parseArgs(process.argv.slice(2), DEFAULT_OPTIONS, __filename));
+    session = new RouterSession(options);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(e instanceof UsageError ? 2 : 1);
+  }
+
+  createExporter(session).listen(options.port, options.listen, () => {
+    console.log(`Exporter listening on http://${options.listen}:${options.port}/metrics`);
+  });
+
+  const shutdown = () => session.logout().finally(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+module.exports = { createExporter, buildMetrics, MetricWriter };
@@ -24,6 +24,9 @@
 
   // globals
   let currentNetInfo = null;
+  let currentSignal = null;
+  let currentWanInfo = null;
+  let currentWanStat = null;
 
   // --- Logging helpers ---
   function scriptMsg(msg) {
@@ -34,9 +37,44 @@
     console.error(`[script error]: ${msg}`);
   }
 
+  // --- ubus endpoint ---
+  // The page talks to its own origin and keeps the session in sessionStorage
+  // ("ct", shared with the web UI). Outside the page (Node, see cli/) the base
+  // URL is set via configureUbus() and the session is kept in memory.
+  const ubusTarget = {
+    baseUrl: "",
+    session: null,
+    // failed calls: (msg, { code, accessDenied }), code is the JSON-RPC error
+    // code or the ubus status
+    errorLog: scriptErrorMsg
+  };
+
+  function configureUbus({ baseUrl = "", session = null, errorLog = scriptErrorMsg } = {}) {
+    ubusTarget.baseUrl = baseUrl.replace(/\/+$/, "");
+    ubusTarget.session = session;
+    ubusTarget.errorLog = errorLog;
+  }
+
+  function getUbusSession() {
+    return typeof sessionStorage !== "undefined" ? sessionStorage.getItem("ct") : ubusTarget.session;
+  }
+
+  function setUbusSession(sessionId) {
+    if (typeof sessionStorage !== "undefined") {
+      sessionStorage.setItem("ct", sessionId);
+    } else {
+      ubusTarget.session = sessionId;
+    }
+  }
+
+  function ubusUrl() {
+    // double t on purpose. Script marker in network log.
+    return ubusTarget.baseUrl + "/ubus/?t=" + Date.now() + "&t=" + Date.now();
+  }
+
   // --- ubus call helper ---
   async function callUbus(calls, sessionId=null, omitErrorMsg=false) {
-    sessionId = sessionId || sessionStorage.getItem("ct");
+    sessionId = sessionId || getUbusSession();
     const callsArray = Array.isArray(calls) ? calls : [calls];
 
     const req = callsArray.map((c, i) => ({
@@ -46,8 +84,7 @@
       params: [sessionId, c.service, c.method, c.params || {}]
     }));
 
-    // double t on purpose. Script marker in network log.
-    const res = await fetch("/ubus/?t=" + Date.now() + "&t=" + Date.now(), {
+    const res = await fetch(ubusUrl(), {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -62,12 +99,14 @@
       const r = byId.get(rq.id);
 
       if (r?.error) {
+        const accessDenied = r.error.code === -32002;
         if (!omitErrorMsg) {
-          scriptErrorMsg(
-            `ubus call error → id=${rq.id}, code=${r.error.code}, message=${r.error.message}, request=${JSON.stringify(rq)}`
+          ubusTarget.errorLog(
+            `ubus call error → id=${rq.id}, code=${r.error.code}, message=${r.error.message}, request=${JSON.stringify(rq)}`,
+            { code: r.error.code, accessDenied }
           );
         }
-        return { success: false, id: rq.id, data: null, accessDenied: r.error.code === -32002 };
+        return { success: false, id: rq.id, data: null, accessDenied };
       }
 
       const code = r?.result?.[0];
@@ -75,8 +114,9 @@
         return { success: true, id: rq.id, data: r.result[1] };
       } else {
         if (!omitErrorMsg) {
-          scriptErrorMsg(
-            `ubus call failed → id=${rq.id}, code=${code}, request=${JSON.stringify(rq)}`
+          ubusTarget.errorLog(
+            `ubus call failed → id=${rq.id}, code=${code}, request=${JSON.stringify(rq)}`,
+            { code, accessDenied: false }
           );
         }
         return { success: false, id: rq.id, data: null };
@@ -86,6 +126,27 @@
     return Array.isArray(calls) ? results : results[0];
   }
 
+  // fire-and-forget variant that survives page unload (no result)
+  function sendUbusOnUnload(calls) {
+    const sessionId = getUbusSession();
+    const req = calls.map((c, i) => ({
+      jsonrpc: "2.0",
+      id: i,
+      method: "call",
+      params: [sessionId, c.service, c.method, c.params || {}]
+    }));
+
+    fetch(ubusUrl(), {
+      method: "POST",
+      keepalive: true,
+      headers: {
+        "Content-Type": "application/json",
+        "Z-Mode": "1",
+      },
+      body: JSON.stringify(req)
+    }).catch(() => {});
+  }
+
   // --- login ---
   async function getLoginPasswordHash(store = true) {
     const existing = localStorage.getItem("ScriptPasswordHash");
@@ -130,7 +191,7 @@
     const sessionId =
       login_type === "web_login"
         ? "00000000000000000000000000000000"
-        : sessionStorage.getItem("ct");
+        : getUbusSession();
 
     const saltRes = await callUbus(
       {
@@ -161,7 +222,7 @@
     const loginResult = loginRes?.data;
     if (loginResult?.result === 0) {
       if (login_type === "web_login" && loginResult?.ubus_rpc_session) {
-        sessionStorage.setItem("ct", loginResult.ubus_rpc_session);
+        setUbusSession(loginResult.ubus_rpc_session);
       }
       return true;
     }
@@ -177,6 +238,102 @@
     return login("web_developer_option_login", getLoginPasswordHash(false));
   }
 
+  // --- session recovery ---
+  // The ct session ends when it times out, the router reboots or somebody
+  // logs in elsewhere; from then on every call is answered with access denied.
+  // Polling pauses, normal_login() logs in again with the stored hash and
+  // write actions waiting in runWithRetry() continue afterwards.
+  const SESSION_DENIED_POLLS = 3; // polls in a row with every call denied
+  const SESSION_RETRY_DELAYS_MS = [0, 2000, 5000, 10000, 30000];
+
+  const sessionState = {
+    enabled: false,    // set by the panel, the Node tools renew their sessions themselves
+    deniedPolls: 0,
+    recovering: null,  // promise while logging in again
+    onLoginClick: null // set while waiting for the user (no stored hash)
+  };
+
+  function isAllDenied(res) {
+    const list = Array.isArray(res) ? res : [res];
+    return list.length > 0 && list.every(r => r?.accessDenied);
+  }
+
+  // single denied calls are the firmware bug, only a series of fully denied polls counts
+  function noteSessionPoll(res) {
+    if (!isAllDenied(res)) {
+      sessionState.deniedPolls = 0;
+      return;
+    }
+    if (++sessionState.deniedPolls >= SESSION_DENIED_POLLS) {
+      recoverSession();
+    }
+  }
+
+  // resolves with true once logged in again, false if recovery is off
+  function recoverSession() {
+    if (!sessionState.enabled) return Promise.resolve(false);
+    if (sessionState.recovering) return sessionState.recovering;
+
+    sessionState.recovering = (async () => {
+      scriptMsg("Session lost, logging in again...");
+      renderSessionState("reconnecting");
+
+      for (let attempt = 0; ; attempt++) {
+        await sleep(SESSION_RETRY_DELAYS_MS[Math.min(attempt, SESSION_RETRY_DELAYS_MS.length - 1)]);
+        try {
+          // the denials may have been the firmware bug after all
+          if (await check_login()) break;
+
+          // no stored hash: normal_login() would prompt, wait until the user asks for it
+          if (!localStorage.getItem("ScriptPasswordHash")) {
+            renderSessionState("login");
+            await new Promise(resolve => { sessionState.onLoginClick = resolve; });
+            sessionState.onLoginClick = null;
+            renderSessionState("reconnecting");
+          }
+
+          if (await normal_login()) break;
+          scriptErrorMsg("Login failed, wrong password?");
+          clearLoginPasswordHash();
+        } catch (e) {
+          // router not reachable yet (reboot)
+          scriptErrorMsg(`Login failed: ${e.message}`);
+        }
+      }
+
+      scriptMsg("Logged in again.");
+      sessionState.deniedPolls = 0;
+      renderSessionState(null);
+      return true;
+    })().finally(() => {
+      sessionState.recovering = null;
+    });
+
+    return sessionState.recovering;
+  }
+
+  function renderSessionState(mode) {
+    const banner = document.getElementById("session-banner");
+    const panel = document.getElementById("router-info-panel");
+    if (!banner || !panel) return;
+
+    panel.classList.toggle("reconnecting", mode !== null);
+    banner.style.display = mode ? "block" : "none";
+    banner.innerHTML = mode === "login"
+      ? `Session expired, no password stored. <button id="btn-session-login">Log in</button>`
+      : "⟳ Session expired, reconnecting...";
+  }
+
+  function setupSessionRecovery() {
+    const banner = document.getElementById("session-banner");
+    if (!banner) return;
+
+    banner.addEventListener("click", (e) => {
+      if (e.target.id === "btn-session-login") sessionState.onLoginClick?.();
+    });
+    sessionState.enabled = true;
+  }
+
   // --- helpers ---
 
   // generic retry wrapper for ubus requests
@@ -226,6 +383,16 @@
       .toUpperCase();
   }
 
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function escapeHtml(str) {
+    return String(str ?? "").replace(/[&<>"']/g, c => ({
+      "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+    })[c]);
+  }
+
   function toHex(val, withPrefix = true) {
     if (val == null || isNaN(val)) return "-";
     const hex = Number(val).toString(16).toUpperCase();
@@ -260,6 +427,22 @@
     return 1n << BigInt(bandNumber - 1);
   }
 
+  function buildLteMask(bands) {
+    return bands.reduce((mask, b) => mask | get4gBandMask(Number(b)), 0n);
+  }
+
+  function lteBandsFromMask(maskNum, maxBand = 64) {
+    const bands = [];
+    for (let band = 1; band <= maxBand; band++) {
+      if ((BigInt(maskNum) & get4gBandMask(band)) !== 0n) bands.push(band);
+    }
+    return bands;
+  }
+
+  // bands used by the "All" buttons
+  const SUPPORTED_4G_BANDS = [1, 3, 7, 8, 20, 28, 38, 40, 41, 42, 43];
+  const FULL_5G_BANDS = ["1","3","7","8","20","28","38","40","41","75","77","78"];
+
   function setCurrent5gBands(bands) {
     const panel = document.getElementById("router-info-panel");
     if (panel) {
@@ -444,14 +627,15 @@
 
   // --- Info ---
 
-  function buildInfoRowsFromValues(values, { excludeKeys = [], excludePrefixes = [] } = {}) {
+  function buildInfoRowsFromValues(values, { excludeKeys = [], excludePrefixes = [], keepEmpty = false } = {}) {
     return Object.entries(values)
       .filter(([key, val]) => {
         if (excludeKeys.includes(key)) return false;
         for (const prefix of excludePrefixes) {
           if (key.startsWith(prefix)) return false;
         }
-        if (val === "" || val === null || val === undefined) return false; // skip empty values
+        if (val === null || val === undefined) return false;
+        if (val === "" && !keepEmpty) return false; // skip empty values
         return true;
       })
       .map(([key, val]) => {
@@ -463,11 +647,17 @@
           }
         });
         const label = words.join(" ");
-        return [label, val];
+        return [label, val, key];
       })
       .sort((a, b) => a[0].localeCompare(b[0]));
   }
 
+  // common_config keys shown as HW and SW info (also the device part of a backup)
+  const HW_INFO_FILTER = {
+    excludeKeys: ["imei_sv", "manufacturer"],
+    excludePrefixes: [".", "sv_"]
+  };
+
   async function showHwAndSwInfo() {
     const { res } = await runWithRetry(() =>
       callUbus({
@@ -485,10 +675,7 @@
       return;
     }
 
-    const rows = buildInfoRowsFromValues(res.data.values, {
-      excludeKeys: ["imei_sv", "manufacturer"],
-      excludePrefixes: [".", "sv_"]
-    });
+    const rows = buildInfoRowsFromValues(res.data.values, HW_INFO_FILTER);
 
     const html = buildInfoTableForInfoWindow("HW and SW Information", rows);
     ShowInfoWindow("HW and SW Info", html);
@@ -542,936 +729,6184 @@
     ShowInfoWindow("WMS Information", html);
   }
 
-  async function showWifiInfo() {
-    const { res } = await runWithRetry(() =>
-      callUbus([
-        { service: "uci", method: "get", params: { config: "wireless", section: "wifi0" } },
-        { service: "uci", method: "get", params: { config: "wireless", section: "main_2g" } },
-        { service: "uci", method: "get", params: { config: "wireless", section: "wifi1" } }
-      ])
-    );
+  // --- SMS ---
+
+  // GSM 03.38 default alphabet; the extension table characters cost two septets
+  const GSM7_BASIC =
+    "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?" +
+    "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+  const GSM7_EXTENDED = "^{}\\[~]|€\f";
+
+  class SmsMessage {
+    constructor({ id, number, content, date, tag }) {
+      this.id = id;
+      this.number = number;
+      this.content = content;
+      this.date = date; // Date or null
+      this.tag = tag;   // 0 = read, 1 = unread, 2 = sent, 3 = send failed, 4 = draft
+    }
 
-    if (!Array.isArray(res) || res.length < 2) {
-      ShowInfoWindow("WiFi Information", "<p>Failed to retrieve WiFi info.</p>");
-      return;
+    get unread() {
+      return this.tag === 1;
     }
 
-    function filterValues(data) {
-      if (!data?.data?.values) return [];
-      // filter out meta keys (those starting with ".")
-      return Object.entries(data.data.values).filter(([k, _]) => !k.startsWith("."));
+    get outgoing() {
+      return this.tag >= 2;
     }
 
-    const wifi0Values = filterValues(res[0]);
-    const wifi1Values = filterValues(res[1]);
+    // content is UCS-2, hex encoded (4 hex digits per code unit)
+    static decodeContent(hex) {
+      if (!hex || !/^[0-9a-fA-F]+$/.test(hex) || hex.length % 4 !== 0) return hex || "";
+      let out = "";
+      for (let i = 0; i < hex.length; i += 4) {
+        out += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+      }
+      return out;
+    }
 
-    const html = `
-      ${buildInfoTableForInfoWindow("WiFi 2.4 GHz", wifi0Values)}
-      ${buildInfoTableForInfoWindow("WiFi 5 GHz", wifi1Values)}
-    `;
+    static encodeContent(text) {
+      let out = "";
+      for (let i = 0; i < text.length; i++) {
+        out += text.charCodeAt(i).toString(16).toUpperCase().padStart(4, "0");
+      }
+      return out;
+    }
 
-    ShowInfoWindow("WiFi Information", html);
+    // "yy,MM,dd,hh,mm,ss,+tz"
+    static parseDate(str) {
+      const p = String(str || "").split(",").map(s => parseInt(s, 10));
+      if (p.length < 6 || p.slice(0, 6).some(isNaN)) return null;
+      return new Date(2000 + p[0], p[1] - 1, p[2], p[3], p[4], p[5]);
+    }
+
+    static parse(data) {
+      const list = Array.isArray(data?.messages) ? data.messages : [];
+      return list.map(m => new SmsMessage({
+        id: String(m.id),
+        number: m.number || "",
+        content: SmsMessage.decodeContent(m.content),
+        date: SmsMessage.parseDate(m.date),
+        tag: parseInt(m.tag, 10)
+      }));
+    }
+
+    // characters, parts and encoding as the modem will send them
+    static measure(text) {
+      let septets = 0;
+      let gsm7 = true;
+      for (const ch of text) {
+        if (GSM7_BASIC.includes(ch)) {
+          septets += 1;
+        } else if (GSM7_EXTENDED.includes(ch)) {
+          septets += 2;
+        } else {
+          gsm7 = false;
+          break;
+        }
+      }
+
+      if (gsm7) {
+        const parts = septets <= 160 ? 1 : Math.ceil(septets / 153);
+        return { encoding: "GSM7_default", units: septets, parts: text.length ? parts : 0, perPart: parts > 1 ? 153 : 160 };
+      }
+
+      const units = text.length;
+      const parts = units <= 70 ? 1 : Math.ceil(units / 67);
+      return { encoding: "UNICODE", units, parts, perPart: parts > 1 ? 67 : 70 };
+    }
   }
 
-  async function setWifiParam(paramName, label, validator, formatter = v => v, extraInfoCb = () => "", disclaimer = "") {
+  async function setSmsRead(ids) {
+    return await callUbus({
+      service: "zwrt_wms",
+      method: "zwrt_wms_set_msg_read",
+      params: { id: ids.join(";") + ";", tag: 0 }
+    });
+  }
+
+  async function deleteSms(ids) {
+    return await callUbus({
+      service: "zwrt_wms",
+      method: "zwrt_wms_delete_sms",
+      params: { id: ids.join(";") + ";" }
+    });
+  }
+
+  async function sendSms(number, text) {
+    const { encoding } = SmsMessage.measure(text);
+    return await callUbus({
+      service: "zwrt_wms",
+      method: "zwrt_wms_send_sms",
+      params: {
+        Number: number,
+        MessageBody: SmsMessage.encodeContent(text),
+        ID: -1,
+        encode_type: encoding
+      }
+    });
+  }
+
+  // numbers are compared without formatting, for grouping and lookups alike
+  function smsThreadKey(number) {
+    const str = String(number ?? "");
+    return str.replace(/[^\d+]/g, "") || str;
+  }
+
+  function groupSmsThreads(messages) {
+    const threads = new Map();
+    messages.forEach(m => {
+      const key = smsThreadKey(m.number);
+      if (!threads.has(key)) threads.set(key, { key, number: m.number, messages: [] });
+      threads.get(key).messages.push(m);
+    });
+
+    const time = m => m.date ? m.date.getTime() : 0;
+    return [...threads.values()]
+      .map(t => {
+        t.messages.sort((a, b) => time(a) - time(b) || Number(a.id) - Number(b.id));
+        t.last = t.messages[t.messages.length - 1];
+        t.unread = t.messages.filter(m => m.unread).length;
+        return t;
+      })
+      .sort((a, b) => time(b.last) - time(a.last));
+  }
+
+  function smsStorageWarning(capacity) {
+    const total = Number(capacity?.sms_nv_total);
+    const used = capacity?.sms_nvused_total != null
+      ? Number(capacity.sms_nvused_total)
+      : Number(capacity?.sms_nv_rev_total || 0) + Number(capacity?.sms_nv_send_total || 0) +
+        Number(capacity?.sms_nv_draftbox_total || 0);
+
+    if (!total || isNaN(used) || used / total < 0.9) return "";
+    return `<p class="sms-warn">⚠ SMS storage is ${used >= total ? "full" : "nearly full"} (${used}/${total}). Delete messages to receive new ones.</p>`;
+  }
+
+  async function showSmsClient(openThread = null) {
     const { res } = await runWithRetry(() =>
       callUbus([
-        { service: "uci", method: "get", params: { config: "wireless", section: "wifi0" } },
-        { service: "uci", method: "get", params: { config: "wireless", section: "wifi1" } }
+        {
+          service: "zwrt_wms",
+          method: "zwrt_wms_get_wms_data",
+          params: { page: 0, data_per_page: 500, mem_store: 1, tags: 10, order_by: "order by id desc" }
+        },
+        { service: "zwrt_wms", method: "zwrt_wms_get_wms_capacity", params: {} }
       ])
     );
 
-    if (!Array.isArray(res) || res.length < 2) {
-      alert(`Failed to fetch current WiFi ${label} values.`);
+    if (!Array.isArray(res) || !res[0]?.success) {
+      ShowInfoWindow("SMS", "<p>Failed to retrieve messages.</p>");
       return;
     }
 
-    const values24 = res[0]?.data?.values || {};
-    const values5  = res[1]?.data?.values || {};
-
-    const current24 = values24[paramName] || "unknown";
-    const current5  = values5[paramName] || "unknown";
+    const threads = groupSmsThreads(SmsMessage.parse(res[0].data));
+    const thread = openThread ? threads.find(t => t.key === smsThreadKey(openThread)) : null;
+    const fmtDate = d => d ? d.toLocaleString() : "-";
+
+    let body;
+    if (thread) {
+      body = `
+        <div class="sms-toolbar">
+          <button data-action="back">← Inbox</button>
+          <b>${escapeHtml(thread.number)}</b>
+          <button data-action="delete-selected">Delete Selected</button>
+        </div>
+        <div class="sms-thread">
+          ${thread.messages.map(m => `
+            <div class="sms-msg ${m.outgoing ? "out" : "in"}">
+              <label><input type="checkbox" name="sms-sel" value="${escapeHtml(m.id)}"> ${fmtDate(m.date)}${
+                m.tag === 3 ? " (failed)" : ""}</label>
+              <div>${escapeHtml(m.content).replace(/\n/g, "<br>")}</div>
+            </div>
+          `).join("")}
+        </div>
+      `;
+    } else {
+      body = `
+        <div class="sms-toolbar">
+          <button data-action="delete-threads">Delete Selected Threads</button>
+        </div>
+        <table class="info-table sms-inbox">
+          ${threads.map(t => `
+            <tr class="${t.unread ? "unread" : ""}">
+              <td class="sms-chk"><input type="checkbox" name="sms-thread" value="${escapeHtml(t.key)}"></td>
+              <th><a href="#" data-action="open" data-number="${escapeHtml(t.number)}">${escapeHtml(t.number)}</a>${
+                t.unread ? ` <span class="sms-badge">${t.unread}</span>` : ""}
+                <div class="sms-preview">${escapeHtml(t.last.content.slice(0, 80))}</div>
+              </th>
+              <td>${fmtDate(t.last.date)}</td>
+            </tr>
+          `).join("") || `<tr><td style="text-align:center">No messages.</td></tr>`}
+        </table>
+      `;
+    }
 
-    const extra24 = extraInfoCb(values24);
-    const extra5  = extraInfoCb(values5);
+    const html = `
+      ${smsStorageWarning(res[1]?.data)}
+      ${body}
+      <div class="sms-compose">
+        <input type="text" id="sms-number" placeholder="Number" value="${escapeHtml(thread?.number ?? "")}">
+        <textarea id="sms-text" rows="3" placeholder="Message"></textarea>
+        <div class="sms-compose-row">
+          <span id="sms-counter"></span>
+          <button data-action="send">Send</button>
+        </div>
+      </div>
 
-    while (true) {
-      const disclaimerText = disclaimer ? `\n\n${disclaimer}\n` : "";
+      <style>
+        .sms-warn {
+          color: #c00;
+          text-align: center;
+          font-size: 13px;
+        }
+        .sms-toolbar {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 8px;
+        }
+        .sms-inbox .unread th {
+          font-weight: bold;
+        }
+        .sms-inbox .sms-chk {
+          width: 1%;
+        }
+        .sms-preview {
+          font-size: 12px;
+          color: #777;
+          font-weight: normal;
+        }
+        .sms-badge {
+          background: #4CAF50;
+          color: #fff;
+          border-radius: 8px;
+          padding: 0 6px;
+          font-size: 11px;
+        }
+        .sms-thread {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          margin-top: 10px;
+          max-height: 320px;
+          overflow-y: auto;
+        }
+        .sms-msg {
+          max-width: 80%;
+          padding: 6px 8px;
+          border-radius: 8px;
+          font-size: 13px;
+        }
+        .sms-msg label {
+          font-size: 11px;
+          color: #666;
+        }
+        .sms-msg.in {
+          align-self: flex-start;
+          background: #f1f1f1;
+        }
+        .sms-msg.out {
+          align-self: flex-end;
+          background: #dcf5dc;
+        }
+        .sms-compose {
+          margin-top: 12px;
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+        }
+        .sms-compose textarea, .sms-compose input {
+          box-sizing: border-box;
+          width: 100%;
+        }
+        .sms-compose-row {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          font-size: 12px;
+          color: #666;
+        }
+      </style>
+    `;
 
-      const input = prompt(
-        `Enter WiFi ${label} for 2.4 GHz and 5 GHz (e.g. value1,value2)\n` +
-        `Current:\n  2.4 GHz: ${formatter(current24)}${extra24}\n  5 GHz:   ${formatter(current5)}${extra5}` +
-        disclaimerText,
-        `${current24},${current5}`
-      );
-      if (input === null) return;
+    ShowInfoWindow("SMS", html);
 
-      const parts = input.split(",").map(p => p.trim());
+    const textInput = document.getElementById("sms-text");
+    const counter = document.getElementById("sms-counter");
+    const updateCounter = () => {
+      const m = SmsMessage.measure(textInput.value);
+      const enc = m.encoding === "UNICODE" ? "UCS-2" : "GSM-7";
+      counter.textContent = `${m.units} chars, ${m.parts} SMS (${enc}, ${m.perPart} per SMS)`;
+    };
+    textInput.addEventListener("input", updateCounter);
+    updateCounter();
 
-      let val24, val5;
+    // opening a thread marks it as read
+    if (thread && thread.unread > 0) {
+      runWithRetry(() => setSmsRead(thread.messages.filter(m => m.unread).map(m => m.id)))
+        .catch(e => scriptErrorMsg(`Failed to mark the messages as read: ${e.message}`));
+    }
 
-      if (parts.length === 1) {
-        val24 = parts[0];
-        val5 = val24;
-      } else if (parts.length === 2) {
-        val24 = parts[0];
-        val5 = parts[1];
-      } else {
-        alert(`Invalid format. Enter one ${label} or two values separated by comma.`);
-        continue;
-      }
+    document.getElementById("info-window-overlay").addEventListener("click", async (e) => {
+      const el = e.target.closest("[data-action]");
+      if (!el) return;
+      e.preventDefault();
+
+      switch (el.dataset.action) {
+        case "open":
+          await showSmsClient(el.dataset.number);
+          break;
+        case "back":
+          await showSmsClient();
+          break;
+        case "delete-selected":
+        case "delete-threads": {
+          const ids = el.dataset.action === "delete-selected"
+            ? [...document.querySelectorAll("input[name=sms-sel]:checked")].map(c => c.value)
+            : threads
+              .filter(t => [...document.querySelectorAll("input[name=sms-thread]:checked")].some(c => c.value === t.key))
+              .flatMap(t => t.messages.map(m => m.id));
+
+          if (ids.length === 0) {
+            alert("Nothing selected.");
+            return;
+          }
+          if (!confirm(`Delete ${ids.length} message(s)?`)) return;
 
-      if (validator(val24) && validator(val5)) {
-        const result = await runWithUiFeedback(() =>
-          callUbus({
-            service: "zwrt_wlan",
-            method: "set",
-            params: {
-              wifi0: { [paramName]: val24 },
-              wifi1: { [paramName]: val5 }
-            }
-          })
-        );
+          await runWithUiFeedback(() => deleteSms(ids));
+          await showSmsClient(el.dataset.action === "delete-selected" ? thread?.number : null);
+          break;
+        }
+        case "send": {
+          const number = document.getElementById("sms-number").value.trim();
+          const text = textInput.value;
+          if (!/^\+?[\d*#]{2,20}$/.test(number)) {
+            alert("Enter a valid phone number.");
+            return;
+          }
+          if (!text.trim()) {
+            alert("The message is empty.");
+            return;
+          }
 
-        if (result?.success) {
-          scriptMsg(`WiFi ${label} set to ${formatter(val24)} (2.4 GHz) and ${formatter(val5)} (5 GHz)`);
+          const result = await runWithUiFeedback(() => sendSms(number, text));
+          if (result?.success) {
+            await showSmsClient(number);
+          } else {
+            alert("Sending failed.");
+          }
+          break;
         }
-        return;
       }
-
-      alert(`Invalid values for ${label}.`);
-    }
+    });
   }
 
-  // TxPower
-  async function setWifiTxPower() {
-    await setWifiParam(
-      "txpowerpercent",
-      "Tx Power Percent",
-      v => {
-        const n = parseInt(v, 10);
-        return !isNaN(n) && n >= 1 && n <= 100;
-      },
-      v => `${v}%`,
-      vals => vals.txpower ? ` (${vals.txpower} dBm)` : ""
-    );
-  }
+  // --- USSD ---
 
-  // Country
-  async function setWifiCountry() {
-    await setWifiParam(
-      "country",
-      "Country",
-      v => v.length === 2,
-      v => v.toUpperCase(),
-      () => ""
-    , 
-      "⚠️ Wrong settings may be illegal in your country or cause connectivity issues."
-    );
+  const USSD_TIMEOUT_MS = 30 * 1000;
+
+  const ussdSession = {
+    open: false,
+    busy: false,
+    dialog: 0 // bumped when the dialog closes, requests of the old one stop there
+  };
+
+  async function ussdProcess(operator, code = "") {
+    return await callUbus({
+      service: "zwrt_zte_mdm.api",
+      method: "ussd_process",
+      params: { USSD_operator: operator, USSD_send_number: code }
+    });
   }
 
-  async function setWifiMaxClients() {
-    await setWifiParam(
-      "maxassoc",
-      "Max Clients",
-      v => {
-        const n = parseInt(v, 10);
-        return !isNaN(n) && n >= 1 && n <= 512; // limit to a reasonable range
-      },
-      v => v // no formatting, keep number as-is
+  async function getUssdData() {
+    const { res } = await runWithRetry(() =>
+      callUbus({ service: "zwrt_zte_mdm.api", method: "get_ussd_data_info", params: {} }, null, true)
     );
+    return res?.success ? res.data : null;
   }
 
-  // --- Network Signal Parsing ---
-
-  function convert4gEarfcnToMhz(earfcn) {
-    const lteBands = [
-      // [band, f_dl_low, n_offs_dl, n_min_dl, n_max_dl]
-      [1, 2110, 0,     0,    599],
-      [3, 1805, 1200, 1200,  1949],
-      [4, 2110, 1950, 1950,  2399],
-      [5, 869,  2400, 2400,  2649],
-      [7, 2620, 2750, 2750,  3449],
-      [8, 925,  3450, 3450,  3799],
-      [20, 791, 6150, 6150,  6449],
-      [28, 758, 9210, 9210,  9659],
-      [32, 1452, 9920, 9920, 10359], // DL only
-      [38, 2570, 37750, 37750, 38249],
-      [40, 2300, 38650, 38650, 39649],
-      [42, 3400, 41590, 41590, 43589],
-      [43, 3600, 43590, 43590, 45589],
-    ];
+  // 3GPP TS 23.038 (CBS data coding): 0x11 = UCS-2 with language, groups
+  // 01xx and 1001 carry the alphabet in bits 3-2 (10 = UCS-2)
+  function isUcs2UssdDcs(dcs) {
+    const n = Number(dcs);
+    if (!Number.isInteger(n)) return false;
+    if (n === 0x11) return true;
+    return ((n & 0xc0) === 0x40 || (n & 0xf0) === 0x90) && (n & 0x0c) === 0x08;
+  }
 
-    for (const [band, fdl, noffdl, nminDl, nmaxDl] of lteBands) {
-      if (earfcn >= nminDl && earfcn <= nmaxDl) {
-        return {
-          band,
-          dlMHz: fdl + 0.1 * (earfcn - noffdl)
-        };
+  // ussd_action: 0 = session done, 1 = network waits for a reply, 2 = terminated by network.
+  // The router keeps the last answer until a request clears it (ussd_process
+  // empties ussd_data), so an answer only counts once the cleared state was
+  // seen: cleared is true when that was already checked before sending. The
+  // content is not compared, the same code may get the same answer twice.
+  async function waitForUssdReply(cleared, isActive = () => true, timeoutMs = USSD_TIMEOUT_MS) {
+    const end = Date.now() + timeoutMs;
+
+    while (Date.now() < end && isActive()) {
+      const info = await getUssdData();
+      if (!info?.ussd_data) {
+        cleared = true;
+      } else if (cleared) {
+        // UCS-2 is hex encoded like SMS content
+        const text = isUcs2UssdDcs(info.ussd_dcs)
+          ? SmsMessage.decodeContent(info.ussd_data)
+          : info.ussd_data;
+        return { text, action: Number(info.ussd_action) };
       }
+      await sleep(1000);
     }
-    return null; // unknown EARFCN
+
+    return null;
   }
 
-  function convert5gArfcnToMhz(arfcn) {
-    // Global ARFCN -> MHz mapping according to 3GPP TS 38.104
-    function arfcnToMHz(N) {
-      if (N >= 0 && N <= 599999) {
-        return 0.005 * N;
-      } else if (N >= 600000 && N <= 2016666) {
-        return 3000 + 0.015 * (N - 600000);
-      } else if (N >= 2016667 && N <= 3279165) {
-        return 24250 + 0.06 * (N - 2016667);
-      }
+  async function getSimIccid() {
+    const { res } = await runWithRetry(() =>
+      callUbus({ service: "zwrt_zte_mdm.api", method: "get_sim_info", params: {} })
+    );
+    return res?.data?.sim_iccid || res?.data?.iccid || "unknown";
+  }
+
+  function loadUssdCodes(iccid) {
+    try {
+      return JSON.parse(localStorage.getItem("ScriptUssdCodes") || "{}")[iccid] || [];
+    } catch {
+      return [];
+    }
+  }
+
+  function saveUssdCode(iccid, code) {
+    let all = {};
+    try {
+      all = JSON.parse(localStorage.getItem("ScriptUssdCodes") || "{}");
+    } catch {
+      // start over
+    }
+    all[iccid] = [code, ...(all[iccid] || []).filter(c => c !== code)].slice(0, 20);
+    localStorage.setItem("ScriptUssdCodes", JSON.stringify(all));
+  }
+
+  async function showUssd() {
+    const iccid = await getSimIccid();
+    const codes = loadUssdCodes(iccid);
+
+    const html = `
+      <div class="ussd-codes">
+        ${codes.map(c => `<button data-action="use" data-code="${escapeHtml(c)}">${escapeHtml(c)}</button>`).join("")}
+      </div>
+      <div class="ussd-row">
+        <input type="text" id="ussd-input" placeholder="*100#">
+        <button data-action="send" id="btn-ussd-send">Send</button>
+        <button data-action="cancel" id="btn-ussd-cancel">Cancel</button>
+      </div>
+      <pre id="ussd-log"></pre>
+      <p class="ussd-hint">SIM ICCID: ${escapeHtml(iccid)}</p>
+
+      <style>
+        .ussd-codes {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+          justify-content: center;
+          margin-bottom: 10px;
+        }
+        .ussd-row {
+          display: flex;
+          gap: 6px;
+        }
+        .ussd-row input {
+          flex: 1;
+        }
+        #ussd-log {
+          min-height: 80px;
+          max-height: 300px;
+          overflow-y: auto;
+          background: #f7f7f7;
+          border: 1px solid #eee;
+          padding: 6px;
+          white-space: pre-wrap;
+          font-size: 13px;
+        }
+        .ussd-hint {
+          font-size: 12px;
+          color: #666;
+          text-align: center;
+        }
+      </style>
+    `;
+
+    ShowInfoWindow("USSD", html);
+
+    // closing the window (×, Close, overlay or another window) ends the
+    // session, the next dialog starts with a new code
+    const overlay = document.getElementById("info-window-overlay");
+    new MutationObserver((_, observer) => {
+      if (overlay.isConnected) return;
+      observer.disconnect();
+      const active = ussdSession.open || ussdSession.busy;
+      ussdSession.dialog++;
+      ussdSession.open = false;
+      ussdSession.busy = false;
+      if (active) {
+        runWithRetry(() => ussdProcess("ussd_cancel"))
+          .catch(e => scriptErrorMsg(`USSD cancel failed: ${e.message}`));
+      }
+    }).observe(document.body, { childList: true });
+
+    const dialog = ussdSession.dialog;
+    const isActive = () => ussdSession.dialog === dialog;
+    const input = document.getElementById("ussd-input");
+    const log = document.getElementById("ussd-log");
+    const sendBtn = document.getElementById("btn-ussd-send");
+
+    function appendLog(line) {
+      log.textContent += line + "\n";
+      log.scrollTop = log.scrollHeight;
+    }
+
+    function updateState() {
+      sendBtn.textContent = ussdSession.open ? "Reply" : "Send";
+      input.placeholder = ussdSession.open ? "Reply" : "*100#";
+      sendBtn.disabled = ussdSession.busy;
+    }
+
+    // force: after a timeout the modem may still hold the session
+    async function cancelSession(reason, force = false) {
+      if (ussdSession.open || force) {
+        await runWithRetry(() => ussdProcess("ussd_cancel"));
+      }
+      ussdSession.open = false;
+      appendLog(`-- ${reason} --`);
+      updateState();
+    }
+
+    updateState();
+
+    overlay.addEventListener("click", async (e) => {
+      const el = e.target.closest("[data-action]");
+      if (!el) return;
+
+      switch (el.dataset.action) {
+        case "use":
+          input.value = el.dataset.code;
+          break;
+        case "cancel":
+          await cancelSession("cancelled");
+          break;
+        case "send": {
+          const value = input.value.trim();
+          if (!value) return;
+          if (!ussdSession.open && !/^[*#][\d*#]*#$/.test(value)) {
+            alert("Invalid USSD code. Example: *100#");
+            return;
+          }
+
+          ussdSession.busy = true;
+          updateState();
+          appendLog(`> ${value}`);
+
+          try {
+            const operator = ussdSession.open ? "ussd_reply" : "ussd_send";
+            // a new session starts from a cancelled one, which also clears the
+            // answer an earlier session left behind
+            let cleared = false;
+            if (!ussdSession.open) {
+              await runWithRetry(() => ussdProcess("ussd_cancel"));
+              cleared = !(await getUssdData())?.ussd_data;
+            }
+            if (!isActive()) return;
+            const { res } = await runWithRetry(() => ussdProcess(operator, value), 5, true);
+            if (!isActive()) return;
+            if (!res?.success) {
+              ussdSession.open = false;
+              appendLog("-- request failed --");
+              return;
+            }
+
+            if (!ussdSession.open) saveUssdCode(iccid, value);
+            input.value = "";
+
+            const reply = await waitForUssdReply(cleared, isActive);
+            if (!isActive()) return;
+            if (!reply) {
+              await cancelSession("no answer from the network (timeout)", true);
+              return;
+            }
+
+            appendLog(reply.text);
+            ussdSession.open = reply.action === 1;
+            if (!ussdSession.open) appendLog("-- session ended --");
+          } finally {
+            if (isActive()) {
+              ussdSession.busy = false;
+              updateState();
+            }
+          }
+          break;
+        }
+      }
+    });
+  }
+
+  // --- APN profiles ---
+
+  const APN_AUTH_TYPES = ["NONE", "PAP", "CHAP", "PAP_CHAP"];
+  const APN_PDP_TYPES = { "IP": "IPv4", "IPV6": "IPv6", "IPV4V6": "IPv4v6" };
+
+  class ApnProfile {
+    constructor({ id = null, name, apn, authType = "NONE", username = "", password = "", pdpType = "IPV4V6", active = false }) {
+      this.id = id;
+      this.name = name;
+      this.apn = apn;
+      this.authType = authType;
+      this.username = username;
+      this.password = password;
+      this.pdpType = pdpType;
+      this.active = active;
+    }
+
+    static parse(data) {
+      const list = Array.isArray(data?.apn_profiles) ? data.apn_profiles : [];
+      return list.map(p => new ApnProfile({
+        id: String(p.profile_id),
+        name: p.profile_name || "",
+        apn: p.apn || "",
+        authType: (p.auth_type || "NONE").toUpperCase(),
+        username: p.username || "",
+        password: p.password || "",
+        pdpType: (p.pdp_type || "IPV4V6").toUpperCase(),
+        active: p.is_default === "1" || p.is_default === 1 || p.is_default === true
+      }));
+    }
+
+    toParams() {
+      return {
+        ...(this.id != null ? { profile_id: this.id } : {}),
+        profile_name: this.name,
+        apn: this.apn,
+        auth_type: this.authType,
+        username: this.username,
+        password: this.password,
+        pdp_type: this.pdpType
+      };
+    }
+  }
+
+  // name of the active APN profile, shown in the WAN info
+  let activeApnName = null;
+  // outcome of the last APN switch, shown in the WAN info as well
+  let apnSwitchStatus = null;
+
+  const APN_SWITCH_TIMEOUT_MS = 60 * 1000;
+  const APN_SWITCH_POLL_MS = 500;
+
+  async function getApnProfiles() {
+    const { res } = await runWithRetry(() =>
+      callUbus({ service: "zwrt_data", method: "get_apn_profile_list", params: {} })
+    );
+    if (!res?.success) return null;
+
+    const profiles = ApnProfile.parse(res.data);
+    activeApnName = profiles.find(p => p.active)?.name ?? null;
+    return profiles;
+  }
+
+  async function saveApnProfile(profile) {
+    return await callUbus({
+      service: "zwrt_data",
+      method: profile.id != null ? "modify_apn_profile" : "add_apn_profile",
+      params: profile.toParams()
+    });
+  }
+
+  async function deleteApnProfile(id) {
+    return await callUbus({
+      service: "zwrt_data",
+      method: "delete_apn_profile",
+      params: { profile_id: id }
+    });
+  }
+
+  async function activateApnProfile(id) {
+    return await callUbus({
+      service: "zwrt_data",
+      method: "set_default_apn_profile",
+      params: { profile_id: id }
+    });
+  }
+
+  // The WAN drops and reconnects after an APN switch. Until it has dropped the
+  // old session is still reported as connected, so only a disconnect followed
+  // by a connect counts. The status is polled on its own, more often than the
+  // device info, so a short drop is not missed.
+  async function reportWanAfterApnSwitch(name) {
+    const wanChk = document.getElementById("chk-wan-info");
+    if (wanChk && !wanChk.checked) wanChk.click();
+
+    apnSwitchStatus = `${name}: waiting for the WAN to drop...`;
+    const end = Date.now() + APN_SWITCH_TIMEOUT_MS;
+    let dropped = false;
+    while (Date.now() < end) {
+      const res = await callUbus({ service: "zwrt_router.api", method: "router_get_status" }, null, true);
+      const status = res.success ? res.data?.mwan_wanlan1_status : null;
+      if (status && status !== "connected" && !dropped) {
+        dropped = true;
+        apnSwitchStatus = `${name}: WAN disconnected, waiting for the reconnect...`;
+      } else if (status === "connected" && dropped) {
+        await updateDeviceInfo();
+        const address = res.data.mwan_wanlan1_wan_ipaddr || "-";
+        apnSwitchStatus = `${name}: reconnected, WAN address ${address}`;
+        scriptMsg(`APN "${name}" active, WAN address ${address}`);
+        return;
+      }
+      await sleep(APN_SWITCH_POLL_MS);
+    }
+
+    const reason = dropped
+      ? `the WAN did not reconnect within ${APN_SWITCH_TIMEOUT_MS / 1000}s`
+      : `the WAN did not drop within ${APN_SWITCH_TIMEOUT_MS / 1000}s, still the old session`;
+    apnSwitchStatus = `${name}: ${reason}`;
+    scriptErrorMsg(`APN "${name}" active, but ${reason}.`);
+  }
+
+  function readApnForm(id) {
+    const val = field => document.getElementById(`apn-${field}`).value.trim();
+    const profile = new ApnProfile({
+      id,
+      name: val("name"),
+      apn: val("apn"),
+      authType: val("auth"),
+      username: val("user"),
+      password: document.getElementById("apn-pass").value,
+      pdpType: val("pdp")
+    });
+
+    if (!profile.name) throw new Error("Profile name is required.");
+    if (!/^[A-Za-z0-9.\-_]*$/.test(profile.apn)) throw new Error("The APN may only contain letters, digits, '.', '-' and '_'.");
+    if (profile.authType !== "NONE" && !profile.username) throw new Error("A username is required for PAP/CHAP.");
+    return profile;
+  }
+
+  async function showApnManager(editId = null) {
+    const profiles = await getApnProfiles();
+    if (!profiles) {
+      ShowInfoWindow("APN Profiles", "<p>Failed to retrieve APN profiles.</p>");
+      return;
+    }
+
+    const editing = profiles.find(p => p.id === editId) || null;
+    const rows = profiles.map(p => `
+      <tr>
+        <th>${p.active ? "● " : ""}${escapeHtml(p.name)}
+          <div class="apn-desc">${escapeHtml(p.apn || "(empty)")}, ${APN_PDP_TYPES[p.pdpType] || escapeHtml(p.pdpType)}, ${escapeHtml(p.authType)}</div>
+        </th>
+        <td class="apn-btns">
+          <button data-action="activate" data-id="${escapeHtml(p.id)}" ${p.active ? "disabled" : ""}>Activate</button>
+          <button data-action="edit" data-id="${escapeHtml(p.id)}">Edit</button>
+          <button data-action="delete" data-id="${escapeHtml(p.id)}" ${p.active ? "disabled" : ""}>Delete</button>
+        </td>
+      </tr>
+    `).join("");
+
+    const opt = (value, label, selected) =>
+      `<option value="${value}" ${value === selected ? "selected" : ""}>${label}</option>`;
+
+    const html = `
+      <div class="info-section">
+        <div class="section-title">Profiles</div>
+        <table class="info-table">${rows || `<tr><td style="text-align:center">No profiles.</td></tr>`}</table>
+      </div>
+      <div class="info-section">
+        <div class="section-title">${editing ? `Edit "${escapeHtml(editing.name)}"` : "New Profile"}</div>
+        <div class="apn-form">
+          <label>Name <input type="text" id="apn-name" value="${escapeHtml(editing?.name ?? "")}"></label>
+          <label>APN <input type="text" id="apn-apn" value="${escapeHtml(editing?.apn ?? "")}"></label>
+          <label>Auth
+            <select id="apn-auth">${APN_AUTH_TYPES.map(t => opt(t, t, editing?.authType ?? "NONE")).join("")}</select>
+          </label>
+          <label>PDP Type
+            <select id="apn-pdp">${Object.entries(APN_PDP_TYPES).map(([v, l]) => opt(v, l, editing?.pdpType ?? "IPV4V6")).join("")}</select>
+          </label>
+          <label>Username <input type="text" id="apn-user" value="${escapeHtml(editing?.username ?? "")}"></label>
+          <label>Password <input type="password" id="apn-pass" value="${escapeHtml(editing?.password ?? "")}"></label>
+        </div>
+        <div class="apn-actions">
+          <button data-action="save">${editing ? "Save Changes" : "Create"}</button>
+          ${editing ? `<button data-action="new">Cancel Edit</button>` : ""}
+        </div>
+      </div>
+
+      <style>
+        .apn-desc {
+          font-size: 12px;
+          color: #777;
+        }
+        .apn-btns {
+          white-space: nowrap;
+        }
+        .apn-form {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 6px 12px;
+          padding: 10px;
+          font-size: 13px;
+        }
+        .apn-form input, .apn-form select {
+          display: block;
+          width: 100%;
+          box-sizing: border-box;
+        }
+        .apn-actions {
+          text-align: center;
+          padding-bottom: 10px;
+        }
+      </style>
+    `;
+
+    ShowInfoWindow("APN Profiles", html);
+
+    document.getElementById("info-window-overlay").addEventListener("click", async (e) => {
+      const btn = e.target.closest("button[data-action]");
+      if (!btn) return;
+
+      const profile = profiles.find(p => p.id === btn.dataset.id);
+
+      switch (btn.dataset.action) {
+        case "edit":
+          await showApnManager(profile.id);
+          break;
+        case "new":
+          await showApnManager();
+          break;
+        case "delete":
+          if (!confirm(`Delete APN profile "${profile.name}"?`)) return;
+          await runWithUiFeedback(() => deleteApnProfile(profile.id));
+          await showApnManager();
+          break;
+        case "activate": {
+          if (!confirm(`Switch to APN profile "${profile.name}"? The connection will be re-established.`)) return;
+          const res = await runWithUiFeedback(() => activateApnProfile(profile.id));
+          await showApnManager();
+          if (res?.success) {
+            activeApnName = profile.name;
+            reportWanAfterApnSwitch(profile.name)
+              .catch(e => scriptErrorMsg(`APN switch: ${e.message}`));
+          }
+          break;
+        }
+        case "save": {
+          let updated;
+          try {
+            updated = readApnForm(editing?.id ?? null);
+          } catch (err) {
+            alert(err.message);
+            return;
+          }
+          const res = await runWithUiFeedback(() => saveApnProfile(updated));
+          if (!res?.success) {
+            alert("Saving the APN profile failed.");
+            return;
+          }
+          await showApnManager();
+          break;
+        }
+      }
+    });
+  }
+
+  async function showWifiInfo() {
+    const { res } = await runWithRetry(() =>
+      callUbus([
+        { service: "uci", method: "get", params: { config: "wireless", section: "wifi0" } },
+        { service: "uci", method: "get", params: { config: "wireless", section: "main_2g" } },
+        { service: "uci", method: "get", params: { config: "wireless", section: "wifi1" } }
+      ])
+    );
+
+    if (!Array.isArray(res) || res.length < 2) {
+      ShowInfoWindow("WiFi Information", "<p>Failed to retrieve WiFi info.</p>");
+      return;
+    }
+
+    function filterValues(data) {
+      if (!data?.data?.values) return [];
+      // filter out meta keys (those starting with ".")
+      return Object.entries(data.data.values).filter(([k, _]) => !k.startsWith("."));
+    }
+
+    const wifi0Values = filterValues(res[0]);
+    const wifi1Values = filterValues(res[1]);
+
+    const html = `
+      ${buildInfoTableForInfoWindow("WiFi 2.4 GHz", wifi0Values)}
+      ${buildInfoTableForInfoWindow("WiFi 5 GHz", wifi1Values)}
+    `;
+
+    ShowInfoWindow("WiFi Information", html);
+  }
+
+  function setWifiParamCall(paramName, val24, val5) {
+    return {
+      service: "zwrt_wlan",
+      method: "set",
+      params: {
+        wifi0: { [paramName]: val24 },
+        wifi1: { [paramName]: val5 }
+      }
+    };
+  }
+
+  async function setWifiParam(paramName, label, validator, formatter = v => v, extraInfoCb = () => "", disclaimer = "") {
+    const { res } = await runWithRetry(() =>
+      callUbus([
+        { service: "uci", method: "get", params: { config: "wireless", section: "wifi0" } },
+        { service: "uci", method: "get", params: { config: "wireless", section: "wifi1" } }
+      ])
+    );
+
+    if (!Array.isArray(res) || res.length < 2) {
+      alert(`Failed to fetch current WiFi ${label} values.`);
+      return;
+    }
+
+    const values24 = res[0]?.data?.values || {};
+    const values5  = res[1]?.data?.values || {};
+
+    const current24 = values24[paramName] || "unknown";
+    const current5  = values5[paramName] || "unknown";
+
+    const extra24 = extraInfoCb(values24);
+    const extra5  = extraInfoCb(values5);
+
+    while (true) {
+      const disclaimerText = disclaimer ? `\n\n${disclaimer}\n` : "";
+
+      const input = prompt(
+        `Enter WiFi ${label} for 2.4 GHz and 5 GHz (e.g. value1,value2)\n` +
+        `Current:\n  2.4 GHz: ${formatter(current24)}${extra24}\n  5 GHz:   ${formatter(current5)}${extra5}` +
+        disclaimerText,
+        `${current24},${current5}`
+      );
+      if (input === null) return;
+
+      const parts = input.split(",").map(p => p.trim());
+
+      let val24, val5;
+
+      if (parts.length === 1) {
+        val24 = parts[0];
+        val5 = val24;
+      } else if (parts.length === 2) {
+        val24 = parts[0];
+        val5 = parts[1];
+      } else {
+        alert(`Invalid format. Enter one ${label} or two values separated by comma.`);
+        continue;
+      }
+
+      if (validator(val24) && validator(val5)) {
+        const result = await runWithUiFeedback(() => callUbus(setWifiParamCall(paramName, val24, val5)));
+
+        if (result?.success) {
+          scriptMsg(`WiFi ${label} set to ${formatter(val24)} (2.4 GHz) and ${formatter(val5)} (5 GHz)`);
+        }
+        return;
+      }
+
+      alert(`Invalid values for ${label}.`);
+    }
+  }
+
+  // TxPower
+  function isValidTxPowerPercent(v) {
+    const n = parseInt(v, 10);
+    return !isNaN(n) && n >= 1 && n <= 100;
+  }
+
+  async function setWifiTxPower() {
+    await setWifiParam(
+      "txpowerpercent",
+      "Tx Power Percent",
+      isValidTxPowerPercent,
+      v => `${v}%`,
+      vals => vals.txpower ? ` (${vals.txpower} dBm)` : ""
+    );
+  }
+
+  // Country
+  async function setWifiCountry() {
+    await setWifiParam(
+      "country",
+      "Country",
+      v => v.length === 2,
+      v => v.toUpperCase(),
+      () => ""
+    , 
+      "⚠️ Wrong settings may be illegal in your country or cause connectivity issues."
+    );
+  }
+
+  async function setWifiMaxClients() {
+    await setWifiParam(
+      "maxassoc",
+      "Max Clients",
+      v => {
+        const n = parseInt(v, 10);
+        return !isNaN(n) && n >= 1 && n <= 512; // limit to a reasonable range
+      },
+      v => v // no formatting, keep number as-is
+    );
+  }
+
+  // --- Network Signal Parsing ---
+
+  // 3GPP TS 36.101 table 5.7.3-1, E-UTRA channel numbers (bands up to 88)
+  // [band, name, duplex, F_DL_low, N_Offs_DL, N_DL_max, F_UL_low, N_Offs_UL, N_UL_max]
+  // N_Offs is also the lowest channel number of the band. TDD bands use the
+  // downlink values for both directions, SDL bands have no uplink.
+  const LTE_BANDS = [
+    [1, "2100", "FDD", 2110, 0, 599, 1920, 18000, 18599],
+    [2, "1900 PCS", "FDD", 1930, 600, 1199, 1850, 18600, 19199],
+    [3, "1800+", "FDD", 1805, 1200, 1949, 1710, 19200, 19949],
+    [4, "AWS-1", "FDD", 2110, 1950, 2399, 1710, 19950, 20399],
+    [5, "850", "FDD", 869, 2400, 2649, 824, 20400, 20649],
+    [6, "850 Japan", "FDD", 875, 2650, 2749, 830, 20650, 20749],
+    [7, "2600", "FDD", 2620, 2750, 3449, 2500, 20750, 21449],
+    [8, "900", "FDD", 925, 3450, 3799, 880, 21450, 21799],
+    [9, "1800 Japan", "FDD", 1844.9, 3800, 4149, 1749.9, 21800, 22149],
+    [10, "AWS-1+", "FDD", 2110, 4150, 4749, 1710, 22150, 22749],
+    [11, "1500 Lower", "FDD", 1475.9, 4750, 4949, 1427.9, 22750, 22949],
+    [12, "700 a", "FDD", 729, 5010, 5179, 699, 23010, 23179],
+    [13, "700 c", "FDD", 746, 5180, 5279, 777, 23180, 23279],
+    [14, "700 PS", "FDD", 758, 5280, 5379, 788, 23280, 23379],
+    [17, "700 b", "FDD", 734, 5730, 5849, 704, 23730, 23849],
+    [18, "800 Lower", "FDD", 860, 5850, 5999, 815, 23850, 23999],
+    [19, "800 Upper", "FDD", 875, 6000, 6149, 830, 24000, 24149],
+    [20, "800 DD", "FDD", 791, 6150, 6449, 832, 24150, 24449],
+    [21, "1500 Upper", "FDD", 1495.9, 6450, 6599, 1447.9, 24450, 24599],
+    [22, "3500", "FDD", 3510, 6600, 7399, 3410, 24600, 25399],
+    [23, "2000 S-band", "FDD", 2180, 7500, 7699, 2000, 25500, 25699],
+    [24, "1600 L-band", "FDD", 1525, 7700, 8039, 1626.5, 25700, 26039],
+    [25, "1900+", "FDD", 1930, 8040, 8689, 1850, 26040, 26689],
+    [26, "850+", "FDD", 859, 8690, 9039, 814, 26690, 27039],
+    [27, "800 SMR", "FDD", 852, 9040, 9209, 807, 27040, 27209],
+    [28, "700 APT", "FDD", 758, 9210, 9659, 703, 27210, 27659],
+    [29, "700 d", "SDL", 717, 9660, 9769, null, null, null],
+    [30, "2300 WCS", "FDD", 2350, 9770, 9869, 2305, 27660, 27759],
+    [31, "450", "FDD", 462.5, 9870, 9919, 452.5, 27760, 27809],
+    [32, "1500 L-band", "SDL", 1452, 9920, 10359, null, null, null],
+    [33, "TD 1900", "TDD", 1900, 36000, 36199],
+    [34, "TD 2000", "TDD", 2010, 36200, 36349],
+    [35, "TD PCS Lower", "TDD", 1850, 36350, 36949],
+    [36, "TD PCS Upper", "TDD", 1930, 36950, 37549],
+    [37, "TD PCS Center", "TDD", 1910, 37550, 37749],
+    [38, "TD 2600", "TDD", 2570, 37750, 38249],
+    [39, "TD 1900+", "TDD", 1880, 38250, 38649],
+    [40, "TD 2300", "TDD", 2300, 38650, 39649],
+    [41, "TD 2500", "TDD", 2496, 39650, 41589],
+    [42, "TD 3500", "TDD", 3400, 41590, 43589],
+    [43, "TD 3700", "TDD", 3600, 43590, 45589],
+    [44, "TD 700", "TDD", 703, 45590, 46589],
+    [45, "TD 1500", "TDD", 1447, 46590, 46789],
+    [46, "TD Unlicensed", "TDD", 5150, 46790, 54539],
+    [47, "TD V2X", "TDD", 5855, 54540, 55239],
+    [48, "TD 3600 CBRS", "TDD", 3550, 55240, 56739],
+    [49, "TD 3600r", "TDD", 3550, 56740, 58239],
+    [50, "TD 1500+", "TDD", 1432, 58240, 59089],
+    [51, "TD 1500-", "TDD", 1427, 59090, 59139],
+    [52, "TD 3300", "TDD", 3300, 59140, 60139],
+    [53, "TD 2500 S-band", "TDD", 2483.5, 60140, 60254],
+    [65, "2100+", "FDD", 2110, 65536, 66435, 1920, 131072, 131971],
+    [66, "Extended AWS", "FDD", 2110, 66436, 67335, 1710, 131972, 132671],
+    [67, "700 EU", "SDL", 738, 67336, 67535, null, null, null],
+    [68, "700 ME", "FDD", 753, 67536, 67835, 698, 132672, 132971],
+    [69, "DL 2600", "SDL", 2570, 67836, 68335, null, null, null],
+    [70, "AWS-4", "FDD", 1995, 68336, 68585, 1695, 132972, 133121],
+    [71, "600", "FDD", 617, 68586, 68935, 663, 133122, 133471],
+    [72, "450 PMR/PAMR", "FDD", 461, 68936, 68985, 451, 133472, 133521],
+    [73, "450 APAC", "FDD", 460, 68986, 69035, 450, 133522, 133571],
+    [74, "L-band", "FDD", 1475, 69036, 69465, 1427, 133572, 134001],
+    [75, "DL 1500+", "SDL", 1432, 69466, 70315, null, null, null],
+    [76, "DL 1500-", "SDL", 1427, 70316, 70365, null, null, null],
+    [85, "700 a+", "FDD", 728, 70366, 70545, 698, 134002, 134181],
+    [87, "410", "FDD", 420, 70546, 70595, 410, 134182, 134231],
+    [88, "410+", "FDD", 422, 70596, 70645, 412, 134232, 134281]
+  ];
+
+  // EARFCN -> { band, name, duplex, dlMHz, ulEarfcn, ulMHz }
+  // ulEarfcn/ulMHz are null for SDL bands and for the downlink-only part of
+  // bands with a wider downlink than uplink (B66, B70).
+  function convert4gEarfcnToMhz(earfcn) {
+    if (earfcn == null || isNaN(earfcn)) return null;
+    const round = f => Math.round(f * 10) / 10;
+
+    for (const [band, name, duplex, fDl, nOffsDl, nMaxDl, fUl, nOffsUl, nMaxUl] of LTE_BANDS) {
+      if (earfcn < nOffsDl || earfcn > nMaxDl) continue;
+
+      const dlMHz = round(fDl + 0.1 * (earfcn - nOffsDl));
+      let ulEarfcn = null;
+      let ulMHz = null;
+
+      if (duplex === "TDD") {
+        ulEarfcn = earfcn;
+        ulMHz = dlMHz;
+      } else if (duplex === "FDD") {
+        const n = nOffsUl + (earfcn - nOffsDl);
+        if (n <= nMaxUl) {
+          ulEarfcn = n;
+          ulMHz = round(fUl + 0.1 * (n - nOffsUl));
+        }
+      }
+
+      return { band, name, duplex, dlMHz, ulEarfcn, ulMHz };
+    }
+    return null; // unknown EARFCN
+  }
+
+  // 3GPP TS 38.104 tables 5.2-1/5.2-2 (operating bands), 5.4.2.3-1/-2 (channel
+  // raster) and 5.4.3.3-1/-2 (sync raster). Supplementary uplink bands are left
+  // out, they never carry a downlink ARFCN.
+  // raster: [ΔF_Raster kHz, first NR-ARFCN, last NR-ARFCN, step]
+  // ssb:    [SSB SCS kHz, first GSCN, last GSCN]
+  // scs:    supported data subcarrier spacings in kHz
+  const NR_BANDS = [
+    { band: 1, duplex: "FDD", dl: [2110, 2170], ul: [1920, 1980], scs: [15, 30, 60], raster: [[100, 422000, 434000, 20]], ssb: [[15, 5279, 5419]] },
+    { band: 2, duplex: "FDD", dl: [1930, 1990], ul: [1850, 1910], scs: [15, 30, 60], raster: [[100, 386000, 398000, 20]], ssb: [[15, 4829, 4969]] },
+    { band: 3, duplex: "FDD", dl: [1805, 1880], ul: [1710, 1785], scs: [15, 30, 60], raster: [[100, 361000, 376000, 20]], ssb: [[15, 4517, 4693]] },
+    { band: 5, duplex: "FDD", dl: [869, 894], ul: [824, 849], scs: [15, 30], raster: [[100, 173800, 178800, 20]], ssb: [[15, 2177, 2230], [30, 2183, 2224]] },
+    { band: 7, duplex: "FDD", dl: [2620, 2690], ul: [2500, 2570], scs: [15, 30, 60], raster: [[100, 524000, 538000, 20]], ssb: [[15, 6554, 6718]] },
+    { band: 8, duplex: "FDD", dl: [925, 960], ul: [880, 915], scs: [15, 30], raster: [[100, 185000, 192000, 20]], ssb: [[15, 2318, 2395]] },
+    { band: 12, duplex: "FDD", dl: [729, 746], ul: [699, 716], scs: [15, 30], raster: [[100, 145800, 149200, 20]], ssb: [[15, 1828, 1858]] },
+    { band: 13, duplex: "FDD", dl: [746, 756], ul: [777, 787], scs: [15, 30], raster: [[100, 149200, 151200, 20]], ssb: [[15, 1871, 1885]] },
+    { band: 14, duplex: "FDD", dl: [758, 768], ul: [788, 798], scs: [15, 30], raster: [[100, 151600, 153600, 20]], ssb: [[15, 1901, 1915]] },
+    { band: 18, duplex: "FDD", dl: [860, 875], ul: [815, 830], scs: [15, 30], raster: [[100, 172000, 175000, 20]], ssb: [[15, 2156, 2182]] },
+    { band: 20, duplex: "FDD", dl: [791, 821], ul: [832, 862], scs: [15, 30], raster: [[100, 158200, 164200, 20]], ssb: [[15, 1982, 2047]] },
+    { band: 24, duplex: "FDD", dl: [1525, 1559], ul: [1626.5, 1660.5], scs: [15, 30], raster: [[100, 305000, 311800, 20]], ssb: [[15, 3818, 3892], [30, 3824, 3886]] },
+    { band: 25, duplex: "FDD", dl: [1930, 1995], ul: [1850, 1915], scs: [15, 30, 60], raster: [[100, 386000, 399000, 20]], ssb: [[15, 4829, 4981]] },
+    { band: 26, duplex: "FDD", dl: [859, 894], ul: [814, 849], scs: [15, 30], raster: [[100, 171800, 178800, 20]], ssb: [[15, 2153, 2230]] },
+    { band: 28, duplex: "FDD", dl: [758, 803], ul: [703, 748], scs: [15, 30], raster: [[100, 151600, 160600, 20]], ssb: [[15, 1901, 2002]] },
+    { band: 29, duplex: "SDL", dl: [717, 728], ul: null, scs: [15, 30], raster: [[100, 143400, 145600, 20]], ssb: [[15, 1798, 1813]] },
+    { band: 30, duplex: "FDD", dl: [2350, 2360], ul: [2305, 2315], scs: [15, 30, 60], raster: [[100, 470000, 472000, 20]], ssb: [[15, 5879, 5893]] },
+    { band: 34, duplex: "TDD", dl: [2010, 2025], ul: [2010, 2025], scs: [15, 30, 60], raster: [[100, 402000, 405000, 20]], ssb: [[15, 5032, 5043], [30, 5036, 5040]] },
+    { band: 38, duplex: "TDD", dl: [2570, 2620], ul: [2570, 2620], scs: [15, 30, 60], raster: [[100, 514000, 524000, 20]], ssb: [[15, 6432, 6543], [30, 6437, 6538]] },
+    { band: 39, duplex: "TDD", dl: [1880, 1920], ul: [1880, 1920], scs: [15, 30, 60], raster: [[100, 376000, 384000, 20]], ssb: [[15, 4707, 4793], [30, 4712, 4788]] },
+    { band: 40, duplex: "TDD", dl: [2300, 2400], ul: [2300, 2400], scs: [15, 30, 60], raster: [[100, 460000, 480000, 20]], ssb: [[30, 5762, 5989]] },
+    { band: 41, duplex: "TDD", dl: [2496, 2690], ul: [2496, 2690], scs: [15, 30, 60], raster: [[15, 499200, 537999, 3], [30, 499200, 537996, 6]], ssb: [[15, 6246, 6717], [30, 6252, 6714]] },
+    { band: 46, duplex: "TDD", dl: [5150, 5925], ul: [5150, 5925], scs: [15, 30, 60], raster: [[15, 743334, 795000, 1]], ssb: [[30, 8996, 9505]] },
+    { band: 48, duplex: "TDD", dl: [3550, 3700], ul: [3550, 3700], scs: [15, 30, 60], raster: [[15, 636667, 646666, 1], [30, 636668, 646666, 2]], ssb: [[30, 7884, 7982]] },
+    { band: 50, duplex: "TDD", dl: [1432, 1517], ul: [1432, 1517], scs: [15, 30, 60], raster: [[100, 286400, 303400, 20]], ssb: [[30, 3584, 3787]] },
+    { band: 51, duplex: "TDD", dl: [1427, 1432], ul: [1427, 1432], scs: [15], raster: [[100, 285400, 286400, 20]], ssb: [[15, 3572, 3574]] },
+    { band: 53, duplex: "TDD", dl: [2483.5, 2495], ul: [2483.5, 2495], scs: [15, 30], raster: [[100, 496700, 499000, 20]], ssb: [[15, 6215, 6232]] },
+    { band: 65, duplex: "FDD", dl: [2110, 2200], ul: [1920, 2010], scs: [15, 30, 60], raster: [[100, 422000, 440000, 20]], ssb: [[15, 5279, 5494]] },
+    { band: 66, duplex: "FDD", dl: [2110, 2200], ul: [1710, 1780], scs: [15, 30, 60], raster: [[100, 422000, 440000, 20]], ssb: [[15, 5279, 5494], [30, 5285, 5488]] },
+    { band: 67, duplex: "SDL", dl: [738, 758], ul: null, scs: [15, 30], raster: [[100, 147600, 151600, 20]], ssb: [[15, 1850, 1888]] },
+    { band: 70, duplex: "FDD", dl: [1995, 2020], ul: [1695, 1710], scs: [15, 30, 60], raster: [[100, 399000, 404000, 20]], ssb: [[15, 4993, 5044]] },
+    { band: 71, duplex: "FDD", dl: [617, 652], ul: [663, 698], scs: [15, 30], raster: [[100, 123400, 130400, 20]], ssb: [[15, 1547, 1624]] },
+    { band: 74, duplex: "FDD", dl: [1475, 1518], ul: [1427, 1470], scs: [15, 30, 60], raster: [[100, 295000, 303600, 20]], ssb: [[15, 3692, 3790]] },
+    { band: 75, duplex: "SDL", dl: [1432, 1517], ul: null, scs: [15, 30, 60], raster: [[100, 286400, 303400, 20]], ssb: [[15, 3584, 3787]] },
+    { band: 76, duplex: "SDL", dl: [1427, 1432], ul: null, scs: [15], raster: [[100, 285400, 286400, 20]], ssb: [[15, 3572, 3574]] },
+    { band: 77, duplex: "TDD", dl: [3300, 4200], ul: [3300, 4200], scs: [15, 30, 60], raster: [[15, 620000, 680000, 1], [30, 620000, 680000, 2]], ssb: [[30, 7711, 8329]] },
+    { band: 78, duplex: "TDD", dl: [3300, 3800], ul: [3300, 3800], scs: [15, 30, 60], raster: [[15, 620000, 653333, 1], [30, 620000, 653332, 2]], ssb: [[30, 7711, 8051]] },
+    { band: 79, duplex: "TDD", dl: [4400, 5000], ul: [4400, 5000], scs: [15, 30, 60], raster: [[15, 693334, 733333, 1], [30, 693334, 733332, 2]], ssb: [[30, 8480, 8880]] },
+    { band: 90, duplex: "TDD", dl: [2496, 2690], ul: [2496, 2690], scs: [15, 30, 60], raster: [[15, 499200, 537999, 3], [30, 499200, 537996, 6], [100, 499200, 538000, 20]], ssb: [[15, 6245, 6718], [30, 6252, 6714]] },
+    { band: 91, duplex: "FDD", dl: [1427, 1432], ul: [832, 862], scs: [15], raster: [[100, 285400, 286400, 20]], ssb: [[15, 3572, 3574]] },
+    { band: 92, duplex: "FDD", dl: [1432, 1517], ul: [832, 862], scs: [15, 30, 60], raster: [[100, 286400, 303400, 20]], ssb: [[15, 3584, 3787]] },
+    { band: 93, duplex: "FDD", dl: [1427, 1432], ul: [880, 915], scs: [15], raster: [[100, 285400, 286400, 20]], ssb: [[15, 3572, 3574]] },
+    { band: 94, duplex: "FDD", dl: [1432, 1517], ul: [880, 915], scs: [15, 30, 60], raster: [[100, 286400, 303400, 20]], ssb: [[15, 3584, 3787]] },
+    { band: 96, duplex: "TDD", dl: [5925, 7125], ul: [5925, 7125], scs: [15, 30, 60], raster: [[15, 795000, 875000, 1]], ssb: [[30, 9531, 10363]] },
+    { band: 100, duplex: "FDD", dl: [919.4, 925], ul: [874.4, 880], scs: [15], raster: [[100, 183880, 185000, 20]], ssb: [[15, 2303, 2307]] },
+    { band: 101, duplex: "TDD", dl: [1900, 1910], ul: [1900, 1910], scs: [15, 30], raster: [[100, 380000, 382000, 20]], ssb: [[15, 4754, 4768], [30, 4760, 4764]] },
+    { band: 102, duplex: "TDD", dl: [5925, 6425], ul: [5925, 6425], scs: [15, 30, 60], raster: [[15, 795000, 828333, 1]], ssb: [[30, 9531, 9877]] },
+    { band: 104, duplex: "TDD", dl: [6425, 7125], ul: [6425, 7125], scs: [15, 30], raster: [[15, 828334, 875000, 1], [30, 828334, 875000, 2]], ssb: [[30, 9882, 10358]] },
+    { band: 105, duplex: "FDD", dl: [612, 652], ul: [663, 703], scs: [15, 30], raster: [[100, 122400, 130400, 20]], ssb: [[15, 1537, 1624], [30, 1543, 1618]] },
+    // FR2
+    { band: 257, duplex: "TDD", dl: [26500, 29500], ul: [26500, 29500], scs: [60, 120], raster: [[60, 2054166, 2104165, 1], [120, 2054167, 2104165, 2]], ssb: [[120, 22388, 22558], [240, 22390, 22556]] },
+    { band: 258, duplex: "TDD", dl: [24250, 27500], ul: [24250, 27500], scs: [60, 120], raster: [[60, 2016667, 2070832, 1], [120, 2016667, 2070831, 2]], ssb: [[120, 22257, 22443], [240, 22258, 22442]] },
+    { band: 259, duplex: "TDD", dl: [39500, 43500], ul: [39500, 43500], scs: [60, 120], raster: [[60, 2270833, 2337499, 1], [120, 2270833, 2337499, 2]], ssb: [[120, 23140, 23369]] },
+    { band: 260, duplex: "TDD", dl: [37000, 40000], ul: [37000, 40000], scs: [60, 120], raster: [[60, 2229166, 2279165, 1], [120, 2229167, 2279165, 2]], ssb: [[120, 22995, 23166], [240, 22996, 23164]] },
+    { band: 261, duplex: "TDD", dl: [27500, 28350], ul: [27500, 28350], scs: [60, 120], raster: [[60, 2070833, 2084999, 1], [120, 2070833, 2084999, 2]], ssb: [[120, 22446, 22492], [240, 22446, 22490]] },
+    { band: 262, duplex: "TDD", dl: [47200, 48200], ul: [47200, 48200], scs: [60, 120], raster: [[60, 2399166, 2415832, 1], [120, 2399167, 2415831, 2]], ssb: [[120, 23586, 23641]] }
+  ];
+
+  // Global NR-ARFCN -> MHz, TS 38.104 table 5.4.2.1-1
+  function nrArfcnToMhz(n) {
+    if (n >= 0 && n <= 599999) {
+      return 0.005 * n;
+    } else if (n >= 600000 && n <= 2016666) {
+      return 3000 + 0.015 * (n - 600000);
+    } else if (n >= 2016667 && n <= 3279165) {
+      return 24250.08 + 0.06 * (n - 2016667);
+    }
+    return null;
+  }
+
+  // MHz -> GSCN, TS 38.104 table 5.4.3.1-1; null if the frequency is not on the sync raster
+  function nrFreqToGscn(mhz) {
+    const khz = Math.round(mhz * 1000);
+    if (khz < 3000000) {
+      for (const m of [1, 3, 5]) {
+        const n = (khz - m * 50) / 1200;
+        if (Number.isInteger(n) && n >= 1) return 3 * n + (m - 3) / 2;
+      }
       return null;
+    } else if (khz < 24250000) {
+      const n = (khz - 3000000) / 1440;
+      return Number.isInteger(n) ? 7499 + n : null;
+    }
+    const n = (khz - 24250080) / 17280;
+    return Number.isInteger(n) ? 22256 + n : null;
+  }
+
+  // accepts "n78", "N78", "78" or 78
+  function parseNrBand(v) {
+    if (v == null) return null;
+    const band = parseInt(String(v).trim().replace(/^n/i, ""), 10);
+    return isNaN(band) || band <= 0 ? null : band;
+  }
+
+  function nrBandContainsArfcn(def, arfcn) {
+    return def.raster.some(([, first, last]) => arfcn >= first && arfcn <= last);
+  }
+
+  function nrBandRasterMatches(def, arfcn) {
+    return def.raster.some(([, first, last, step]) =>
+      arfcn >= first && arfcn <= last && (arfcn - first) % step === 0
+    );
+  }
+
+  // The band reported by the modem wins. The ARFCN only decides between the
+  // bands that overlap it (n1/n65/n66, n41/n90, n77/n78, ...) when no band is
+  // reported: bands the device supports first, then bands with a matching
+  // channel raster, then the narrowest band.
+  // Returns { band, duplex, dlMHz, ulMHz, scs, rasterKHz, gscn, candidates } or null.
+  function convert5gArfcnToMhz(arfcn, reportedBand = null) {
+    const f = nrArfcnToMhz(arfcn);
+    if (f == null) return null;
+    const dlMHz = +f.toFixed(3);
+
+    const candidates = NR_BANDS.filter(def => nrBandContainsArfcn(def, arfcn));
+    const reported = parseNrBand(reportedBand);
+
+    let def = reported != null ? NR_BANDS.find(d => d.band === reported) : null;
+    if (!def && candidates.length > 0) {
+      const supported = d => FULL_5G_BANDS.includes(String(d.band));
+      const width = d => d.dl[1] - d.dl[0];
+      def = [...candidates].sort((a, b) =>
+        (supported(b) - supported(a)) ||
+        (nrBandRasterMatches(b, arfcn) - nrBandRasterMatches(a, arfcn)) ||
+        (width(a) - width(b))
+      )[0];
+    }
+    if (!def) {
+      // unknown band, keep what the modem said
+      return reported != null ? { band: reported, dlMHz, candidates: [] } : null;
+    }
+
+    let ulMHz = null;
+    if (def.duplex === "TDD") {
+      ulMHz = dlMHz;
+    } else if (def.duplex === "FDD") {
+      const ul = f - (def.dl[0] - def.ul[0]);
+      if (ul <= def.ul[1]) ulMHz = +ul.toFixed(3);
+    }
+
+    const raster = def.raster.find(([, first, last, step]) =>
+      arfcn >= first && arfcn <= last && (arfcn - first) % step === 0
+    );
+    const gscn = nrFreqToGscn(f);
+
+    return {
+      band: def.band,
+      duplex: def.duplex,
+      dlMHz,
+      ulMHz,
+      scs: def.scs,
+      rasterKHz: raster ? raster[0] : null,
+      // only set when the ARFCN sits on this band's sync raster (SSB ARFCN)
+      gscn: gscn != null && def.ssb.some(([, first, last]) => gscn >= first && gscn <= last) ? gscn : null,
+      candidates: candidates.map(d => d.band)
+    };
+  }
+
+  class LteSignal {
+    constructor({
+      pci,
+      earfcn,
+      bandwidth,
+      rsrp = null,
+      rsrq = null,
+      sinr = null,
+      rssi = null,
+      ulConfigured = false,
+      bandActive = false,
+      dlFreqMhz = null,
+      ulEarfcn = null,
+      ulFreqMhz = null,
+      band = null,
+      bandName = null,
+      duplex = null
+    }) {
+      this.pci = pci;
+      this.earfcn = earfcn;
+      this.bandwidth = bandwidth;
+      this.rsrp = rsrp;
+      this.rsrq = rsrq;
+      this.sinr = sinr;
+      this.rssi = rssi;
+      this.ulConfigured = ulConfigured;
+      this.bandActive = bandActive;
+      this.dlFreqMhz = dlFreqMhz;
+      this.ulEarfcn = ulEarfcn;     // same as earfcn for TDD, null for SDL
+      this.ulFreqMhz = ulFreqMhz;
+      this.band = band;
+      this.bandName = bandName;
+      this.duplex = duplex;         // "FDD", "TDD" or "SDL"
+    }
+
+    static parse(netInfo) {
+      const lteca = netInfo?.lteca;
+      const ltecasig = netInfo?.ltecasig;
+      if (!lteca) return [];
+
+      const caEntries = lteca.split(";").filter(e => e.trim() !== "");
+      const sigEntries = ltecasig ? ltecasig.split(";").filter(e => e.trim() !== "") : [];
+
+      const signals = [];
+
+      caEntries.forEach((entry, idx) => {
+        const parts = entry.split(",").map(p => p.trim());
+        if (parts.length < 5) return;
+
+        const pci = parseInt(parts[0], 10);
+        const earfcn = parseInt(parts[3], 10);
+        const bandwidth = parseInt(parts[4], 10);
+
+        let rsrp = null, rsrq = null, sinr = null, rssi = null;
+        let ulConfigured = true, bandActive = true;
+
+        if (idx === 0) {
+          // primary band → values directly from netInfo
+          rsrp = parseFloat(netInfo.lte_rsrp ?? null);
+          rsrq = parseFloat(netInfo.lte_rsrq ?? null);
+          sinr = parseFloat(netInfo.lte_snr ?? null);
+          rssi = parseFloat(netInfo.lte_rssi ?? null);
+        } else if (sigEntries[idx - 1]) {
+          const sigParts = sigEntries[idx - 1].split(",").map(s => s.trim());
+          if (sigParts.length >= 6) {
+            rsrp = parseFloat(sigParts[0]);
+            rsrq = parseFloat(sigParts[1]);
+            sinr = parseFloat(sigParts[2]);
+            rssi = parseFloat(sigParts[3]);
+            ulConfigured = sigParts[4] === "1";
+            bandActive  = sigParts[5] === "2";
+          }
+        }
+
+        const freq = convert4gEarfcnToMhz(earfcn);
+
+        signals.push(new LteSignal({
+          pci,
+          earfcn,
+          bandwidth,
+          rsrp,
+          rsrq,
+          sinr,
+          rssi,
+          ulConfigured,
+          bandActive,
+          dlFreqMhz: freq ? freq.dlMHz : null,
+          ulEarfcn: freq ? freq.ulEarfcn : null,
+          ulFreqMhz: freq ? freq.ulMHz : null,
+          band: freq ? freq.band : null,
+          bandName: freq ? freq.name : null,
+          duplex: freq ? freq.duplex : null
+        }));
+      });
+
+      return signals;
+    }
+
+    static calculateEnodeBAndSectorId(cellId) {
+      if (!cellId || isNaN(cellId)) return { eNodeB: null, sector: null };
+      const id = Number(cellId);
+      return {
+        eNodeB: id >>> 8,
+        sector: id & 0xFF
+      };
+    }
+  }
+
+  class NrSignal {
+    constructor({
+      pci,
+      arfcn,
+      bandwidth,
+      rsrp = null,
+      rsrq = null,
+      sinr = null,
+      rssi = null,
+      ulConfigured = false,
+      bandActive = false,
+      dlFreqMhz = null,
+      ulFreqMhz = null,
+      band = null,
+      duplex = null,
+      scs = null,
+      gscn = null
+    }) {
+      this.pci = pci;
+      this.arfcn = arfcn;
+      this.bandwidth = bandwidth;
+      this.rsrp = rsrp;
+      this.rsrq = rsrq;
+      this.sinr = sinr;
+      this.rssi = rssi;
+      this.ulConfigured = ulConfigured;
+      this.bandActive = bandActive;
+      this.dlFreqMhz = dlFreqMhz;
+      this.ulFreqMhz = ulFreqMhz;
+      this.band = band;
+      this.duplex = duplex; // "FDD", "TDD" or "SDL"
+      this.scs = scs;       // supported subcarrier spacings (kHz)
+      this.gscn = gscn;     // set when the ARFCN is an SSB position
+    }
+
+    static parse(netInfo) {
+      const signals = [];
+
+      // --- Primary NR cell ---
+      if (netInfo.nr5g_action_channel) {
+        const arfcn = parseInt(netInfo.nr5g_action_channel, 10);
+        const bw = parseInt(netInfo.nr5g_bandwidth, 10);
+        const pci = parseInt(netInfo.nr5g_pci, 10);
+
+        const conv = convert5gArfcnToMhz(arfcn, netInfo.nr5g_action_band);
+
+        signals.push(new NrSignal({
+          pci,
+          arfcn,
+          bandwidth: bw,
+          rsrp: parseFloat(netInfo.nr5g_rsrp ?? null),
+          rsrq: parseFloat(netInfo.nr5g_rsrq ?? null),
+          sinr: parseFloat(netInfo.nr5g_snr ?? null),
+          rssi: parseFloat(netInfo.nr5g_rssi ?? null),
+          ulConfigured: true,  // primary always true
+          bandActive: true,    // primary always active
+          ...NrSignal.bandFields(conv, netInfo.nr5g_action_band)
+        }));
+      }
+
+      // --- NR CA cells ---
+      if (netInfo.nrca) {
+        const caEntries = netInfo.nrca.split(";").filter(e => e.trim() !== "");
+        caEntries.forEach(entry => {
+          const parts = entry.split(",").map(p => p.trim());
+          if (parts.length < 11) return;
+
+          const ulConfFlag = parseInt(parts[0], 10);
+          const pci = parseInt(parts[1], 10);
+          const activeFlag = parseInt(parts[2], 10);
+          const band = parts[3] || null;
+          const arfcn = parseInt(parts[4], 10);
+          const bw = parseInt(parts[5], 10);
+
+          const rsrp = parseFloat(parts[7]);
+          const rsrq = parseFloat(parts[8]);
+          const sinr = parseFloat(parts[9]);
+          const rssi = parseFloat(parts[10]);
+
+          const conv = convert5gArfcnToMhz(arfcn, band);
+
+          signals.push(new NrSignal({
+            pci,
+            arfcn,
+            bandwidth: bw,
+            rsrp,
+            rsrq,
+            sinr,
+            rssi,
+            ulConfigured: ulConfFlag === 1, // 1 = true, 0 = false
+            bandActive: activeFlag === 2,    // 2 = active, 1 = inactive
+            ...NrSignal.bandFields(conv, band)
+          }));
+        });
+      }
+
+      return signals;
+    }
+
+    static bandFields(conv, reportedBand) {
+      return {
+        dlFreqMhz: conv ? conv.dlMHz : null,
+        ulFreqMhz: conv?.ulMHz ?? null,
+        band: conv ? conv.band : parseNrBand(reportedBand),
+        duplex: conv?.duplex ?? null,
+        scs: conv?.scs ?? null,
+        gscn: conv?.gscn ?? null
+      };
+    }
+
+    static calculateGnodeBAndSectorId(nci) {
+      if (!nci || isNaN(nci)) return { gNodeB: null, sector: null };
+      const id = Number(nci);
+      return {
+        gNodeB: id >>> 8,
+        sector: id & 0xFF
+      };
+    }
+  }
+
+  class NeighborCell {
+    constructor({
+      tech,
+      pci,
+      channel,
+      rsrp = null,
+      rsrq = null,
+      rssi = null,
+      sinr = null,
+      dlFreqMhz = null,
+      band = null
+    }) {
+      this.tech = tech; // "LTE" or "NR"
+      this.pci = pci;
+      this.channel = channel; // EARFCN (LTE) or ARFCN (NR)
+      this.rsrp = rsrp;
+      this.rsrq = rsrq;
+      this.rssi = rssi;
+      this.sinr = sinr;
+      this.dlFreqMhz = dlFreqMhz;
+      this.band = band;
+    }
+
+    // LTE: "EARFCN,PCI,RSRQ,RSRP,RSSI;..." (same layout as the legacy ngbr_cell_info)
+    // NR:  "ARFCN,PCI,RSRQ,RSRP,SINR;..."
+    static parseList(str, tech) {
+      if (!str || typeof str !== "string") return [];
+
+      return str.split(";")
+        .map(e => e.trim())
+        .filter(e => e !== "")
+        .map(entry => {
+          const parts = entry.split(",").map(p => p.trim());
+          if (parts.length < 4) return null;
+
+          const channel = parseInt(parts[0], 10);
+          const pci = parseInt(parts[1], 10);
+          if (isNaN(channel) || isNaN(pci)) return null;
+
+          const conv = tech === "NR" ? convert5gArfcnToMhz(channel) : convert4gEarfcnToMhz(channel);
+          const last = parts.length > 4 ? parseFloat(parts[4]) : null;
+
+          return new NeighborCell({
+            tech,
+            pci,
+            channel,
+            rsrq: parseFloat(parts[2]),
+            rsrp: parseFloat(parts[3]),
+            rssi: tech === "LTE" ? last : null,
+            sinr: tech === "NR" ? last : null,
+            dlFreqMhz: conv ? conv.dlMHz : null,
+            band: conv ? conv.band : null
+          });
+        })
+        .filter(Boolean);
+    }
+
+    static parse(info) {
+      return [
+        ...this.parseList(info?.ngbr_cell_info ?? info?.lte_ngbr_cell_info, "LTE"),
+        ...this.parseList(info?.nr_ngbr_cell_info ?? info?.nr5g_ngbr_cell_info, "NR")
+      ];
+    }
+  }
+
+  class Signal {
+    constructor() {
+      this.lteSignal = [];
+      this.nrSignal = [];
+    }
+
+    static parse(netInfo) {
+      const signal = new Signal();
+
+      // parse LTE
+      signal.lteSignal = LteSignal.parse(netInfo);
+
+      // parse NR
+      signal.nrSignal = NrSignal.parse(netInfo);
+
+      return signal;
+    }
+  }
+
+  // --- Persistent storage (IndexedDB) ---
+
+  const SCRIPT_DB_NAME = "ZTE-Script-NG";
+  const SCRIPT_DB_VERSION = 3;
+  let scriptDbPromise = null;
+
+  function openScriptDb() {
+    if (!scriptDbPromise) {
+      scriptDbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(SCRIPT_DB_NAME, SCRIPT_DB_VERSION);
+
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          // one record per poll, keyed by timestamp (ms)
+          if (!db.objectStoreNames.contains("signal_samples")) {
+            db.createObjectStore("signal_samples", { keyPath: "ts" });
+          }
+          // cumulative get_wwandst counters every few minutes (data quota)
+          if (!db.objectStoreNames.contains("traffic_snapshots")) {
+            db.createObjectStore("traffic_snapshots", { keyPath: "ts" });
+          }
+          // one record per cell identity ever seen
+          if (!db.objectStoreNames.contains("cell_towers")) {
+            db.createObjectStore("cell_towers", { keyPath: "key" });
+          }
+        };
+
+        // another tab still has an older version open: fail instead of waiting
+        // for it, calls fail right away for 30s and then try again
+        let blocked = false;
+        req.onblocked = () => {
+          blocked = true;
+          setTimeout(() => { scriptDbPromise = null; }, 30 * 1000);
+          reject(new Error("Database upgrade blocked, close other router tabs with an older script"));
+        };
+        req.onsuccess = () => {
+          const db = req.result;
+          if (blocked) {
+            db.close();
+            return;
+          }
+          // let a newer script in another tab upgrade, reopen on the next call
+          db.onversionchange = () => {
+            db.close();
+            scriptDbPromise = null;
+          };
+          resolve(db);
+        };
+        req.onerror = () => {
+          scriptDbPromise = null;
+          reject(req.error);
+        };
+      });
+    }
+    return scriptDbPromise;
+  }
+
+  // runs fn(store) in a transaction, resolves with the result of the returned request
+  async function withScriptStore(storeName, mode, fn) {
+    const db = await openScriptDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // walks all records in [from, to] in key order without loading them all at once
+  async function iterateScriptStore(storeName, from, to, cb) {
+    const db = await openScriptDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, "readonly");
+      const req = tx.objectStore(storeName).openCursor(IDBKeyRange.bound(from, to));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (cursor) {
+          cb(cursor.value);
+          cursor.continue();
+        }
+      };
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // newest record with a key below ts, or null
+  async function getLastScriptRecordBefore(storeName, ts) {
+    const db = await openScriptDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, "readonly");
+      const req = tx.objectStore(storeName).openCursor(IDBKeyRange.upperBound(ts, true), "prev");
+      req.onsuccess = () => resolve(req.result ? req.result.value : null);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // --- Signal history ---
+
+  const SIGNAL_HISTORY_STORE = "signal_samples";
+  const SIGNAL_HISTORY_DEFAULT_RETENTION_DAYS = 7;
+
+  class SignalHistory {
+    static getRetentionDays() {
+      const days = parseInt(localStorage.getItem("ScriptSignalHistoryRetentionDays"), 10);
+      return days > 0 ? days : SIGNAL_HISTORY_DEFAULT_RETENTION_DAYS;
+    }
+
+    static setRetentionDays(days) {
+      localStorage.setItem("ScriptSignalHistoryRetentionDays", days.toString());
+    }
+
+    // only keep the carriers the signal grid shows for the current network type
+    static buildSample(netInfo, signal, wanStat = null, ts = Date.now()) {
+      const type = netInfo?.network_type || null;
+      return {
+        ts,
+        networkType: type,
+        provider: netInfo?.network_provider_fullname || null,
+        cellId: netInfo?.cell_id || null,
+        nrCellId: netInfo?.nr5g_cell_id || null,
+        lte: is4gBasedNetworkType(type) ? signal.lteSignal : [],
+        nr: is5gBasedNetworkType(type) ? signal.nrSignal : [],
+        traffic: wanStat
+      };
+    }
+
+    static async record(sample) {
+      await withScriptStore(SIGNAL_HISTORY_STORE, "readwrite", store => store.put(sample));
+    }
+
+    static async iterate(from, to, cb) {
+      await iterateScriptStore(SIGNAL_HISTORY_STORE, from, to, cb);
+    }
+
+    static async prune() {
+      const cutoff = Date.now() - this.getRetentionDays() * 86400 * 1000;
+      await withScriptStore(SIGNAL_HISTORY_STORE, "readwrite", store =>
+        store.delete(IDBKeyRange.upperBound(cutoff))
+      );
+    }
+
+    static carrierKey(tech, cell) {
+      return `${tech}|${cell.band ?? "?"}|${cell.pci ?? "?"}`;
+    }
+
+    static carrierLabel(tech, cell) {
+      const band = cell.band ? (tech === "NR" ? `N${cell.band}` : `B${cell.band}`) : tech;
+      return `${band} PCI ${cell.pci ?? "-"}`;
+    }
+  }
+
+  // --- Cell database ---
+
+  const CELL_DB_STORE = "cell_towers";
+
+  // Marks this browser's share of the samples. An imported file brings the
+  // shares of other databases, kept apart so a second import replaces them.
+  function getCellDbSource() {
+    let id = localStorage.getItem("ScriptCellDbSource");
+    if (!id) {
+      id = `db-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+      localStorage.setItem("ScriptCellDbSource", id);
+    }
+    return id;
+  }
+
+  // One record per distinct cell identity. Only the primary carriers come with a
+  // cell ID, SCells are identified by PCI and channel alone (node/sector null).
+  // sources: { [database id]: { primary, firstSeen, lastSeen, samples, rsrp, sinr } },
+  // the same fields on the record are the totals over all sources.
+  class CellDatabase {
+    static key(cell) {
+      return [cell.tech, cell.provider ?? "", cell.node ?? "", cell.sector ?? "", cell.pci, cell.channel].join("|");
+    }
+
+    static observe(netInfo, signal) {
+      const type = netInfo?.network_type;
+      const provider = netInfo?.network_provider_fullname || null;
+      const result = [];
+
+      const add = (tech, cell, ids, primary) => {
+        if (!Number.isFinite(cell.pci) || !Number.isFinite(tech === "NR" ? cell.arfcn : cell.earfcn)) return;
+        result.push({
+          tech,
+          provider,
+          node: ids.node,
+          sector: ids.sector,
+          pci: cell.pci,
+          channel: tech === "NR" ? cell.arfcn : cell.earfcn,
+          band: cell.band ?? null,
+          primary,
+          rsrp: cell.rsrp,
+          sinr: cell.sinr
+        });
+      };
+
+      if (is4gBasedNetworkType(type)) {
+        signal.lteSignal.forEach((cell, idx) => {
+          const { eNodeB, sector } = idx === 0
+            ? LteSignal.calculateEnodeBAndSectorId(netInfo.cell_id)
+            : { eNodeB: null, sector: null };
+          add("LTE", cell, { node: eNodeB, sector }, idx === 0);
+        });
+      }
+      if (is5gBasedNetworkType(type)) {
+        signal.nrSignal.forEach((cell, idx) => {
+          const { gNodeB, sector } = idx === 0
+            ? NrSignal.calculateGnodeBAndSectorId(netInfo.nr5g_cell_id)
+            : { gNodeB: null, sector: null };
+          add("NR", cell, { node: gNodeB, sector }, idx === 0);
+        });
+      }
+      return result;
+    }
+
+    static emptyStat() {
+      return { best: null, worst: null, sum: 0, count: 0 };
+    }
+
+    static addToStat(stat, value) {
+      if (!Number.isFinite(value)) return;
+      stat.best = stat.best == null ? value : Math.max(stat.best, value);
+      stat.worst = stat.worst == null ? value : Math.min(stat.worst, value);
+      stat.sum += value;
+      stat.count++;
+    }
+
+    static mergeStat(a, b) {
+      return {
+        best: a.best == null ? b.best : b.best == null ? a.best : Math.max(a.best, b.best),
+        worst: a.worst == null ? b.worst : b.worst == null ? a.worst : Math.min(a.worst, b.worst),
+        sum: a.sum + b.sum,
+        count: a.count + b.count
+      };
+    }
+
+    static sourcePart(rec) {
+      return {
+        primary: rec.primary === true,
+        firstSeen: rec.firstSeen,
+        lastSeen: rec.lastSeen,
+        samples: rec.samples,
+        rsrp: { ...rec.rsrp },
+        sinr: { ...rec.sinr }
+      };
+    }
+
+    // records from before the sources are this database's own samples
+    static sources(rec) {
+      return rec.sources || { [getCellDbSource()]: this.sourcePart(rec) };
+    }
+
+    static withTotals(rec) {
+      const parts = Object.values(rec.sources);
+      return {
+        ...rec,
+        primary: parts.some(p => p.primary),
+        firstSeen: Math.min(...parts.map(p => p.firstSeen)),
+        lastSeen: Math.max(...parts.map(p => p.lastSeen)),
+        samples: parts.reduce((sum, p) => sum + p.samples, 0),
+        rsrp: parts.map(p => p.rsrp).reduce((a, b) => this.mergeStat(a, b), this.emptyStat()),
+        sinr: parts.map(p => p.sinr).reduce((a, b) => this.mergeStat(a, b), this.emptyStat())
+      };
+    }
+
+    // A source's share only grows, so of two copies the one with more samples
+    // is the newer one. Replacing instead of adding keeps repeated or
+    // overlapping imports from counting samples twice.
+    static mergeRecords(a, b) {
+      const sources = { ...this.sources(a) };
+      Object.entries(b.sources).forEach(([id, part]) => {
+        if (!sources[id] || part.samples > sources[id].samples) {
+          sources[id] = part;
+        }
+      });
+      return this.withTotals({ ...a, band: a.band ?? b.band, sources });
+    }
+
+    static async record(netInfo, signal, ts = Date.now()) {
+      const observed = this.observe(netInfo, signal);
+      if (observed.length === 0) return;
+      const source = getCellDbSource();
+
+      const db = await openScriptDb();
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(CELL_DB_STORE, "readwrite");
+        const store = tx.objectStore(CELL_DB_STORE);
+
+        observed.forEach(obs => {
+          const key = this.key(obs);
+          const req = store.get(key);
+          req.onsuccess = () => {
+            const rec = req.result || {
+              key,
+              tech: obs.tech,
+              provider: obs.provider,
+              node: obs.node,
+              sector: obs.sector,
+              pci: obs.pci,
+              channel: obs.channel,
+              band: obs.band,
+              sources: {}
+            };
+            const sources = this.sources(rec);
+            const own = sources[source] || {
+              primary: false,
+              firstSeen: ts,
+              lastSeen: ts,
+              samples: 0,
+              rsrp: this.emptyStat(),
+              sinr: this.emptyStat()
+            };
+            own.primary = own.primary || obs.primary;
+            own.lastSeen = ts;
+            own.samples++;
+            this.addToStat(own.rsrp, obs.rsrp);
+            this.addToStat(own.sinr, obs.sinr);
+            sources[source] = own;
+            store.put(this.withTotals({ ...rec, band: rec.band ?? obs.band, sources }));
+          };
+        });
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    }
+
+    static async getAll() {
+      return await withScriptStore(CELL_DB_STORE, "readonly", store => store.getAll());
+    }
+
+    static async clear() {
+      await withScriptStore(CELL_DB_STORE, "readwrite", store => store.clear());
+    }
+
+    // fileSource: id for the samples of a record without sources (version 1 files)
+    static validate(rec, fileSource) {
+      const isNum = v => typeof v === "number" && Number.isFinite(v);
+      const isNumOrNull = v => v === null || v === undefined || isNum(v);
+      const isStat = s => s && typeof s === "object" && isNum(s.sum) && isNum(s.count) &&
+        isNumOrNull(s.best) && isNumOrNull(s.worst);
+      const isPart = p => p && typeof p === "object" && isNum(p.firstSeen) && isNum(p.lastSeen) &&
+        isNum(p.samples) && isStat(p.rsrp) && isStat(p.sinr);
+      if (!rec || !["LTE", "NR"].includes(rec.tech) || !isNum(rec.pci) || !isNum(rec.channel) ||
+          !isNumOrNull(rec.band) || !isNumOrNull(rec.node) || !isNumOrNull(rec.sector) ||
+          !(rec.provider == null || typeof rec.provider === "string") || !isPart(rec)) {
+        throw new Error("Invalid cell record");
+      }
+      if (rec.sources != null && (typeof rec.sources !== "object" ||
+          Object.entries(rec.sources).some(([id, p]) => !/^[\w:.-]{1,64}$/.test(id) || !isPart(p)))) {
+        throw new Error("Invalid cell record sources");
+      }
+
+      const stat = s => ({ best: s.best ?? null, worst: s.worst ?? null, sum: s.sum, count: s.count });
+      const part = p => ({
+        primary: p.primary === true,
+        firstSeen: p.firstSeen,
+        lastSeen: p.lastSeen,
+        samples: p.samples,
+        rsrp: stat(p.rsrp),
+        sinr: stat(p.sinr)
+      });
+      // only the known fields, and never trust the key or the totals of a foreign file
+      const cell = {
+        tech: rec.tech,
+        provider: rec.provider ?? null,
+        node: rec.node ?? null,
+        sector: rec.sector ?? null,
+        pci: rec.pci,
+        channel: rec.channel,
+        band: rec.band ?? null,
+        sources: rec.sources
+          ? Object.fromEntries(Object.entries(rec.sources).map(([id, p]) => [id, part(p)]))
+          : { [fileSource]: part(rec) }
+      };
+      return this.withTotals({ key: this.key(cell), ...cell });
+    }
+
+    // merges the records into the database, returns the number of new cells
+    static async merge(records, fileSource) {
+      const incoming = records.map(r => this.validate(r, fileSource));
+      const db = await openScriptDb();
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(CELL_DB_STORE, "readwrite");
+        const store = tx.objectStore(CELL_DB_STORE);
+        let added = 0;
+
+        incoming.forEach(rec => {
+          const req = store.get(rec.key);
+          req.onsuccess = () => {
+            if (req.result) {
+              store.put(this.mergeRecords(req.result, rec));
+            } else {
+              store.put(rec);
+              added++;
+            }
+          };
+        });
+
+        tx.oncomplete = () => resolve(added);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    }
+  }
+
+  // --- ubus actions ---
+  // netinfo, thermal, device, WAN status and WAN statistics, in this order
+  const DEVICE_INFO_CALLS = [
+    { service: "zte_nwinfo_api", method: "nwinfo_get_netinfo" },
+    { service: "zwrt_bsp.thermal", method: "get_cpu_temp" },
+    { service: "zwrt_mc.device.manager", method: "get_device_info" },
+    { service: "zwrt_router.api", method: "router_get_status" },
+    { service: "zwrt_data", method: "get_wwandst", params: { "source_module": "web", "cid": 1, "type": 4 } }
+  ];
+
+  async function updateDeviceInfo() {
+    // paused while logging in again
+    if (sessionState.recovering) {
+      return;
+    }
+
+    const res = await callUbus(DEVICE_INFO_CALLS);
+    noteSessionPoll(res);
+
+    if (Array.isArray(res) && res.length === 5) {
+      // check if all calls succeeded
+      const allOk = res.every(r => r?.success);
+
+      if (!allOk) {
+        return;
+      }
+
+      const netRes = res[0];
+      const tempRes = res[1];
+      const devRes = res[2];
+      const wanRes = res[3];
+      const wanStat = res[4];
+      const signal = Signal.parse(netRes.data);
+
+      // store latest netInfo globally
+      currentNetInfo = netRes.data;
+      currentSignal = signal;
+      currentWanInfo = wanRes.data;
+      currentWanStat = wanStat.data;
+
+      SignalHistory.record(SignalHistory.buildSample(netRes.data, signal, wanStat.data))
+        .catch(e => scriptErrorMsg(`Failed to record signal sample: ${e}`));
+      QuotaTracker.maybeRecord(wanStat.data)
+        .catch(e => scriptErrorMsg(`Failed to record traffic snapshot: ${e}`));
+      CellDatabase.record(netRes.data, signal)
+        .catch(e => scriptErrorMsg(`Failed to record cell: ${e}`));
+      recordThroughput(netRes.data, signal, wanStat.data);
+
+      InfoRenderer.render(
+        netRes.data,
+        tempRes.data,
+        devRes.data,
+        wanRes.data,
+        signal,
+        wanStat.data
+      );
+
+      highlightBearer(netRes.data.net_select);
+
+      if (netRes.data.lte_band_lock) {
+        const maskNum = BigInt(netRes.data.lte_band_lock);
+        setCurrent4gMask(maskNum);
+        update4gBandLockHeader(maskNum);
+      }
+
+      if (netRes.data.nr5g_sa_band_lock) {
+        const activeBands = netRes.data.nr5g_sa_band_lock.split(",").map(b => b.trim());
+        setCurrent5gBands(activeBands);
+        update5gBandLockHeader(activeBands);
+      }
+
+      update5gCellLockUi(netRes.data);
+      update4gCellLockUi(netRes.data);
+
+      watchdogCheck(wanRes.data, wanStat.data);
+
+      evaluateAlerts({
+        netInfo: netRes.data,
+        thermalInfo: tempRes.data,
+        signal,
+        wanStat: wanStat.data
+      });
+
+      updateClientInfo();
+    }
+  }
+
+  async function setBearer(modeId) {
+    return await callUbus({
+      service: "zte_nwinfo_api",
+      method: "nwinfo_set_netselect",
+      params: { net_select: modeId }
+    });
+  }
+
+  function set4gBandLockCall(maskNum) {
+    return {
+      service: "zte_nwinfo_api",
+      method: "nwinfo_set_gwl_bandlock",
+      params: { 
+        is_gw_band: "0",
+        gw_band_mask: "0",
+        is_lte_band: "1",
+        lte_band_mask: maskNum.toString() // decimal as string
+      }
+    };
+  }
+
+  async function set4gBandLock(maskNum) {
+    return await callUbus(set4gBandLockCall(maskNum));
+  }
+
+  function set5gBandLockCall(bands) {
+    const bandString = bands.join(",");
+    return {
+      service: "zte_nwinfo_api",
+      method: "nwinfo_set_nrbandlock",
+      params: { 
+        nr5g_type: "SA", /* This parameter is actually ignored. NSA won't work here. */
+        nr5g_band: bandString
+      }
+    };
+  }
+
+  async function set5gBandLock(bands) {
+    return await callUbus(set5gBandLockCall(bands));
+  }
+
+  async function lock5gCell(pci, earfcn, band) {
+    return await callUbus({
+      service: "zte_nwinfo_api",
+      method: "nwinfo_lock_nr_cell",
+      params: {
+        lock_nr_pci: pci.toString(),
+        lock_nr_earfcn: earfcn.toString(),
+        lock_nr_cell_band: band.toString()
+      }
+    });
+  }
+
+  async function unlock5gCell() {
+    return lock5gCell(0, 0, 0);
+  }
+
+  async function lock4gCell(pci, earfcn) {
+    return await callUbus({
+      service: "zte_nwinfo_api",
+      method: "nwinfo_lock_lte_cell",
+      params: {
+        lock_lte_pci: pci.toString(),
+        lock_lte_earfcn: earfcn.toString()
+      }
+    });
+  }
+
+  async function unlock4gCell() {
+    return lock4gCell(0, 0);
+  }
+
+  // rpcd's system reboot, part of every OpenWrt based firmware
+  async function rebootRouter() {
+    return await callUbus({
+      service: "system",
+      method: "reboot"
+    });
+  }
+
+  async function getNeighborCellInfo() {
+    return await callUbus({
+      service: "zte_nwinfo_api",
+      method: "nwinfo_get_ngbr_cell_info"
+    }, null, true);
+  }
+
+  // --- UI feedback overlay ---
+  function showUiFeedback(success) {
+    let overlay = document.getElementById("ui-feedback-overlay");
+    if (!overlay) {
+      overlay = document.createElement("div");
+      overlay.id = "ui-feedback-overlay";
+      overlay.style.cssText = `
+        position: absolute;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        font-size: 48px;
+        font-weight: bold;
+        z-index: 1000;
+        pointer-events: none;
+        display: none;
+      `;
+      const panelBox = document.getElementById("router-info-box");
+      panelBox.style.position = "relative";
+      panelBox.appendChild(overlay);
+    }
+
+    overlay.textContent = success ? "✓" : "✗";
+    overlay.style.color = success ? "green" : "red";
+    overlay.style.display = "block";
+
+    setTimeout(() => {
+      overlay.style.display = "none";
+    }, 1000);
+  }
+
+  // generic retry wrapper for ubus requests
+  // NOTE: ZTE's web server has a bug and sometimes requests fail even though they should succeed.
+  async function runWithRetry(fn, maxAttempts = 5, logSuccess = false) {
+    let attempts = 1;
+    let res;
+    let relogged = false;
+
+    while (attempts <= maxAttempts) {
+      // wait while the session is renewed, then continue with the new one
+      if (sessionState.recovering) {
+        await sessionState.recovering;
+      }
+
+      res = await fn();
+
+      // detect accessDenied on single object or inside array
+      const denied = Array.isArray(res)
+        ? res.some(r => r?.accessDenied)
+        : res?.accessDenied;
+
+      if (!denied) {
+        break;
+      }
+
+      attempts++;
+
+      // denied on every attempt: the session is gone, log in again and start over once
+      if (attempts > maxAttempts && !relogged && isAllDenied(res) && await recoverSession()) {
+        relogged = true;
+        attempts = 1;
+      }
+    }
+
+    // only log success if requested
+    const allSucceeded = Array.isArray(res)
+      ? res.every(r => r?.success)
+      : res?.success;
+
+    if (logSuccess && attempts > 1 && allSucceeded) {
+      scriptMsg(`Request succeeded after ${attempts} attempts.`);
+    }
+
+    return { res, attempts };
+  }
+
+  async function runWithUiFeedback(fn) {
+    try {
+      const { res } = await runWithRetry(fn, 5, true);
+
+      if (!res || res.success === false) {
+        showUiFeedback(false);
+      } else {
+        showUiFeedback(true);
+      }
+
+      updateDeviceInfo();
+      return res;
+    } catch (e) {
+      showUiFeedback(false);
+      throw e;
+    }
+  }
+
+  // thermal and get_device_info values as numbers (load in percent, memory in kB)
+  function parseDeviceInfo(thermalInfo, deviceInfo) {
+    const temp = parseFloat(thermalInfo?.cpuss_temp);
+    const cores = (deviceInfo?.cpuinfo || [])
+      .filter(c => c.name !== "all")
+      .map(c => ({ name: c.name, load: 100 - (parseFloat(c.idle) || 0) }));
+
+    let memory = null;
+    if (deviceInfo?.meminfo) {
+      const totalKb = parseInt(deviceInfo.meminfo.total, 10);
+      const availableKb = parseInt(deviceInfo.meminfo.avaliable, 10); // sic
+      memory = { totalKb, availableKb, usedKb: totalKb - availableKb };
+    }
+
+    const uptime = parseInt(deviceInfo?.device_uptime, 10);
+    return {
+      cpuTemp: isNaN(temp) ? null : temp,
+      cores,
+      memory,
+      uptime: isNaN(uptime) ? null : uptime
+    };
+  }
+
+  // --- render ---
+  class InfoRenderer {
+  static render(netInfo, thermalInfo, deviceInfo, wanInfo, signalInfo, wanStat) {
+      const netTable = document.getElementById("router-info-table");
+      const wanTable = document.getElementById("wan-info-table");
+      const sysTable = document.getElementById("system-info-table");
+      const trafTable = document.getElementById("traffic-info-table");
+
+      if (!netTable || !wanTable || !sysTable || !trafTable) return;
+
+      this.renderNetworkInfo(netTable, netInfo, signalInfo, wanStat);
+      this.renderSignalInfo(netInfo, signalInfo);
+      this.renderWanInfo(wanTable, wanInfo);
+      this.renderDeviceInfo(sysTable, thermalInfo, deviceInfo);
+      this.renderTrafficInfo(trafTable, wanStat);
+    }
+
+    static renderNetworkInfo(table, netInfo, signalInfo, wanStat) {
+      let bandSummary = "-";
+      let totalBandwidth = 0;
+
+      if (signalInfo) {
+        const nrBands = [];
+        const lteBands = [];
+
+        if (is5gBasedNetworkType(netInfo?.network_type)) {
+          signalInfo.nrSignal?.forEach(cell => {
+            if (cell.band) nrBands.push(`N${cell.band}`);
+            if (cell.bandwidth) totalBandwidth += cell.bandwidth;
+          });
+        }
+
+        if (is4gBasedNetworkType(netInfo?.network_type)) {
+          signalInfo.lteSignal?.forEach(cell => {
+            if (cell.band) lteBands.push(`B${cell.band}`);
+            if (cell.bandwidth) totalBandwidth += cell.bandwidth;
+          });
+        }
+
+        const parts = [];
+        if (nrBands.length > 0) parts.push(...nrBands);
+        if (lteBands.length > 0) parts.push(...lteBands);
+
+        if (parts.length > 0) {
+          bandSummary = parts.join(" + ");
+        }
+      }
+
+      let connType = netInfo.network_type || "-";
+      if (connType === "SA") {
+        connType = "5G SA";
+      } else if (connType === "ENDC") {
+        connType = "5G NSA";
+      }
+
+      let cellIdDisplay = "-";
+
+      let nodeId = null;
+      let sectorId = null;
+
+      if (is4gBasedNetworkType(netInfo.network_type) && netInfo.cell_id) {
+        const { eNodeB, sector } = LteSignal.calculateEnodeBAndSectorId(netInfo.cell_id);
+        nodeId = eNodeB;
+        sectorId = sector;
+      } else if (netInfo.nr5g_cell_id) {
+        const { gNodeB, sector } = NrSignal.calculateGnodeBAndSectorId(netInfo.nr5g_cell_id);
+        nodeId = gNodeB;
+        sectorId = sector;
+      }
+
+      if (nodeId != null && sectorId != null) {
+        cellIdDisplay = `${toHex(nodeId, false)}<span class="cellid-sep">|</span>${toHex(sectorId, false)}`;
+      }
+
+      table.innerHTML = `
+        <tr><th>Provider</th><td>${netInfo.network_provider_fullname || "-"}</td></tr>
+        <tr><th>Connection</th><td>${connType}</td></tr>
+        <tr><th>Duration</th><td>${formatSeconds(wanStat.real_time || 0)}</td></tr>
+        <tr><th>Bands</th><td>${bandSummary}</td></tr>
+        <tr><th>BW</th><td>${totalBandwidth > 0 ? totalBandwidth + " MHz" : "-"}</td></tr>
+        <tr><th>Cell ID</th><td>${cellIdDisplay}</td></tr>
+      `;
+    }
+
+    static renderSignalInfo(netInfo, signalInfo) {
+      const sigContainer = document.getElementById("signal-info-container");
+      if (!sigContainer) return;
+
+      sigContainer.innerHTML = "";
+
+      function tf(val) {
+        return val ? "✓" : "✗";
+      }
+
+      // --- NR signals ---
+      if ((netInfo?.network_type === "SA" || netInfo?.network_type === "ENDC") &&
+          signalInfo?.nrSignal?.length > 0) {
+        const grid = document.createElement("div");
+        grid.className = "signal-grid";
+
+        signalInfo.nrSignal.forEach((cell, idx) => {
+          const box = document.createElement("div");
+          box.className = "signal-cell";
+          const bandTitle = cell.band ? `N${cell.band}` : `NR Cell ${idx + 1}`;
+          const bandInfo = cell.scs ? `${cell.duplex}, SCS ${cell.scs.join("/")} kHz` : "";
+
+          box.innerHTML = `
+            <div class="cell-title" title="${bandInfo}">${bandTitle}${cell.duplex ? ` <small>${cell.duplex}</small>` : ""}</div>
+            <table>
+              <tr><th>RSRP</th><td>${cell.rsrp ?? "-"}</td></tr>
+              <tr><th>RSRQ</th><td>${cell.rsrq ?? "-"}</td></tr>
+              <tr><th>SINR</th><td>${cell.sinr ?? "-"}</td></tr>
+              <tr><th>RSSI</th><td>${cell.rssi ?? "-"}</td></tr>
+              <tr><th>PCI</th><td>${cell.pci ?? "-"}</td></tr>
+              <tr><th>BW</th><td>${cell.bandwidth ? cell.bandwidth + " MHz" : "-"}</td></tr>
+              <tr><th>ARFCN</th><td>${cell.arfcn ?? "-"}${cell.gscn ? ` <small>(GSCN ${cell.gscn})</small>` : ""}</td></tr>
+              <tr><th>DL Freq</th><td>${cell.dlFreqMhz ? cell.dlFreqMhz + " MHz" : "-"}</td></tr>
+              <tr><th>UL Freq</th><td>${cell.ulFreqMhz ? cell.ulFreqMhz + " MHz" : "-"}</td></tr>
+              <tr><th>UL Configured</th><td>${tf(cell.ulConfigured)}</td></tr>
+              <tr><th>Active</th><td>${tf(cell.bandActive)}</td></tr>
+            </table>
+          `;
+          grid.appendChild(box);
+        });
+
+        sigContainer.appendChild(grid);
+      }
+
+      // --- LTE signals ---
+      if (is4gBasedNetworkType(netInfo?.network_type) && signalInfo?.lteSignal?.length > 0) {
+        const grid = document.createElement("div");
+        grid.className = "signal-grid";
+
+        signalInfo.lteSignal.forEach((cell, idx) => {
+          const box = document.createElement("div");
+          box.className = "signal-cell";
+          const bandTitle = cell.band ? `B${cell.band}` : `Cell ${idx + 1}`;
+          const bandInfo = cell.duplex ? `${cell.duplex}, ${cell.bandName}` : "";
+
+          box.innerHTML = `
+            <div class="cell-title" title="${bandInfo}">${bandTitle}${cell.duplex ? ` <small>${cell.duplex}</small>` : ""}</div>
+            <table>
+              <tr><th>RSRP</th><td>${cell.rsrp ?? "-"}</td></tr>
+              <tr><th>RSRQ</th><td>${cell.rsrq ?? "-"}</td></tr>
+              <tr><th>SINR</th><td>${cell.sinr ?? "-"}</td></tr>
+              <tr><th>RSSI</th><td>${cell.rssi ?? "-"}</td></tr>
+              <tr><th>PCI</th><td>${cell.pci ?? "-"}</td></tr>
+              <tr><th>BW</th><td>${cell.bandwidth ? cell.bandwidth + " MHz" : "-"}</td></tr>
+              <tr><th>EARFCN</th><td>${cell.earfcn ?? "-"}</td></tr>
+              <tr><th>DL Freq</th><td>${cell.dlFreqMhz ? cell.dlFreqMhz + " MHz" : "-"}</td></tr>
+              <tr><th>UL EARFCN</th><td>${cell.ulEarfcn ?? "-"}</td></tr>
+              <tr><th>UL Freq</th><td>${cell.ulFreqMhz ? cell.ulFreqMhz + " MHz" : "-"}</td></tr>
+              <tr><th>UL Configured</th><td>${tf(cell.ulConfigured)}</td></tr>
+              <tr><th>Active</th><td>${tf(cell.bandActive)}</td></tr>
+            </table>
+          `;
+          grid.appendChild(box);
+        });
+
+        sigContainer.appendChild(grid);
+      }
+    }
+
+    static renderClientInfo(table, clients, emptyText = "No clients.") {
+      if (!table) return;
+
+      if (!clients || clients.length === 0) {
+        table.innerHTML = `<tr><td style="text-align:center">${escapeHtml(emptyText)}</td></tr>`;
+        return;
+      }
+
+      let rows = `<tr><th>Host</th><th>MAC</th><th>IP</th><th>Connection</th><th>Signal</th><th>Lease</th></tr>`;
+      clients.forEach(c => {
+        const iface = c.ifaceNote
+          ? `<span title="${escapeHtml(c.ifaceNote)}">${escapeHtml(c.iface)}</span>`
+          : escapeHtml(c.iface || "-");
+        rows += `
+          <tr>
+            <td>${escapeHtml(c.hostname || "-")}</td>
+            <td>${escapeHtml(c.mac)}</td>
+            <td>${escapeHtml(c.ip || "-")}</td>
+            <td>${iface}</td>
+            <td>${c.signal != null ? c.signal + " dBm" : "-"}</td>
+            <td>${c.expires > 0 ? formatSeconds(c.expires) : "-"}</td>
+          </tr>
+        `;
+      });
+
+      table.innerHTML = rows;
+    }
+
+    static renderNeighborCells(container, cells, sortKey, sortAsc) {
+      if (!container) return;
+
+      if (!cells || cells.length === 0) {
+        container.innerHTML = `<p class="ngbr-empty">No neighbor cells reported.</p>`;
+        return;
+      }
+
+      const columns = [
+        ["tech", "Type"],
+        ["pci", "PCI"],
+        ["channel", "EARFCN/ARFCN"],
+        ["band", "Band"],
+        ["rsrp", "RSRP"],
+        ["rsrq", "RSRQ"]
+      ];
+
+      const num = v => (v == null || isNaN(v)) ? -Infinity : Number(v);
+      const sorted = [...cells].sort((a, b) => {
+        const cmp = sortKey === "tech"
+          ? a.tech.localeCompare(b.tech)
+          : num(a[sortKey]) - num(b[sortKey]);
+        return sortAsc ? cmp : -cmp;
+      });
+
+      const fmt = v => (v == null || isNaN(v)) ? "-" : v;
+      const head = columns.map(([key, label]) => {
+        const arrow = key === sortKey ? (sortAsc ? " ▲" : " ▼") : "";
+        return `<th data-sort="${key}">${label}${arrow}</th>`;
+      }).join("");
+
+      const body = sorted.map(cell => {
+        const band = cell.band ? (cell.tech === "NR" ? `N${cell.band}` : `B${cell.band}`) : "-";
+        return `
+          <tr>
+            <td>${cell.tech}</td>
+            <td>${fmt(cell.pci)}</td>
+            <td>${fmt(cell.channel)}</td>
+            <td>${band}</td>
+            <td>${fmt(cell.rsrp)}</td>
+            <td>${fmt(cell.rsrq)}</td>
+            <td><button class="ngbr-lock" data-tech="${cell.tech}" data-pci="${cell.pci}"
+              data-channel="${cell.channel}" data-band="${cell.band ?? ""}">Lock</button></td>
+          </tr>
+        `;
+      }).join("");
+
+      container.innerHTML = `
+        <table class="ngbr-table">
+          <tr>${head}<th></th></tr>
+          ${body}
+        </table>
+      `;
+    }
+
+    static renderTrafficInfo(table, wanStat) {
+      if (!wanStat || !table) return;
+
+      // Toggle whether to show error/drop stats (saves space if false)
+      const show_errors = false;
+
+      function fmtBytes(val) {
+        if (!val || isNaN(val)) return "-";
+        const units = ["B","KB","MB","GB","TB"];
+        let v = Number(val);
+        let i = 0;
+        while (v >= 1024 && i < units.length - 1) {
+          v /= 1024;
+          i++;
+        }
+        return v.toFixed(1) + " " + units[i];
+      }
+
+      function fmtSpeed(val) {
+        if (!val || isNaN(val)) return "-";
+        const mbit = (Number(val) * 8) / 1e6;
+        return mbit.toFixed(2) + " Mbit/s";
+      }
+
+      let rows = "";
+
+      // --- Current (realtime) stats ---
+      rows += `<tr><th colspan="2" class="info-subtitle">Current</th></tr>`;
+      rows += `<tr><th>Time</th><td>${formatSeconds(wanStat.real_time)}</td></tr>`;
+      rows += `<tr><th>DL Speed</th><td>${fmtSpeed(wanStat.real_rx_speed)}</td></tr>`;
+      rows += `<tr><th>UL Speed</th><td>${fmtSpeed(wanStat.real_tx_speed)}</td></tr>`;
+      rows += `<tr><th>DL</th><td>${fmtBytes(wanStat.real_rx_bytes)}</td></tr>`;
+      rows += `<tr><th>UL</th><td>${fmtBytes(wanStat.real_tx_bytes)}</td></tr>`;
+      rows += `<tr><th>DL Packets</th><td>${wanStat.real_rx_packets ?? "-"}</td></tr>`;
+      rows += `<tr><th>UL Packets</th><td>${wanStat.real_tx_packets ?? "-"}</td></tr>`;
+      if (show_errors) {
+        rows += `<tr><th>Errors (DL/UL)</th><td>${wanStat.real_rx_error_packets}/${wanStat.real_tx_error_packets}</td></tr>`;
+        rows += `<tr><th>Drops (DL/UL)</th><td>${wanStat.real_rx_drop_packets}/${wanStat.real_tx_drop_packets}</td></tr>`;
+      }
+
+      // --- Monthly stats ---
+      rows += `<tr><th colspan="2" class="info-subtitle">Monthly</th></tr>`;
+      rows += `<tr><th>Time</th><td>${formatSeconds(wanStat.month_time)}</td></tr>`;
+      rows += `<tr><th>DL</th><td>${fmtBytes(wanStat.month_rx_bytes)}</td></tr>`;
+      rows += `<tr><th>UL</th><td>${fmtBytes(wanStat.month_tx_bytes)}</td></tr>`;
+      rows += `<tr><th>DL Packets</th><td>${wanStat.month_rx_packets ?? "-"}</td></tr>`;
+      rows += `<tr><th>UL Packets</th><td>${wanStat.month_tx_packets ?? "-"}</td></tr>`;
+      if (show_errors) {
+        rows += `<tr><th>Errors (DL/UL)</th><td>${wanStat.month_rx_error_packets}/${wanStat.month_tx_error_packets}</td></tr>`;
+        rows += `<tr><th>Drops (DL/UL)</th><td>${wanStat.month_rx_drop_packets}/${wanStat.month_tx_drop_packets}</td></tr>`;
+      }
+
+      // --- Total stats ---
+      rows += `<tr><th colspan="2" class="info-subtitle">Total</th></tr>`;
+      rows += `<tr><th>Time</th><td>${formatSeconds(wanStat.total_time)}</td></tr>`;
+      rows += `<tr><th>DL</th><td>${fmtBytes(wanStat.total_rx_bytes)}</td></tr>`;
+      rows += `<tr><th>UL</th><td>${fmtBytes(wanStat.total_tx_bytes)}</td></tr>`;
+      rows += `<tr><th>DL Packets</th><td>${wanStat.total_rx_packets ?? "-"}</td></tr>`;
+      rows += `<tr><th>UL Packets</th><td>${wanStat.total_tx_packets ?? "-"}</td></tr>`;
+      if (show_errors) {
+        rows += `<tr><th>Errors (DL/UL)</th><td>${wanStat.total_rx_error_packets}/${wanStat.total_tx_error_packets}</td></tr>`;
+        rows += `<tr><th>Drops (DL/UL)</th><td>${wanStat.total_rx_drop_packets}/${wanStat.total_tx_drop_packets}</td></tr>`;
+      }
+
+      table.innerHTML = rows;
+    }
+
+    static renderWanInfo(table, wanInfo) {
+      let rows = "";
+
+      if (wanInfo) {
+        rows += `<tr><th>Mode</th><td>${wanInfo.mwan_wanlan1_link_mode || "-"}</td></tr>`;
+        rows += `<tr><th>Status</th><td>${wanInfo.mwan_wanlan1_status || "-"}</td></tr>`;
+        if (activeApnName) {
+          rows += `<tr><th>APN Profile</th><td>${escapeHtml(activeApnName)}</td></tr>`;
+        }
+        if (apnSwitchStatus) {
+          rows += `<tr><th>APN Switch</th><td>${escapeHtml(apnSwitchStatus)}</td></tr>`;
+        }
+
+        rows += `<tr><th>IPv4 Address</th><td>${wanInfo.mwan_wanlan1_wan_ipaddr || "-"}</td></tr>`;
+        rows += `<tr><th>Netmask</th><td>${wanInfo.mwan_wanlan1_wan_netmask || "-"}</td></tr>`;
+        rows += `<tr><th>Gateway</th><td>${wanInfo.mwan_wanlan1_wan_gateway || "-"}</td></tr>`;
+
+        const dns4 = [wanInfo.mwan_wanlan1_prefer_dns_auto, wanInfo.mwan_wanlan1_standby_dns_auto]
+          .filter(Boolean).join(", ");
+        rows += `<tr><th>DNS</th><td>${dns4 || "-"}</td></tr>`;
+
+        if (wanInfo.mwan_wanlan1_ipv6_wan_ipaddr && wanInfo.mwan_wanlan1_ipv6_wan_ipaddr !== "0::0") {
+          rows += `<tr><th>IPv6 Address</th><td>${wanInfo.mwan_wanlan1_ipv6_wan_ipaddr}</td></tr>`;
+          rows += `<tr><th>IPv6 Gateway</th><td>${wanInfo.mwan_wanlan1_ipv6_wan_gateway || "-"}</td></tr>`;
+
+          const dns6 = [wanInfo.mwan_wanlan1_ipv6_prefer_dns_auto, wanInfo.mwan_wanlan1_ipv6_standby_dns_auto]
+            .filter(Boolean).join(", ");
+          rows += `<tr><th>IPv6 DNS</th><td>${dns6 || "-"}</td></tr>`;
+        }
+      }
+
+      table.innerHTML = rows;
+    }
+
+    static renderDeviceInfo(table, thermalInfo, deviceInfo) {
+      let rows = "";
+
+      const info = parseDeviceInfo(thermalInfo, deviceInfo);
+
+      rows += `<tr><th>CPU Temp</th><td>${info.cpuTemp ?? "-"}°C</td></tr>`;
+
+      info.cores.forEach(c => {
+        rows += `<tr><th>CPU Core ${c.name}</th><td>${Math.round(c.load)}%</td></tr>`;
+      });
+
+      if (info.memory) {
+        const { totalKb, usedKb } = info.memory;
+        const percent = totalKb > 0 ? Math.round((usedKb / totalKb) * 100) : 0;
+
+        const usedMB = (usedKb / 1024).toFixed(0);
+        const totalMB = (totalKb / 1024).toFixed(0);
+
+        rows += `<tr><th>Memory</th><td>${usedMB}MB/${totalMB}MB (${percent}%)</td></tr>`;
+      }
+
+      if (info.uptime) {
+        rows += `<tr><th>Uptime</th><td>${formatSeconds(info.uptime)}</td></tr>`;
+      }
+
+      table.innerHTML = rows;
+    }
+  }
+
+  // --- Charts ---
+
+  const CHART_COLORS = [
+    "#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd",
+    "#8c564b", "#e377c2", "#7f7f7f", "#bcbd22", "#17becf"
+  ];
+
+  function formatChartTime(ts, spanMs) {
+    const d = new Date(ts);
+    const hhmm = d.toTimeString().slice(0, 5);
+    if (spanMs > 86400 * 1000) {
+      return `${d.getDate()}.${d.getMonth() + 1}. ${hhmm}`;
+    }
+    return spanMs <= 600 * 1000 ? d.toTimeString().slice(0, 8) : hhmm;
+  }
+
+  // Minimal canvas line chart.
+  // series: [{ color, points: [[ts, value], ...] }], points sorted by ts.
+  // Lines are interrupted where two points are more than maxGap ms apart.
+  // hLines: [{ value, color, dash }] horizontal reference lines, always in the y range,
+  // markers: [{ ts, label }] vertical event lines.
+  function drawLineChart(canvas, series, {
+    xMin, xMax, maxGap = Infinity, unit = "", yMin: yFloor = null, hLines = [], markers = []
+  } = {}) {
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || 600;
+    const height = canvas.clientHeight || 220;
+    // resizing clears and reallocates the canvas, only do it when needed
+    if (canvas.width !== width * dpr || canvas.height !== height * dpr) {
+      canvas.width = width * dpr;
+      canvas.height = height * dpr;
+    }
+
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const pad = { left: 48, right: 10, top: 10, bottom: 22 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+
+    let yMin = Infinity, yMax = -Infinity;
+    series.forEach(s => s.points.forEach(([, v]) => {
+      if (v < yMin) yMin = v;
+      if (v > yMax) yMax = v;
+    }));
+    // reference lines may come from other data than the (averaged) points
+    if (yMin !== Infinity) {
+      hLines.forEach(({ value }) => {
+        if (value < yMin) yMin = value;
+        if (value > yMax) yMax = value;
+      });
+    }
+
+    ctx.font = "11px sans-serif";
+    ctx.fillStyle = "#666";
+
+    if (yMin === Infinity) {
+      ctx.textAlign = "center";
+      ctx.fillText("No data", width / 2, height / 2);
+      return;
+    }
+
+    if (yMin === yMax) {
+      yMin -= 1;
+      yMax += 1;
+    }
+    const yPad = (yMax - yMin) * 0.05;
+    yMin -= yPad;
+    yMax += yPad;
+    if (yFloor != null) yMin = yFloor;
+
+    const xOf = ts => pad.left + ((ts - xMin) / (xMax - xMin)) * plotW;
+    const yOf = v => pad.top + (1 - (v - yMin) / (yMax - yMin)) * plotH;
+
+    // grid + y axis labels
+    ctx.strokeStyle = "#eee";
+    ctx.lineWidth = 1;
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    for (let i = 0; i <= 4; i++) {
+      const v = yMin + ((yMax - yMin) * i) / 4;
+      const y = yOf(v);
+      ctx.beginPath();
+      ctx.moveTo(pad.left, y);
+      ctx.lineTo(width - pad.right, y);
+      ctx.stroke();
+      ctx.fillText(`${v.toFixed(1)}${unit}`, pad.left - 4, y);
+    }
+
+    // x axis labels
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    for (let i = 0; i <= 4; i++) {
+      const ts = xMin + ((xMax - xMin) * i) / 4;
+      const x = xOf(ts);
+      ctx.textAlign = i === 0 ? "left" : (i === 4 ? "right" : "center");
+      ctx.fillText(formatChartTime(ts, xMax - xMin), x, height - pad.bottom + 6);
+    }
+
+    // event markers
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "#999";
+    ctx.fillStyle = "#555";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.setLineDash([3, 3]);
+    markers.forEach((m, idx) => {
+      const x = xOf(m.ts);
+      ctx.beginPath();
+      ctx.moveTo(x, pad.top);
+      ctx.lineTo(x, pad.top + plotH);
+      ctx.stroke();
+      ctx.fillText(m.label, x + 2, pad.top + (idx % 3) * 12);
+    });
+
+    // reference lines
+    hLines.forEach(l => {
+      ctx.strokeStyle = l.color;
+      ctx.setLineDash(l.dash || [4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(pad.left, yOf(l.value));
+      ctx.lineTo(width - pad.right, yOf(l.value));
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // lines
+    ctx.lineWidth = 1.5;
+    series.forEach(s => {
+      ctx.strokeStyle = s.color;
+      ctx.beginPath();
+      let prevTs = null;
+      s.points.forEach(([ts, v]) => {
+        if (prevTs === null || ts - prevTs > maxGap) {
+          ctx.moveTo(xOf(ts), yOf(v));
+        } else {
+          ctx.lineTo(xOf(ts), yOf(v));
+        }
+        prevTs = ts;
+      });
+      ctx.stroke();
+    });
+  }
+
+  // --- Throughput chart ---
+
+  const THROUGHPUT_RANGES = {
+    "60s": 60 * 1000,
+    "10m": 10 * 60 * 1000,
+    "1h": 3600 * 1000
+  };
+
+  // in-memory only: one entry per poll for the longest range
+  const throughput = {
+    samples: [], // { ts, rx, tx } in Mbit/s
+    markers: [], // { ts, label }
+    lastCellKey: null
+  };
+
+  function recordThroughput(netInfo, signal, wanStat, now = Date.now()) {
+    const toMbit = v => (Number(v) * 8) / 1e6 || 0;
+    throughput.samples.push({ ts: now, rx: toMbit(wanStat?.real_rx_speed), tx: toMbit(wanStat?.real_tx_speed) });
+
+    // mark changes of the serving band set or PCI
+    const bands = getConnectedBands(netInfo, signal).join("+");
+    const pci = getPrimaryCarrier(netInfo, signal)?.pci;
+    const key = `${bands}|${pci ?? ""}`;
+    if (throughput.lastCellKey !== null && key !== throughput.lastCellKey) {
+      throughput.markers.push({ ts: now, label: `${bands || "-"} PCI ${pci ?? "-"}` });
+    }
+    throughput.lastCellKey = key;
+
+    const cutoff = now - THROUGHPUT_RANGES["1h"];
+    while (throughput.samples.length > 0 && throughput.samples[0].ts < cutoff) throughput.samples.shift();
+    while (throughput.markers.length > 0 && throughput.markers[0].ts < cutoff) throughput.markers.shift();
+
+    renderThroughputChart();
+  }
+
+  function renderThroughputChart() {
+    const section = document.getElementById("throughput-section");
+    const canvas = document.getElementById("throughput-chart");
+    const legend = document.getElementById("throughput-legend");
+    if (!section || !canvas || !legend || section.style.display === "none") return;
+
+    const to = Date.now();
+    const from = to - THROUGHPUT_RANGES[document.getElementById("throughput-range").value];
+    const visible = throughput.samples.filter(s => s.ts >= from);
+
+    // longer ranges are averaged down to about one point per pixel
+    const bucketMs = Math.max(1000, Math.ceil((to - from) / (canvas.clientWidth || 600)));
+    function bucketize(key) {
+      const buckets = new Map();
+      visible.forEach(s => {
+        const b = Math.floor((s.ts - from) / bucketMs);
+        const acc = buckets.get(b) || { sum: 0, count: 0 };
+        acc.sum += s[key];
+        acc.count++;
+        buckets.set(b, acc);
+      });
+      return [...buckets.entries()].map(([b, acc]) => [from + (b + 0.5) * bucketMs, acc.sum / acc.count]);
+    }
+
+    const stats = key => {
+      const values = visible.map(s => s[key]);
+      return {
+        peak: values.length > 0 ? Math.max(...values) : 0,
+        avg: values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0
+      };
+    };
+    const dl = stats("rx");
+    const ul = stats("tx");
+
+    const DL_COLOR = CHART_COLORS[0];
+    const UL_COLOR = CHART_COLORS[1];
+
+    drawLineChart(canvas, [
+      { color: DL_COLOR, points: bucketize("rx") },
+      { color: UL_COLOR, points: bucketize("tx") }
+    ], {
+      xMin: from,
+      xMax: to,
+      yMin: 0,
+      unit: "M",
+      maxGap: Math.max(bucketMs * 3, 5000),
+      hLines: visible.length > 0 ? [
+        { value: dl.peak, color: DL_COLOR, dash: [2, 3] },
+        { value: dl.avg, color: DL_COLOR, dash: [6, 4] },
+        { value: ul.peak, color: UL_COLOR, dash: [2, 3] },
+        { value: ul.avg, color: UL_COLOR, dash: [6, 4] }
+      ] : [],
+      markers: throughput.markers.filter(m => m.ts >= from)
+    });
+
+    legend.innerHTML = `
+      <span><i style="background:${DL_COLOR}"></i>DL peak ${dl.peak.toFixed(1)} / avg ${dl.avg.toFixed(1)} Mbit/s</span>
+      <span><i style="background:${UL_COLOR}"></i>UL peak ${ul.peak.toFixed(1)} / avg ${ul.avg.toFixed(1)} Mbit/s</span>
+    `;
+  }
+
+  function setupThroughputChart() {
+    const rangeSel = document.getElementById("throughput-range");
+    rangeSel.value = localStorage.getItem("ScriptThroughputRange") || "60s";
+    rangeSel.addEventListener("change", () => {
+      localStorage.setItem("ScriptThroughputRange", rangeSel.value);
+      renderThroughputChart();
+    });
+  }
+
+  // --- Signal history chart ---
+
+  const SIGNAL_HISTORY_RANGES = {
+    "15m": 15 * 60 * 1000,
+    "1h": 3600 * 1000,
+    "6h": 6 * 3600 * 1000,
+    "24h": 86400 * 1000,
+    "7d": 7 * 86400 * 1000
+  };
+
+  let signalHistoryRefreshRunning = false;
+
+  // averages every carrier into a fixed number of time buckets
+  async function loadSignalHistorySeries(metric, from, to, bucketCount) {
+    const bucketMs = Math.max(1000, Math.ceil((to - from) / bucketCount));
+    const byKey = new Map();
+
+    function add(tech, cell, ts) {
+      const v = cell[metric];
+      if (v == null || !Number.isFinite(v)) return;
+
+      const key = SignalHistory.carrierKey(tech, cell);
+      let entry = byKey.get(key);
+      if (!entry) {
+        entry = { key, label: SignalHistory.carrierLabel(tech, cell), buckets: new Map() };
+        byKey.set(key, entry);
+      }
+
+      const bucket = Math.floor((ts - from) / bucketMs);
+      const acc = entry.buckets.get(bucket) || { sum: 0, count: 0 };
+      acc.sum += v;
+      acc.count++;
+      entry.buckets.set(bucket, acc);
+    }
+
+    await SignalHistory.iterate(from, to, sample => {
+      sample.lte?.forEach(cell => add("LTE", cell, sample.ts));
+      sample.nr?.forEach(cell => add("NR", cell, sample.ts));
+    });
+
+    const series = [...byKey.values()]
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .map((entry, idx) => ({
+        label: entry.label,
+        color: CHART_COLORS[idx % CHART_COLORS.length],
+        points: [...entry.buckets.entries()]
+          .sort((a, b) => a[0] - b[0])
+          .map(([bucket, acc]) => [from + (bucket + 0.5) * bucketMs, acc.sum / acc.count])
+      }));
+
+    return { series, bucketMs };
+  }
+
+  async function refreshSignalHistoryChart() {
+    const section = document.getElementById("signal-history-section");
+    const canvas = document.getElementById("signal-history-chart");
+    const legend = document.getElementById("signal-history-legend");
+    if (!section || !canvas || !legend || section.style.display === "none") return;
+    if (signalHistoryRefreshRunning) return;
+
+    signalHistoryRefreshRunning = true;
+    try {
+      const metric = document.getElementById("signal-history-metric").value;
+      const rangeMs = SIGNAL_HISTORY_RANGES[document.getElementById("signal-history-range").value];
+      const to = Date.now();
+      const from = to - rangeMs;
+
+      const { series, bucketMs } = await loadSignalHistorySeries(metric, from, to, canvas.clientWidth || 600);
+
+      drawLineChart(canvas, series, {
+        xMin: from,
+        xMax: to,
+        maxGap: Math.max(bucketMs * 3, 10 * 1000),
+        unit: metric === "sinr" || metric === "rsrq" ? " dB" : ""
+      });
+
+      legend.innerHTML = series.map(s =>
+        `<span><i style="background:${s.color}"></i>${s.label}</span>`
+      ).join("");
+    } catch (e) {
+      scriptErrorMsg(`Failed to load signal history: ${e}`);
+    } finally {
+      signalHistoryRefreshRunning = false;
+    }
+  }
+
+  function setupSignalHistory() {
+    const metricSel = document.getElementById("signal-history-metric");
+    const rangeSel = document.getElementById("signal-history-range");
+    const retentionInput = document.getElementById("signal-history-retention");
+
+    metricSel.value = localStorage.getItem("ScriptSignalHistoryMetric") || "rsrp";
+    rangeSel.value = localStorage.getItem("ScriptSignalHistoryRange") || "1h";
+    retentionInput.value = SignalHistory.getRetentionDays();
+
+    metricSel.addEventListener("change", () => {
+      localStorage.setItem("ScriptSignalHistoryMetric", metricSel.value);
+      refreshSignalHistoryChart();
+    });
+
+    rangeSel.addEventListener("change", () => {
+      localStorage.setItem("ScriptSignalHistoryRange", rangeSel.value);
+      refreshSignalHistoryChart();
+    });
+
+    retentionInput.addEventListener("change", () => {
+      const days = parseInt(retentionInput.value, 10);
+      if (isNaN(days) || days < 1 || days > 365) {
+        alert("Retention must be between 1 and 365 days.");
+        retentionInput.value = SignalHistory.getRetentionDays();
+        return;
+      }
+      SignalHistory.setRetentionDays(days);
+      SignalHistory.prune().catch(e => scriptErrorMsg(`Failed to prune signal history: ${e}`));
+    });
+
+    // drop old samples now and then once an hour
+    const prune = () => SignalHistory.prune()
+      .catch(e => scriptErrorMsg(`Failed to prune signal history: ${e}`));
+    prune();
+    setInterval(prune, 3600 * 1000);
+
+    setInterval(refreshSignalHistoryChart, 10 * 1000);
+  }
+
+  // --- Data quota ---
+
+  const TRAFFIC_SNAPSHOT_STORE = "traffic_snapshots";
+  const TRAFFIC_SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+
+  const QUOTA_DEFAULTS = {
+    enabled: false,
+    cycleStartDay: 1,
+    allowanceGb: 100,
+    countUpload: true,
+    actions: {
+      80: { notify: true, bearer: "" },
+      100: { notify: true, bearer: "" }
+    }
+  };
+
+  const trafficSnapshotState = { lastTs: 0, lastTotals: null };
+
+  class QuotaTracker {
+    static loadConfig() {
+      try {
+        const saved = JSON.parse(localStorage.getItem("ScriptQuotaConfig") || "{}");
+        return { ...QUOTA_DEFAULTS, ...saved, actions: { ...QUOTA_DEFAULTS.actions, ...(saved.actions || {}) } };
+      } catch {
+        return { ...QUOTA_DEFAULTS };
+      }
+    }
+
+    static saveConfig(config) {
+      localStorage.setItem("ScriptQuotaConfig", JSON.stringify(config));
+    }
+
+    // stores the cumulative counters every few minutes and whenever they go backwards
+    static async maybeRecord(wanStat, now = Date.now()) {
+      const rx = Number(wanStat?.total_rx_bytes);
+      const tx = Number(wanStat?.total_tx_bytes);
+      if (!Number.isFinite(rx) || !Number.isFinite(tx)) return;
+
+      const last = trafficSnapshotState.lastTotals;
+      const reset = last && (rx < last.rx || tx < last.tx);
+      trafficSnapshotState.lastTotals = { rx, tx };
+      if (!reset && now - trafficSnapshotState.lastTs < TRAFFIC_SNAPSHOT_INTERVAL_MS) return;
+
+      trafficSnapshotState.lastTs = now;
+      await withScriptStore(TRAFFIC_SNAPSHOT_STORE, "readwrite", store => store.put({
+        ts: now,
+        total_rx_bytes: rx,
+        total_tx_bytes: tx,
+        month_rx_bytes: Number(wanStat.month_rx_bytes) || 0,
+        month_tx_bytes: Number(wanStat.month_tx_bytes) || 0
+      }));
+    }
+
+    static async prune(now = Date.now()) {
+      // a bit more than a year
+      const cutoff = now - 400 * 86400 * 1000;
+      await withScriptStore(TRAFFIC_SNAPSHOT_STORE, "readwrite", store =>
+        store.delete(IDBKeyRange.upperBound(cutoff))
+      );
+    }
+
+    static getCycle(startDay, now = Date.now()) {
+      const d = new Date(now);
+
+      const startOf = (year, month) => {
+        const last = new Date(year, month + 1, 0).getDate();
+        return new Date(year, month, Math.min(startDay, last));
+      };
+
+      let start = startOf(d.getFullYear(), d.getMonth());
+      if (start.getTime() > now) {
+        start = startOf(d.getFullYear(), d.getMonth() - 1);
+      }
+      const end = startOf(start.getFullYear(), start.getMonth() + 1);
+      return { start: start.getTime(), end: end.getTime() };
+    }
+
+    // sum of counter deltas; a counter that went backwards was reset and counts from zero
+    static sumUsage(snapshots, countUpload) {
+      let rx = 0, tx = 0;
+      for (let i = 1; i < snapshots.length; i++) {
+        const prev = snapshots[i - 1], cur = snapshots[i];
+        rx += cur.total_rx_bytes >= prev.total_rx_bytes ? cur.total_rx_bytes - prev.total_rx_bytes : cur.total_rx_bytes;
+        tx += cur.total_tx_bytes >= prev.total_tx_bytes ? cur.total_tx_bytes - prev.total_tx_bytes : cur.total_tx_bytes;
+      }
+      return { rx, tx, used: rx + (countUpload ? tx : 0) };
+    }
+
+    static async compute(config, now = Date.now()) {
+      const { start, end } = this.getCycle(config.cycleStartDay, now);
+
+      const snapshots = [];
+      await iterateScriptStore(TRAFFIC_SNAPSHOT_STORE, start, now, s => snapshots.push(s));
+      let { rx, tx } = this.sumUsage(snapshots, config.countUpload);
+
+      // The last snapshot before the cycle is the baseline. Its traffic up to the
+      // first snapshot of the cycle is spread evenly over that gap and only the
+      // part after the cycle start counts: after weeks with the page closed the
+      // gap would charge all of it to this cycle otherwise.
+      const baseline = await getLastScriptRecordBefore(TRAFFIC_SNAPSHOT_STORE, start);
+      let estimatedUntil = null;
+      if (baseline && snapshots.length > 0) {
+        const first = snapshots[0];
+        const head = this.sumUsage([baseline, first], config.countUpload);
+        const share = (first.ts - start) / (first.ts - baseline.ts);
+        rx += head.rx * share;
+        tx += head.tx * share;
+        if (first.ts - baseline.ts > 2 * TRAFFIC_SNAPSHOT_INTERVAL_MS) estimatedUntil = first.ts;
+      }
+      const used = rx + (config.countUpload ? tx : 0);
+      const allowance = config.allowanceGb * 1024 ** 3;
+      const elapsedDays = Math.max((now - start) / 86400000, 1 / 24);
+      const cycleDays = (end - start) / 86400000;
+      const dailyAvg = used / elapsedDays;
+
+      return {
+        start,
+        end,
+        rx,
+        tx,
+        used,
+        allowance,
+        remaining: Math.max(allowance - used, 0),
+        percent: allowance > 0 ? (used / allowance) * 100 : 0,
+        dailyAvg,
+        projected: dailyAvg * cycleDays,
+        since: baseline?.ts ?? snapshots[0]?.ts ?? null,
+        estimatedUntil
+      };
+    }
+
+    // fires each threshold action once per billing cycle
+    static async runActions(config, stats) {
+      let fired = {};
+      try {
+        fired = JSON.parse(localStorage.getItem("ScriptQuotaFired") || "{}");
+      } catch {
+        // start over
+      }
+      if (fired.cycle !== stats.start) fired = { cycle: stats.start, levels: [] };
+
+      for (const level of [80, 100]) {
+        if (stats.percent < level || fired.levels.includes(level)) continue;
+
+        fired.levels.push(level);
+        localStorage.setItem("ScriptQuotaFired", JSON.stringify(fired));
+
+        const action = config.actions[level] || {};
+        const msg = `Data quota ${level}% reached (${fmtGb(stats.used)} of ${config.allowanceGb} GB)`;
+        if (action.notify) {
+          raiseAlert(`quota_${level}`, msg);
+        } else {
+          scriptMsg(msg);
+        }
+
+        if (action.bearer) {
+          const { res } = await runWithRetry(() => setBearer(action.bearer));
+          scriptMsg(`Quota: switching bearer to ${action.bearer} ${res?.success ? "succeeded" : "failed"}.`);
+        }
+      }
+    }
+  }
+
+  function fmtGb(bytes) {
+    return (bytes / 1024 ** 3).toFixed(2) + " GB";
+  }
+
+  let quotaUpdateRunning = false;
+
+  async function updateQuotaInfo() {
+    const box = document.getElementById("quota-info");
+    const config = QuotaTracker.loadConfig();
+    if (!box) return;
+
+    if (!config.enabled) {
+      box.style.display = "none";
+      return;
+    }
+    // paused while logging in again, the quota actions call the router
+    if (quotaUpdateRunning || sessionState.recovering) return;
+
+    quotaUpdateRunning = true;
+    try {
+      const stats = await QuotaTracker.compute(config);
+      await QuotaTracker.runActions(config, stats);
+
+      const pct = Math.min(stats.percent, 100);
+      const color = stats.percent >= 100 ? "#d62728" : stats.percent >= 80 ? "#e0a800" : "#4CAF50";
+      const fmtDay = ts => new Date(ts).toLocaleDateString();
+      const partial = stats.since && stats.since > stats.start
+        ? `<tr><td colspan="2" class="quota-note">Recording since ${new Date(stats.since).toLocaleString()}, earlier usage is unknown.</td></tr>`
+        : stats.estimatedUntil
+          ? `<tr><td colspan="2" class="quota-note">Nothing recorded from the cycle start until ${new Date(stats.estimatedUntil).toLocaleString()}, that usage is estimated.</td></tr>`
+          : "";
+
+      box.style.display = "block";
+      box.innerHTML = `
+        <div class="quota-bar"><div style="width:${pct}%;background:${color}"></div></div>
+        <table class="info-table">
+          <tr><th>Billing Cycle</th><td>${fmtDay(stats.start)} – ${fmtDay(stats.end - 1)}</td></tr>
+          <tr><th>Used</th><td>${fmtGb(stats.used)} of ${config.allowanceGb} GB (${stats.percent.toFixed(1)}%)</td></tr>
+          <tr><th>Remaining</th><td>${fmtGb(stats.remaining)}</td></tr>
+          <tr><th>Daily Average</th><td>${fmtGb(stats.dailyAvg)}</td></tr>
+          <tr><th>Projected</th><td>${fmtGb(stats.projected)}</td></tr>
+          ${partial}
+        </table>
+      `;
+    } catch (e) {
+      scriptErrorMsg(`Failed to compute data quota: ${e}`);
+    } finally {
+      quotaUpdateRunning = false;
+    }
+  }
+
+  function showQuotaSettings() {
+    const c = QuotaTracker.loadConfig();
+    const bearerSelect = (id, selected) => `
+      <select id="${id}">
+        <option value="">no change</option>
+        ${BEARER_MODES.map(m => `<option value="${m}" ${m === selected ? "selected" : ""}>${m}</option>`).join("")}
+      </select>
+    `;
+
+    const html = `
+      <div class="quota-form">
+        <label><input type="checkbox" id="quota-enabled" ${c.enabled ? "checked" : ""}> Track data quota</label>
+        <label>Billing cycle starts on day <input type="number" id="quota-day" min="1" max="31" value="${c.cycleStartDay}"></label>
+        <label>Allowance <input type="number" id="quota-gb" min="1" value="${c.allowanceGb}"> GB</label>
+        <label><input type="checkbox" id="quota-upload" ${c.countUpload ? "checked" : ""}> Upload counts towards the quota</label>
+        ${[80, 100].map(level => `
+          <fieldset>
+            <legend>At ${level}%</legend>
+            <label><input type="checkbox" id="quota-notify-${level}" ${c.actions[level]?.notify ? "checked" : ""}> Notify</label>
+            <label>Switch bearer to ${bearerSelect(`quota-bearer-${level}`, c.actions[level]?.bearer)}</label>
+          </fieldset>
+        `).join("")}
+      </div>
+      <div class="quota-actions"><button id="btn-quota-save">Save</button></div>
+
+      <style>
+        .quota-form {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          font-size: 13px;
+        }
+        .quota-form input[type=number] {
+          width: 70px;
+        }
+        .quota-form fieldset {
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          display: flex;
+          gap: 16px;
+        }
+        .quota-actions {
+          margin-top: 12px;
+          text-align: center;
+        }
+      </style>
+    `;
+
+    ShowInfoWindow("Data Quota", html);
+
+    document.getElementById("btn-quota-save").addEventListener("click", () => {
+      const day = parseInt(document.getElementById("quota-day").value, 10);
+      const gb = parseFloat(document.getElementById("quota-gb").value);
+      if (!(day >= 1 && day <= 31) || !(gb > 0)) {
+        alert("Enter a start day between 1 and 31 and an allowance above 0.");
+        return;
+      }
+
+      QuotaTracker.saveConfig({
+        enabled: document.getElementById("quota-enabled").checked,
+        cycleStartDay: day,
+        allowanceGb: gb,
+        countUpload: document.getElementById("quota-upload").checked,
+        actions: Object.fromEntries([80, 100].map(level => [level, {
+          notify: document.getElementById(`quota-notify-${level}`).checked,
+          bearer: document.getElementById(`quota-bearer-${level}`).value
+        }]))
+      });
+
+      document.getElementById("info-window-overlay")?.remove();
+      updateQuotaInfo();
+    });
+  }
+
+  function setupQuota() {
+    const prune = () => QuotaTracker.prune()
+      .catch(e => scriptErrorMsg(`Failed to prune traffic snapshots: ${e}`));
+    prune();
+    setInterval(prune, 3600 * 1000);
+
+    updateQuotaInfo();
+    setInterval(updateQuotaInfo, 60 * 1000);
+  }
+
+  // --- Sample export ---
+
+  // Signal column names are the LteSignal/NrSignal field names,
+  // traffic column names the get_wwandst field names.
+  const EXPORT_SIGNAL_FIELDS = [
+    "pci", "earfcn", "arfcn", "band", "bandwidth", "dlFreqMhz", "ulEarfcn", "ulFreqMhz", "duplex", "gscn",
+    "rsrp", "rsrq", "sinr", "rssi", "ulConfigured", "bandActive"
+  ];
+
+  const EXPORT_TRAFFIC_FIELDS = [
+    "real_time", "real_rx_speed", "real_tx_speed", "real_rx_bytes", "real_tx_bytes",
+    "real_rx_packets", "real_tx_packets", "month_rx_bytes", "month_tx_bytes",
+    "total_rx_bytes", "total_tx_bytes"
+  ];
+
+  const EXPORT_COLUMNS = [
+    { name: "ts", group: "Sample", get: s => s.ts },
+    { name: "time", group: "Sample", get: s => new Date(s.ts).toISOString() },
+    { name: "networkType", group: "Sample", get: s => s.networkType },
+    { name: "provider", group: "Sample", get: s => s.provider },
+    { name: "cellId", group: "Sample", get: s => s.cellId },
+    { name: "nrCellId", group: "Sample", get: s => s.nrCellId },
+    { name: "tech", group: "Signal", get: (s, tech) => tech },
+    ...EXPORT_SIGNAL_FIELDS.map(name => ({ name, group: "Signal", get: (s, tech, cell) => cell?.[name] })),
+    ...EXPORT_TRAFFIC_FIELDS.map(name => ({ name, group: "Traffic", get: s => s.traffic?.[name] }))
+  ];
+
+  // one row per carrier per sample; samples without carriers still yield a row
+  function sampleToExportRows(sample, columns) {
+    const carriers = [
+      ...(sample.lte || []).map(cell => ["LTE", cell]),
+      ...(sample.nr || []).map(cell => ["NR", cell])
+    ];
+    if (carriers.length === 0) carriers.push([null, null]);
+
+    return carriers.map(([tech, cell]) => {
+      const row = {};
+      columns.forEach(col => {
+        const v = col.get(sample, tech, cell);
+        row[col.name] = (v === undefined || (typeof v === "number" && isNaN(v))) ? null : v;
+      });
+      return row;
+    });
+  }
+
+  function csvEscape(val) {
+    if (val === null || val === undefined) return "";
+    const str = String(val);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  function serializeExportRows(rows, columns, format) {
+    if (format === "csv") {
+      const names = columns.map(c => c.name);
+      const lines = [names.join(",")];
+      rows.forEach(row => lines.push(names.map(n => csvEscape(row[n])).join(",")));
+      return lines.join("\r\n") + "\r\n";
+    }
+    if (format === "ndjson") {
+      return rows.map(row => JSON.stringify(row)).join("\n") + "\n";
+    }
+    return JSON.stringify(rows, null, 2);
+  }
+
+  function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function toDateTimeLocalValue(ts) {
+    const d = new Date(ts - new Date(ts).getTimezoneOffset() * 60000);
+    return d.toISOString().slice(0, 16);
+  }
+
+  function showExportDialog() {
+    const now = Date.now();
+    const saved = (localStorage.getItem("ScriptExportColumns") || "").split(",").filter(Boolean);
+    const isChecked = name => saved.length === 0 || saved.includes(name);
+
+    const groups = [...new Set(EXPORT_COLUMNS.map(c => c.group))];
+    const columnHtml = groups.map(group => `
+      <fieldset class="export-columns">
+        <legend>${group}</legend>
+        ${EXPORT_COLUMNS.filter(c => c.group === group).map(c => `
+          <label><input type="checkbox" name="export-col" value="${c.name}" ${isChecked(c.name) ? "checked" : ""}> ${c.name}</label>
+        `).join("")}
+      </fieldset>
+    `).join("");
+
+    const html = `
+      <div class="export-form">
+        <label>From <input type="datetime-local" id="export-from" value="${toDateTimeLocalValue(now - 3600 * 1000)}"></label>
+        <label>To <input type="datetime-local" id="export-to" value="${toDateTimeLocalValue(now)}"></label>
+        <label>Format
+          <select id="export-format">
+            <option value="csv">CSV</option>
+            <option value="json">JSON</option>
+            <option value="ndjson">NDJSON</option>
+          </select>
+        </label>
+      </div>
+      ${columnHtml}
+      <div class="export-actions">
+        <button id="btn-export-run">Export</button>
+        <span id="export-status"></span>
+      </div>
+
+      <style>
+        .export-form {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 12px;
+          justify-content: center;
+          font-size: 13px;
+        }
+        .export-columns {
+          margin-top: 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          gap: 4px 12px;
+          font-size: 13px;
+        }
+        .export-actions {
+          margin-top: 12px;
+          text-align: center;
+        }
+        #export-status {
+          margin-left: 8px;
+          font-size: 13px;
+          color: #444;
+        }
+      </style>
+    `;
+
+    ShowInfoWindow("Export Samples", html);
+
+    const formatSel = document.getElementById("export-format");
+    formatSel.value = localStorage.getItem("ScriptExportFormat") || "csv";
+
+    document.getElementById("btn-export-run").addEventListener("click", async () => {
+      const status = document.getElementById("export-status");
+      const from = new Date(document.getElementById("export-from").value).getTime();
+      const to = new Date(document.getElementById("export-to").value).getTime();
+      const format = formatSel.value;
+      const selected = [...document.querySelectorAll("input[name=export-col]:checked")].map(c => c.value);
+      const columns = EXPORT_COLUMNS.filter(c => selected.includes(c.name));
+
+      if (isNaN(from) || isNaN(to) || from >= to) {
+        alert("Invalid time range.");
+        return;
+      }
+      if (columns.length === 0) {
+        alert("Select at least one column.");
+        return;
+      }
+
+      localStorage.setItem("ScriptExportColumns", selected.join(","));
+      localStorage.setItem("ScriptExportFormat", format);
+
+      status.textContent = "Exporting...";
+      try {
+        const rows = [];
+        await SignalHistory.iterate(from, to, sample => {
+          rows.push(...sampleToExportRows(sample, columns));
+        });
+
+        const mime = { csv: "text/csv", json: "application/json", ndjson: "application/x-ndjson" }[format];
+        const stamp = new Date(from).toISOString().slice(0, 16).replace(/[:T]/g, "-");
+        downloadFile(`zte-samples-${stamp}.${format}`, serializeExportRows(rows, columns, format), mime);
+        status.textContent = `${rows.length} rows exported.`;
+      } catch (e) {
+        scriptErrorMsg(`Export failed: ${e}`);
+        status.textContent = "Export failed.";
+      }
+    });
+  }
+
+  // --- Cell database browser ---
+
+  const CELL_DB_COLUMNS = [
+    ["tech", "Tech"], ["provider", "Provider"], ["band", "Band"], ["node", "eNB/gNB"], ["sector", "Sector"],
+    ["pci", "PCI"], ["channel", "(E)ARFCN"], ["lastSeen", "Last Seen"], ["samples", "Samples"],
+    ["rsrp", "RSRP best/avg/worst"], ["sinr", "SINR best/avg/worst"]
+  ];
+
+  function cellDbSortValue(rec, key) {
+    if (key === "rsrp" || key === "sinr") return rec[key].count > 0 ? rec[key].sum / rec[key].count : -Infinity;
+    return rec[key] ?? "";
+  }
+
+  function renderCellDbTable(container, records, { filter, tech, primaryOnly, sortKey, sortAsc }) {
+    const needle = filter.trim().toLowerCase();
+    const fmtStat = s => s.count > 0 && s.best != null && s.worst != null
+      ? `${s.best.toFixed(1)} / ${(s.sum / s.count).toFixed(1)} / ${s.worst.toFixed(1)}`
+      : "-";
+
+    const rows = records
+      .filter(r => !tech || r.tech === tech)
+      .filter(r => !primaryOnly || r.primary)
+      .filter(r => !needle || [
+        r.provider, r.band != null ? `${r.tech === "NR" ? "n" : "b"}${r.band}` : null,
+        r.node, toHex(r.node, false), r.pci, r.channel
+      ].some(v => v != null && String(v).toLowerCase().includes(needle)))
+      .sort((a, b) => {
+        const va = cellDbSortValue(a, sortKey);
+        const vb = cellDbSortValue(b, sortKey);
+        const cmp = typeof va === "number" && typeof vb === "number"
+          ? va - vb
+          : String(va).localeCompare(String(vb));
+        return sortAsc ? cmp : -cmp;
+      });
+
+    const header = CELL_DB_COLUMNS.map(([key, label]) => {
+      const arrow = key === sortKey ? (sortAsc ? " ▲" : " ▼") : "";
+      return `<th data-sort="${key}">${label}${arrow}</th>`;
+    }).join("");
+
+    // records come from IndexedDB, which may hold an imported file: escape everything
+    const body = rows.map(r => `
+      <tr title="First seen ${escapeHtml(new Date(r.firstSeen).toLocaleString())}${r.primary ? "" : ", only seen as SCell"}">
+        <td>${escapeHtml(r.tech)}</td>
+        <td>${escapeHtml(r.provider ?? "-")}</td>
+        <td>${r.band != null ? escapeHtml(r.tech === "NR" ? `N${r.band}` : `B${r.band}`) : "-"}</td>
+        <td>${r.node != null ? escapeHtml(`${r.node} (${toHex(r.node, false)})`) : "-"}</td>
+        <td>${escapeHtml(r.sector ?? "-")}</td>
+        <td>${escapeHtml(r.pci)}</td>
+        <td>${escapeHtml(r.channel)}</td>
+        <td>${escapeHtml(new Date(r.lastSeen).toLocaleString())}</td>
+        <td>${escapeHtml(r.samples)}</td>
+        <td>${escapeHtml(fmtStat(r.rsrp))}</td>
+        <td>${escapeHtml(fmtStat(r.sinr))}</td>
+        <td><button class="celldb-lock" data-tech="${escapeHtml(r.tech)}" data-pci="${escapeHtml(r.pci)}"
+          data-channel="${escapeHtml(r.channel)}" data-band="${escapeHtml(r.band ?? "")}">Lock</button></td>
+      </tr>
+    `).join("");
+
+    container.innerHTML = `
+      <div class="celldb-count">${rows.length} of ${records.length} cells</div>
+      <table class="celldb-table">
+        <tr>${header}<th></th></tr>
+        ${body}
+      </table>
+    `;
+  }
+
+  function importCellDatabaseFromFile(onDone) {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/json,.json";
+
+    input.addEventListener("change", async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+
+      try {
+        const data = JSON.parse(await file.text());
+        if (data?.type !== "zte-script-ng-cells" || !Array.isArray(data.cells)) {
+          throw new Error("Not a ZTE-Script-NG cell database file");
+        }
+        // version 1 files have no sources: the export time stands in for one,
+        // so importing the same file again still replaces its samples
+        const fileSource = `file-${String(data.created ?? "").replace(/[^\w:.-]/g, "").slice(0, 59)}`;
+        const added = await CellDatabase.merge(data.cells, fileSource);
+        scriptMsg(`Merged ${data.cells.length} cell(s), ${added} new.`);
+        onDone();
+      } catch (e) {
+        alert(`Import failed: ${e.message}`);
+      }
+    });
+
+    input.click();
+  }
+
+  async function showCellDatabase() {
+    let records;
+    try {
+      records = await CellDatabase.getAll();
+    } catch (e) {
+      scriptErrorMsg(`Failed to load cell database: ${e}`);
+      return;
+    }
+
+    const view = { filter: "", tech: "", primaryOnly: false, sortKey: "lastSeen", sortAsc: false };
+
+    const html = `
+      <div class="celldb-form">
+        <input type="text" id="celldb-filter" placeholder="Filter provider, band, eNB/gNB, PCI, channel">
+        <select id="celldb-tech">
+          <option value="">All</option>
+          <option value="LTE">LTE</option>
+          <option value="NR">NR</option>
+        </select>
+        <label><input type="checkbox" id="celldb-primary"> Primary cells only</label>
+      </div>
+      <div id="celldb-container"></div>
+      <div class="celldb-actions">
+        <button data-action="export">Export</button>
+        <button data-action="import">Import / Merge</button>
+        <button data-action="clear">Clear</button>
+      </div>
+
+      <style>
+        .celldb-form {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+          align-items: center;
+          font-size: 13px;
+        }
+        #celldb-filter {
+          flex: 1;
+        }
+        .celldb-count {
+          margin: 8px 0 4px;
+          font-size: 12px;
+          color: #666;
+        }
+        .celldb-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 12px;
+        }
+        .celldb-table th, .celldb-table td {
+          border: 1px solid #ddd;
+          padding: 3px 5px;
+          text-align: center;
+          white-space: nowrap;
+        }
+        .celldb-table th[data-sort] {
+          cursor: pointer;
+          background: #f3f3f3;
+        }
+        .celldb-actions {
+          margin-top: 12px;
+          text-align: center;
+        }
+      </style>
+    `;
+
+    ShowInfoWindow("Cell Database", html);
+
+    const container = document.getElementById("celldb-container");
+    const render = () => renderCellDbTable(container, records, view);
+    const reload = async () => {
+      records = await CellDatabase.getAll();
+      render();
+    };
+    render();
+
+    document.getElementById("celldb-filter").addEventListener("input", e => {
+      view.filter = e.target.value;
+      render();
+    });
+    document.getElementById("celldb-tech").addEventListener("change", e => {
+      view.tech = e.target.value;
+      render();
+    });
+    document.getElementById("celldb-primary").addEventListener("change", e => {
+      view.primaryOnly = e.target.checked;
+      render();
+    });
+
+    container.addEventListener("click", async (e) => {
+      const th = e.target.closest("th[data-sort]");
+      if (th) {
+        const key = th.dataset.sort;
+        view.sortAsc = view.sortKey === key ? !view.sortAsc : !["lastSeen", "samples", "rsrp", "sinr"].includes(key);
+        view.sortKey = key;
+        render();
+        return;
+      }
+
+      const btn = e.target.closest("button.celldb-lock");
+      if (btn) await confirmAndLockCell(btn.dataset);
+    });
+
+    document.querySelector(".celldb-actions").addEventListener("click", async (e) => {
+      const action = e.target.closest("button")?.dataset.action;
+      try {
+        switch (action) {
+          case "export": {
+            const data = {
+              type: "zte-script-ng-cells",
+              version: 2,
+              created: new Date().toISOString(),
+              cells: records.map(r => ({ ...r, sources: CellDatabase.sources(r) }))
+            };
+            const stamp = data.created.slice(0, 10);
+            downloadFile(`zte-cells-${stamp}.json`, JSON.stringify(data, null, 2), "application/json");
+            break;
+          }
+          case "import":
+            importCellDatabaseFromFile(() => reload()
+              .catch(err => scriptErrorMsg(`Failed to load cell database: ${err}`)));
+            break;
+          case "clear":
+            if (!confirm(`Delete all ${records.length} recorded cells?`)) return;
+            await CellDatabase.clear();
+            await reload();
+            break;
+        }
+      } catch (err) {
+        scriptErrorMsg(`Cell database: ${err}`);
+      }
+    });
+  }
+
+  // --- Connected clients ---
+
+  let wifiDevices = null; // [{ device, band }] or null without iwinfo, refreshed every minute
+  let wifiDevicesTs = 0;
+  let clientUpdateRunning = false;
+
+  // null when iwinfo is not available (missing package or no ACL)
+  async function getWifiDevices() {
+    if (wifiDevicesTs && Date.now() - wifiDevicesTs < 60 * 1000) return wifiDevices;
+
+    try {
+      const { res } = await runWithRetry(() =>
+        callUbus({ service: "iwinfo", method: "devices", params: {} }, null, true)
+      );
+      const devices = res?.success && Array.isArray(res.data?.devices) ? res.data.devices : null;
+
+      const { res: infos } = devices?.length > 0
+        ? await runWithRetry(() => callUbus(
+          devices.map(device => ({ service: "iwinfo", method: "info", params: { device } })), null, true))
+        : { res: [] };
+
+      wifiDevices = devices && devices.map((device, idx) => {
+        const freq = Number(infos?.[idx]?.data?.frequency);
+        return { device, band: freq >= 5000 ? "5 GHz" : "2.4 GHz" };
+      });
+    } catch (e) {
+      scriptErrorMsg(`Failed to read the WiFi devices: ${e}`);
+      wifiDevices = null;
+    }
+    wifiDevicesTs = Date.now();
+    return wifiDevices;
+  }
+
+  // true when a wired port of a bridge has a link, false when none has,
+  // null without luci-rpc's getNetworkDevices or a bridge with wired ports
+  function hasWiredLink(netDevices) {
+    if (!netDevices || typeof netDevices !== "object") return null;
+
+    const ports = Object.values(netDevices)
+      .filter(d => d?.bridge && Array.isArray(d.ports))
+      .flatMap(d => d.ports)
+      .map(name => netDevices[name])
+      .filter(d => d && !d.wireless && d.devtype !== "wlan");
+    return ports.length > 0 ? ports.some(d => d.link?.carrier) : null;
+  }
+
+  // Merges DHCP leases and WiFi association lists into one client list. A lease
+  // outlives the connection, so a lease without a WiFi station is Ethernet only
+  // while a wired bridge port has a link, otherwise the client is gone.
+  // wifiKnown: iwinfo answered, wiredLink: see hasWiredLink
+  function mergeClients(leases, stations, { wifiKnown = true, wiredLink = null } = {}) {
+    const byMac = new Map();
+    const key = mac => String(mac || "").toLowerCase();
+
+    let leaseIface = { iface: "Not on WiFi", ifaceNote: "DHCP lease without a WiFi station: on a cable or no longer connected" };
+    if (!wifiKnown) {
+      leaseIface = { iface: null, ifaceNote: null };
+    } else if (wiredLink === true) {
+      leaseIface = { iface: "Ethernet", ifaceNote: "Not a WiFi station and a LAN port has a link (a left client keeps its lease until it expires)" };
+    } else if (wiredLink === false) {
+      leaseIface = { iface: "Offline", ifaceNote: "Not a WiFi station and no LAN port has a link" };
+    }
+
+    leases.forEach(l => {
+      byMac.set(key(l.macaddr), {
+        hostname: l.hostname || null,
+        mac: key(l.macaddr),
+        ip: l.ipaddr || null,
+        expires: l.expires ?? null,
+        ...leaseIface,
+        signal: null
+      });
+    });
+
+    stations.forEach(({ band, station }) => {
+      const mac = key(station.mac);
+      const client = byMac.get(mac) || { hostname: null, mac, ip: null, expires: null };
+      client.iface = band;
+      client.ifaceNote = null;
+      client.signal = station.signal ?? null;
+      byMac.set(mac, client);
+    });
+
+    return [...byMac.values()].sort((a, b) =>
+      (a.hostname || "~").localeCompare(b.hostname || "~") || a.mac.localeCompare(b.mac)
+    );
+  }
+
+  async function updateClientInfo() {
+    const section = document.getElementById("client-info-section");
+    const table = document.getElementById("client-info-table");
+    if (!section || !table || section.style.display === "none" || clientUpdateRunning) return;
+
+    clientUpdateRunning = true;
+    try {
+      // luci-rpc and iwinfo are optional packages, either one may be missing
+      const devices = await getWifiDevices();
+      const res = await callUbus([
+        { service: "luci-rpc", method: "getDHCPLeases", params: {} },
+        { service: "luci-rpc", method: "getNetworkDevices", params: {} },
+        ...(devices || []).map(d => ({ service: "iwinfo", method: "assoclist", params: { device: d.device } }))
+      ], null, true);
+
+      const leaseList = res[0]?.success ? res[0].data?.dhcp_leases : null;
+      const leases = Array.isArray(leaseList) ? leaseList : [];
+      const stations = (devices || []).flatMap((d, idx) => {
+        const list = res[idx + 2]?.success ? res[idx + 2].data?.results : null;
+        return Array.isArray(list) ? list.map(station => ({ band: d.band, station })) : [];
+      });
+
+      if (!Array.isArray(leaseList) && !devices) {
+        InfoRenderer.renderClientInfo(table, [], "Client list not available (needs luci-rpc or iwinfo).");
+        return;
+      }
+      InfoRenderer.renderClientInfo(table, mergeClients(leases, stations, {
+        wifiKnown: !!devices,
+        wiredLink: hasWiredLink(res[1]?.success ? res[1].data : null)
+      }));
+    } catch (e) {
+      scriptErrorMsg(`Failed to update clients: ${e}`);
+    } finally {
+      clientUpdateRunning = false;
+    }
+  }
+
+  // --- Neighbor cells ---
+
+  let neighborCells = [];
+  let neighborSort = { key: "rsrp", asc: false };
+  let neighborUpdateRunning = false;
+
+  function renderNeighborCells() {
+    InfoRenderer.renderNeighborCells(
+      document.getElementById("neighbor-info-container"),
+      neighborCells,
+      neighborSort.key,
+      neighborSort.asc
+    );
+  }
+
+  async function updateNeighborCells() {
+    const section = document.getElementById("neighbor-info-section");
+    if (!section || section.style.display === "none" || neighborUpdateRunning) return;
+    // paused while logging in again
+    if (sessionState.recovering) return;
+
+    neighborUpdateRunning = true;
+    try {
+      const { res } = await runWithRetry(() => getNeighborCellInfo());
+      // some firmwares report the neighbor lists as part of the netinfo instead
+      neighborCells = NeighborCell.parse({ ...currentNetInfo, ...(res?.success ? res.data : {}) });
+      renderNeighborCells();
+    } catch (e) {
+      scriptErrorMsg(`Failed to update neighbor cells: ${e}`);
+    } finally {
+      neighborUpdateRunning = false;
+    }
+  }
+
+  // shared by the neighbor cell table and the cell database
+  async function confirmAndLockCell({ tech, pci, channel, band }) {
+    if (tech === "NR") {
+      if (!band) {
+        alert("The band of this cell is unknown. Use the 5G Cell Lock button instead.");
+        return;
+      }
+      if (!confirm(`Lock 5G cell PCI ${pci}, ARFCN ${channel}, band N${band}?`)) return;
+      await runWithUiFeedback(() => lock5gCell(pci, channel, band));
+    } else {
+      if (!confirm(`Lock 4G cell PCI ${pci}, EARFCN ${channel}?`)) return;
+      await runWithUiFeedback(() => lock4gCell(pci, channel));
+    }
+  }
+
+  function setupNeighborCells() {
+    const container = document.getElementById("neighbor-info-container");
+    if (!container) return;
+
+    container.addEventListener("click", async (e) => {
+      const th = e.target.closest("th[data-sort]");
+      if (th) {
+        const key = th.dataset.sort;
+        neighborSort = {
+          key,
+          // signal values sort best first, everything else ascending
+          asc: neighborSort.key === key ? !neighborSort.asc : !["rsrp", "rsrq"].includes(key)
+        };
+        renderNeighborCells();
+        return;
+      }
+
+      const btn = e.target.closest("button.ngbr-lock");
+      if (btn) await confirmAndLockCell(btn.dataset);
+    });
+
+    setInterval(updateNeighborCells, 5000);
+  }
+
+  // --- Configuration profiles ---
+
+  const BEARER_MODES = ["Only_5G", "LTE_AND_5G", "WL_AND_5G", "Only_LTE"];
+
+  function loadProfiles() {
+    try {
+      const list = JSON.parse(localStorage.getItem("ScriptProfiles") || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function saveProfiles(profiles) {
+    localStorage.setItem("ScriptProfiles", JSON.stringify(profiles));
+  }
+
+  // parses "pci,earfcn[,band]"; "0,0" / "0,0,0" means no lock
+  function parseCellLock(str, withBand) {
+    if (!str || typeof str !== "string") return null;
+    const parts = str.split(",").map(p => p.trim());
+    if (parts.length < (withBand ? 3 : 2) || parts.every(p => p === "0")) return null;
+    const lock = { pci: parts[0], earfcn: parts[1] };
+    if (withBand) lock.band = parts[2];
+    return lock;
+  }
+
+  function captureCurrentConfig(netInfo) {
+    if (!netInfo) return null;
+    return {
+      bearer: netInfo.net_select || null,
+      lteBandMask: netInfo.lte_band_lock ? BigInt(netInfo.lte_band_lock).toString() : null,
+      nrBands: netInfo.nr5g_sa_band_lock
+        ? netInfo.nr5g_sa_band_lock.split(",").map(b => b.trim()).filter(b => b !== "")
+        : null,
+      lteCellLock: parseCellLock(netInfo.lock_lte_cell, false),
+      nrCellLock: parseCellLock(netInfo.lock_nr_cell, true)
+    };
+  }
+
+  // throws on invalid input, returns a normalized copy otherwise
+  function validateProfile(p) {
+    if (!p || typeof p !== "object") throw new Error("Profile is not an object");
+    if (!p.name || typeof p.name !== "string") throw new Error("Profile has no name");
+    if (p.bearer != null && !BEARER_MODES.includes(p.bearer)) {
+      throw new Error(`Profile "${p.name}": unknown bearer ${p.bearer}`);
+    }
+    if (p.lteBandMask != null && !/^\d+$/.test(String(p.lteBandMask))) {
+      throw new Error(`Profile "${p.name}": invalid 4G band mask`);
+    }
+    if (p.nrBands != null && (!Array.isArray(p.nrBands) || !p.nrBands.every(b => /^\d+$/.test(String(b))))) {
+      throw new Error(`Profile "${p.name}": invalid 5G band list`);
+    }
+
+    const isNum = v => v != null && /^\d+$/.test(String(v));
+    if (p.lteCellLock && !(isNum(p.lteCellLock.pci) && isNum(p.lteCellLock.earfcn))) {
+      throw new Error(`Profile "${p.name}": invalid 4G cell lock`);
+    }
+    if (p.nrCellLock && !(isNum(p.nrCellLock.pci) && isNum(p.nrCellLock.earfcn) && isNum(p.nrCellLock.band))) {
+      throw new Error(`Profile "${p.name}": invalid 5G cell lock`);
+    }
+
+    return {
+      name: p.name.trim(),
+      bearer: p.bearer ?? null,
+      lteBandMask: p.lteBandMask != null ? String(p.lteBandMask) : null,
+      nrBands: p.nrBands ? p.nrBands.map(String) : null,
+      lteCellLock: p.lteCellLock ? { pci: String(p.lteCellLock.pci), earfcn: String(p.lteCellLock.earfcn) } : null,
+      nrCellLock: p.nrCellLock
+        ? { pci: String(p.nrCellLock.pci), earfcn: String(p.nrCellLock.earfcn), band: String(p.nrCellLock.band) }
+        : null
+    };
+  }
+
+  function describeProfile(p) {
+    const parts = [];
+    if (p.bearer) parts.push(`Bearer: ${p.bearer}`);
+    if (p.lteBandMask != null) {
+      const bands = lteBandsFromMask(p.lteBandMask);
+      parts.push(`4G: ${bands.length > 0 ? bands.join("+") : "auto"}`);
+    }
+    if (p.nrBands) parts.push(`5G: ${p.nrBands.join("+") || "auto"}`);
+    parts.push(`4G Cell: ${p.lteCellLock ? `${p.lteCellLock.pci},${p.lteCellLock.earfcn}` : "none"}`);
+    parts.push(`5G Cell: ${p.nrCellLock ? `${p.nrCellLock.pci},${p.nrCellLock.earfcn},${p.nrCellLock.band}` : "none"}`);
+    return parts.join(", ");
+  }
+
+  // Applies every part of a profile one after another.
+  // The bearer goes last because switching it makes the modem re-attach.
+  async function applyProfile(profile) {
+    const steps = [];
+
+    if (profile.lteBandMask != null) {
+      steps.push(["4G band lock", () => set4gBandLock(BigInt(profile.lteBandMask))]);
+    }
+    if (profile.nrBands) {
+      steps.push(["5G band lock", () => set5gBandLock(profile.nrBands)]);
+    }
+    steps.push(["4G cell lock", () => profile.lteCellLock
+      ? lock4gCell(profile.lteCellLock.pci, profile.lteCellLock.earfcn)
+      : unlock4gCell()]);
+    steps.push(["5G cell lock", () => profile.nrCellLock
+      ? lock5gCell(profile.nrCellLock.pci, profile.nrCellLock.earfcn, profile.nrCellLock.band)
+      : unlock5gCell()]);
+    if (profile.bearer) {
+      steps.push(["bearer", () => setBearer(profile.bearer)]);
+    }
+
+    const failed = [];
+    for (const [label, fn] of steps) {
+      const res = await runWithUiFeedback(fn);
+      if (res?.success) {
+        scriptMsg(`Profile "${profile.name}": ${label} applied.`);
+      } else {
+        scriptErrorMsg(`Profile "${profile.name}": ${label} failed.`);
+        failed.push(label);
+      }
+    }
+
+    return failed;
+  }
+
+  async function applyProfileWithReport(profile) {
+    const failed = await applyProfile(profile);
+    if (failed.length > 0) {
+      alert(`Profile "${profile.name}" applied with errors: ${failed.join(", ")} failed.`);
+    } else {
+      scriptMsg(`Profile "${profile.name}" applied.`);
+    }
+  }
+
+  function renderProfileButtons() {
+    const row = document.getElementById("profile-buttons");
+    if (!row) return;
+
+    row.innerHTML = "";
+    loadProfiles().forEach((profile, idx) => {
+      const btn = document.createElement("button");
+      btn.textContent = profile.name;
+      btn.title = describeProfile(profile);
+      btn.dataset.profileIdx = idx;
+      row.appendChild(btn);
+    });
+
+    const saveBtn = document.createElement("button");
+    saveBtn.id = "btn-profile-save";
+    saveBtn.textContent = "Save Current";
+    row.appendChild(saveBtn);
+
+    const manageBtn = document.createElement("button");
+    manageBtn.id = "btn-profile-manage";
+    manageBtn.textContent = "Manage";
+    row.appendChild(manageBtn);
+  }
+
+  function saveCurrentAsProfile() {
+    const config = captureCurrentConfig(currentNetInfo);
+    if (!config) {
+      alert("No network info available yet.");
+      return;
+    }
+
+    const name = prompt(`Profile name:\n\n${describeProfile(config)}`);
+    if (!name || !name.trim()) return;
+
+    const profiles = loadProfiles();
+    const existing = profiles.findIndex(p => p.name === name.trim());
+    if (existing >= 0 && !confirm(`Overwrite profile "${name.trim()}"?`)) return;
+
+    // e.g. a bearer the profiles don't know (net_select of a newer firmware)
+    let profile;
+    try {
+      profile = validateProfile({ name, ...config });
+    } catch (e) {
+      scriptErrorMsg(`Saving the profile failed: ${e.message}`);
+      alert(`The current settings can't be saved as a profile: ${e.message}`);
+      return;
+    }
+    if (existing >= 0) {
+      profiles[existing] = profile;
+    } else {
+      profiles.push(profile);
+    }
+
+    saveProfiles(profiles);
+    renderProfileButtons();
+  }
+
+  function importProfilesFromFile() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/json,.json";
+
+    input.addEventListener("change", async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+
+      try {
+        const data = JSON.parse(await file.text());
+        const incoming = (Array.isArray(data) ? data : [data]).map(validateProfile);
+
+        // profiles with the same name get replaced
+        const profiles = loadProfiles().filter(p => !incoming.some(n => n.name === p.name));
+        saveProfiles([...profiles, ...incoming]);
+        renderProfileButtons();
+        showProfileManager();
+        scriptMsg(`Imported ${incoming.length} profile(s).`);
+      } catch (e) {
+        alert(`Import failed: ${e.message}`);
+      }
+    });
+
+    input.click();
+  }
+
+  function showProfileManager() {
+    const profiles = loadProfiles();
+
+    const rows = profiles.map((p, idx) => `
+      <tr>
+        <th>${escapeHtml(p.name)}<div class="profile-desc">${escapeHtml(describeProfile(p))}</div></th>
+        <td>
+          <button data-action="export" data-idx="${idx}">Export</button>
+          <button data-action="delete" data-idx="${idx}">Delete</button>
+        </td>
+      </tr>
+    `).join("");
+
+    const html = `
+      <div class="info-section">
+        <div class="section-title">Profiles</div>
+        <table class="info-table" id="profile-table">
+          ${rows || `<tr><td style="text-align:center">No profiles saved.</td></tr>`}
+        </table>
+      </div>
+      <div class="profile-actions">
+        <button data-action="export-all">Export All</button>
+        <button data-action="import">Import</button>
+      </div>
+
+      <style>
+        .profile-desc {
+          font-size: 12px;
+          color: #777;
+        }
+        .profile-actions {
+          margin-top: 12px;
+          text-align: center;
+        }
+        #profile-table td {
+          white-space: nowrap;
+        }
+      </style>
+    `;
+
+    ShowInfoWindow("Configuration Profiles", html);
+
+    document.getElementById("info-window-overlay").addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-action]");
+      if (!btn) return;
+
+      const profile = profiles[btn.dataset.idx];
+      const fileName = name => `zte-profile-${name.replace(/[^\w-]+/g, "_")}.json`;
+
+      switch (btn.dataset.action) {
+        case "export":
+          downloadFile(fileName(profile.name), JSON.stringify(profile, null, 2), "application/json");
+          break;
+        case "delete":
+          if (!confirm(`Delete profile "${profile.name}"?`)) return;
+          saveProfiles(profiles.filter(p => p !== profile));
+          renderProfileButtons();
+          showProfileManager();
+          break;
+        case "export-all":
+          downloadFile("zte-profiles.json", JSON.stringify(profiles, null, 2), "application/json");
+          break;
+        case "import":
+          importProfilesFromFile();
+          break;
+      }
+    });
+  }
+
+  function setupProfiles() {
+    const row = document.getElementById("profile-buttons");
+    if (!row) return;
+
+    renderProfileButtons();
+
+    row.addEventListener("click", async (e) => {
+      const btn = e.target.closest("button");
+      if (!btn) return;
+
+      if (btn.id === "btn-profile-save") {
+        saveCurrentAsProfile();
+      } else if (btn.id === "btn-profile-manage") {
+        showProfileManager();
+      } else if (btn.dataset.profileIdx !== undefined) {
+        const profile = loadProfiles()[btn.dataset.profileIdx];
+        if (profile && confirm(`Apply profile "${profile.name}"?\n\n${describeProfile(profile)}`)) {
+          await applyProfileWithReport(profile);
+        }
+      }
+    });
+  }
+
+  // --- Profile scheduler ---
+
+  const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  let schedulerCheckRunning = false;
+
+  function loadSchedule() {
+    try {
+      const list = JSON.parse(localStorage.getItem("ScriptSchedule") || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function saveSchedule(entries) {
+    localStorage.setItem("ScriptSchedule", JSON.stringify(entries));
+  }
+
+  // all timestamps in (from, to] at which the entry fires
+  function scheduleOccurrences(entry, from, to) {
+    const [hh, mm] = entry.time.split(":").map(Number);
+    const result = [];
+
+    const day = new Date(from);
+    day.setHours(0, 0, 0, 0);
+
+    // never look back more than a week, every entry fires at least weekly
+    for (let i = 0; i < 9 && day.getTime() <= to; i++) {
+      if (entry.days.includes(day.getDay())) {
+        const at = new Date(day);
+        at.setHours(hh, mm, 0, 0);
+        const ts = at.getTime();
+        if (ts > from && ts <= to) result.push(ts);
+      }
+      day.setDate(day.getDate() + 1);
+    }
+
+    return result;
+  }
+
+  function findNextScheduledChange(entries, now = Date.now()) {
+    let next = null;
+    entries.filter(e => e.enabled).forEach(entry => {
+      const [ts] = scheduleOccurrences(entry, now, now + 8 * 86400 * 1000);
+      if (ts && (!next || ts < next.ts)) next = { ts, entry };
+    });
+    return next;
+  }
+
+  // the most recent entry that should have fired in (from, to]
+  function findDueScheduleEntry(entries, from, to) {
+    let due = null;
+    entries.filter(e => e.enabled).forEach(entry => {
+      const list = scheduleOccurrences(entry, Math.max(from, to - 7 * 86400 * 1000), to);
+      const ts = list[list.length - 1];
+      if (ts && (!due || ts > due.ts)) due = { ts, entry };
+    });
+    return due;
+  }
+
+  function updateScheduleIndicator() {
+    const el = document.getElementById("schedule-next");
+    if (!el) return;
+
+    const next = findNextScheduledChange(loadSchedule());
+    if (!next) {
+      el.textContent = "";
+      return;
+    }
+
+    const d = new Date(next.ts);
+    el.textContent = `Next scheduled change: "${next.entry.profile}" on ` +
+      `${WEEKDAY_NAMES[d.getDay()]} ${d.toTimeString().slice(0, 5)}`;
+  }
+
+  // Applies the latest due entry. Timers do not fire while the tab sleeps,
+  // so everything since the last check is considered and only the newest
+  // missed entry is applied (it defines the current state).
+  async function checkSchedule() {
+    if (schedulerCheckRunning || optimizer.running) return;
+    schedulerCheckRunning = true;
+
+    try {
+      const now = Date.now();
+      const lastCheck = parseInt(localStorage.getItem("ScriptScheduleLastCheck"), 10) || now;
+      const due = findDueScheduleEntry(loadSchedule(), lastCheck, now);
+
+      localStorage.setItem("ScriptScheduleLastCheck", now.toString());
+
+      if (due) {
+        const profile = loadProfiles().find(p => p.name === due.entry.profile);
+        const late = now - due.ts > 2 * 60 * 1000 ? " (catch-up)" : "";
+
+        if (!profile) {
+          scriptErrorMsg(`Scheduler: profile "${due.entry.profile}" no longer exists.`);
+        } else {
+          scriptMsg(`Scheduler: applying "${profile.name}" scheduled for ${new Date(due.ts).toLocaleString()}${late}.`);
+          // the slot is done either way (last check is stored above), no retry
+          try {
+            const failed = await applyProfile(profile);
+            if (failed.length > 0) {
+              scriptErrorMsg(`Scheduler: "${profile.name}" failed steps: ${failed.join(", ")}`);
+            }
+          } catch (e) {
+            scriptErrorMsg(`Scheduler: applying "${profile.name}" failed: ${e.message}`);
+          }
+        }
+      }
+    } finally {
+      schedulerCheckRunning = false;
+      updateScheduleIndicator();
+    }
+  }
+
+  function showScheduler() {
+    const entries = loadSchedule();
+    const profiles = loadProfiles();
+
+    const rows = entries.map((e, idx) => `
+      <tr>
+        <th>
+          <label><input type="checkbox" data-action="toggle" data-idx="${idx}" ${e.enabled ? "checked" : ""}>
+          ${e.time} ${e.days.map(d => WEEKDAY_NAMES[d]).join(", ")}</label>
+        </th>
+        <td>${escapeHtml(e.profile)}</td>
+        <td><button data-action="delete" data-idx="${idx}">Delete</button></td>
+      </tr>
+    `).join("");
+
+    const options = profiles.map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join("");
+    const dayBoxes = WEEKDAY_NAMES.map((name, d) =>
+      `<label><input type="checkbox" name="sched-day" value="${d}" checked> ${name}</label>`
+    ).join("");
+
+    const html = `
+      <div class="info-section">
+        <div class="section-title">Schedule</div>
+        <table class="info-table">
+          ${rows || `<tr><td style="text-align:center">No entries.</td></tr>`}
+        </table>
+      </div>
+      <div class="scheduler-form">
+        ${profiles.length > 0 ? `
+          <select id="sched-profile">${options}</select>
+          <input type="time" id="sched-time" value="22:00">
+          <div class="scheduler-days">${dayBoxes}</div>
+          <button data-action="add">Add</button>
+        ` : "<p>Save a profile first to schedule it.</p>"}
+      </div>
+
+      <style>
+        .scheduler-form {
+          margin-top: 12px;
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+          justify-content: center;
+          align-items: center;
+          font-size: 13px;
+        }
+        .scheduler-days {
+          display: flex;
+          gap: 6px;
+        }
+      </style>
+    `;
+
+    ShowInfoWindow("Profile Scheduler", html);
+
+    document.getElementById("info-window-overlay").addEventListener("click", (e) => {
+      const el = e.target.closest("[data-action]");
+      if (!el) return;
+
+      const list = loadSchedule();
+      switch (el.dataset.action) {
+        case "toggle":
+          list[el.dataset.idx].enabled = el.checked;
+          saveSchedule(list);
+          updateScheduleIndicator();
+          return;
+        case "delete":
+          list.splice(el.dataset.idx, 1);
+          break;
+        case "add": {
+          const time = document.getElementById("sched-time").value;
+          const days = [...document.querySelectorAll("input[name=sched-day]:checked")].map(c => Number(c.value));
+          if (!/^\d\d:\d\d$/.test(time) || days.length === 0) {
+            alert("Enter a time and select at least one weekday.");
+            return;
+          }
+          list.push({ profile: document.getElementById("sched-profile").value, time, days, enabled: true });
+          list.sort((a, b) => a.time.localeCompare(b.time));
+          break;
+        }
+        default:
+          return;
+      }
+
+      saveSchedule(list);
+      updateScheduleIndicator();
+      showScheduler();
+    });
+  }
+
+  function setupScheduler() {
+    updateScheduleIndicator();
+    checkSchedule();
+    setInterval(checkSchedule, 30 * 1000);
+
+    // catch up right away when a sleeping tab becomes visible again
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") checkSchedule();
+    });
+  }
+
+  // --- Band optimizer ---
+
+  const optimizer = {
+    running: false,
+    abort: false,
+    status: "",
+    results: []
+  };
+
+  // one band set per line, bands separated by + or ,
+  function parseBandSetLines(text) {
+    return text.split("\n")
+      .map(l => l.trim())
+      .filter(l => l !== "")
+      .map(line => {
+        const tokens = line.split(/[\+,]/).map(t => t.trim()).filter(t => t !== "");
+        if (tokens.length === 0 || !tokens.every(t => /^\d+$/.test(t))) {
+          throw new Error(`Invalid band set: ${line}`);
+        }
+        return tokens;
+      });
+  }
+
+  // every 4G set combined with every 5G set; an empty list leaves that RAT unchanged
+  function buildOptimizerCandidates(lteSets, nrSets) {
+    const lteOpts = lteSets.length > 0 ? lteSets : [null];
+    const nrOpts = nrSets.length > 0 ? nrSets : [null];
+    const candidates = [];
+
+    lteOpts.forEach(lte => nrOpts.forEach(nr => {
+      if (lte || nr) candidates.push({ lte, nr });
+    }));
+
+    return candidates;
+  }
+
+  function describeCandidate(c) {
+    return `4G: ${c.lte ? c.lte.join("+") : "unchanged"} / 5G: ${c.nr ? c.nr.join("+") : "unchanged"}`;
+  }
+
+  function isWanConnected() {
+    return currentWanInfo?.mwan_wanlan1_status === "connected";
+  }
+
+  function getPrimaryCarrier(netInfo, signal) {
+    if (is5gBasedNetworkType(netInfo?.network_type) && signal?.nrSignal?.length > 0) {
+      return signal.nrSignal[0];
     }
+    if (is4gBasedNetworkType(netInfo?.network_type) && signal?.lteSignal?.length > 0) {
+      return signal.lteSignal[0];
+    }
+    return null;
+  }
 
-    // Subset of most relevant NR bands with ARFCN ranges
-    // [band, n_min, n_max]
-    const nrBands = [
-      [1,   422000, 434000],
-      [3,   361000, 376000],
-      [5,   173800, 178800],
-      [7,   524000, 538000],
-      [8,   185000, 192000],
-      [28,  151600, 160600],
-      [40,  460000, 480000],
-      [41,  499200, 537999],
-      [75,  286400, 303400], // DL only
-      [78,  620000, 653333],
-      [79,  693334, 733333],
-      // mmWave (FR2)
-      [257, 2054167, 2104166],
-      [258, 2016667, 2070833],
-      [260, 2229167, 2279166],
-      [261, 2070833, 2084999],
-    ];
+  function average(values) {
+    const valid = values.filter(v => v != null && Number.isFinite(v));
+    return valid.length > 0 ? valid.reduce((a, b) => a + b, 0) / valid.length : null;
+  }
+
+  // sleeps in small steps so an abort is noticed quickly
+  async function optimizerSleep(ms) {
+    const end = Date.now() + ms;
+    while (!optimizer.abort && Date.now() < end) {
+      await sleep(Math.min(500, end - Date.now()));
+    }
+  }
+
+  async function waitForAttach(timeoutMs) {
+    // give the modem time to drop the old configuration first
+    await optimizerSleep(5000);
 
-    for (const [band, nMin, nMax] of nrBands) {
-      if (arfcn >= nMin && arfcn <= nMax) {
-        const f = arfcnToMHz(arfcn);
-        if (f == null) return null;
-        return { band, dlMHz: +f.toFixed(2) };
+    const end = Date.now() + timeoutMs;
+    while (!optimizer.abort && Date.now() < end) {
+      if (isWanConnected() && getPrimaryCarrier(currentNetInfo, currentSignal)) {
+        return true;
       }
+      await optimizerSleep(1000);
     }
-    return null; // ARFCN not in supported bands
+    return false;
   }
 
-  class LteSignal {
-    constructor({
-      pci,
-      earfcn,
-      bandwidth,
-      rsrp = null,
-      rsrq = null,
-      sinr = null,
-      rssi = null,
-      ulConfigured = false,
-      bandActive = false,
-      dlFreqMhz = null,
-      band = null
-    }) {
-      this.pci = pci;
-      this.earfcn = earfcn;
-      this.bandwidth = bandwidth;
-      this.rsrp = rsrp;
-      this.rsrq = rsrq;
-      this.sinr = sinr;
-      this.rssi = rssi;
-      this.ulConfigured = ulConfigured;
-      this.bandActive = bandActive;
-      this.dlFreqMhz = dlFreqMhz;
-      this.band = band;
+  async function sampleCandidate(dwellMs) {
+    const sinr = [], rsrp = [], rx = [];
+    const end = Date.now() + dwellMs;
+
+    while (!optimizer.abort && Date.now() < end) {
+      const carrier = getPrimaryCarrier(currentNetInfo, currentSignal);
+      if (carrier) {
+        sinr.push(carrier.sinr);
+        rsrp.push(carrier.rsrp);
+      }
+      rx.push(Number(currentWanStat?.real_rx_speed));
+      await optimizerSleep(1000);
     }
 
-    static parse(netInfo) {
-      const lteca = netInfo?.lteca;
-      const ltecasig = netInfo?.ltecasig;
-      if (!lteca) return [];
+    return {
+      sinr: average(sinr),
+      rsrp: average(rsrp),
+      rxSpeed: average(rx),
+      samples: sinr.length
+    };
+  }
 
-      const caEntries = lteca.split(";").filter(e => e.trim() !== "");
-      const sigEntries = ltecasig ? ltecasig.split(";").filter(e => e.trim() !== "") : [];
+  async function applyBandSets(lteBands, nrBands) {
+    const results = [];
+    if (lteBands) {
+      results.push((await runWithRetry(() => set4gBandLock(buildLteMask(lteBands)))).res);
+    }
+    if (nrBands) {
+      results.push((await runWithRetry(() => set5gBandLock(nrBands))).res);
+    }
+    return results.every(r => r?.success);
+  }
 
-      const signals = [];
+  // restores the locks saved before the run, also after a page reload
+  async function restoreOptimizerOriginal() {
+    const saved = JSON.parse(localStorage.getItem("ScriptOptimizerRestore") || "null");
+    if (!saved) return true;
 
-      caEntries.forEach((entry, idx) => {
-        const parts = entry.split(",").map(p => p.trim());
-        if (parts.length < 5) return;
+    const results = [];
+    if (saved.lteBandMask != null) {
+      results.push((await runWithRetry(() => set4gBandLock(BigInt(saved.lteBandMask)))).res);
+    }
+    if (saved.nrBands) {
+      results.push((await runWithRetry(() => set5gBandLock(saved.nrBands))).res);
+    }
 
-        const pci = parseInt(parts[0], 10);
-        const earfcn = parseInt(parts[3], 10);
-        const bandwidth = parseInt(parts[4], 10);
+    const ok = results.every(r => r?.success);
+    if (ok) {
+      localStorage.removeItem("ScriptOptimizerRestore");
+      scriptMsg("Optimizer: original band locks restored.");
+    } else {
+      scriptErrorMsg("Optimizer: failed to restore original band locks.");
+    }
+    updateDeviceInfo().catch(e => scriptErrorMsg(`Failed to update device info: ${e.message}`));
+    return ok;
+  }
 
-        let rsrp = null, rsrq = null, sinr = null, rssi = null;
-        let ulConfigured = true, bandActive = true;
+  function restoreOptimizerOnUnload() {
+    const saved = JSON.parse(localStorage.getItem("ScriptOptimizerRestore") || "null");
+    if (!optimizer.running || !saved) return;
 
-        if (idx === 0) {
-          // primary band → values directly from netInfo
-          rsrp = parseFloat(netInfo.lte_rsrp ?? null);
-          rsrq = parseFloat(netInfo.lte_rsrq ?? null);
-          sinr = parseFloat(netInfo.lte_snr ?? null);
-          rssi = parseFloat(netInfo.lte_rssi ?? null);
-        } else if (sigEntries[idx - 1]) {
-          const sigParts = sigEntries[idx - 1].split(",").map(s => s.trim());
-          if (sigParts.length >= 6) {
-            rsrp = parseFloat(sigParts[0]);
-            rsrq = parseFloat(sigParts[1]);
-            sinr = parseFloat(sigParts[2]);
-            rssi = parseFloat(sigParts[3]);
-            ulConfigured = sigParts[4] === "1";
-            bandActive  = sigParts[5] === "2";
-          }
+    const calls = [];
+    if (saved.lteBandMask != null) calls.push(set4gBandLockCall(BigInt(saved.lteBandMask)));
+    if (saved.nrBands) calls.push(set5gBandLockCall(saved.nrBands));
+    sendUbusOnUnload(calls);
+  }
+
+  function rankOptimizerResults(results, rankBy) {
+    return [...results].sort((a, b) => {
+      if (a.attached !== b.attached) return a.attached ? -1 : 1;
+      const va = a[rankBy] ?? -Infinity;
+      const vb = b[rankBy] ?? -Infinity;
+      return vb - va;
+    });
+  }
+
+  function setOptimizerStatus(status) {
+    optimizer.status = status;
+    scriptMsg(`Optimizer: ${status}`);
+    renderOptimizerState();
+  }
+
+  async function runOptimizer(candidates, { attachTimeoutMs, dwellMs, rankBy }) {
+    const original = captureCurrentConfig(currentNetInfo);
+    if (!original) {
+      alert("No network info available yet.");
+      return;
+    }
+
+    localStorage.setItem("ScriptOptimizerRestore", JSON.stringify({
+      lteBandMask: original.lteBandMask,
+      nrBands: original.nrBands
+    }));
+
+    optimizer.running = true;
+    optimizer.abort = false;
+    optimizer.results = [];
+    optimizer.rankBy = rankBy;
+
+    try {
+      for (let i = 0; i < candidates.length && !optimizer.abort; i++) {
+        const c = candidates[i];
+        setOptimizerStatus(`${i + 1}/${candidates.length}: applying ${describeCandidate(c)}`);
+
+        if (!(await applyBandSets(c.lte, c.nr))) {
+          optimizer.results.push({ candidate: c, attached: false, error: "lock failed" });
+          continue;
         }
 
-        const freq = convert4gEarfcnToMhz(earfcn);
+        setOptimizerStatus(`${i + 1}/${candidates.length}: waiting for attach`);
+        const attached = await waitForAttach(attachTimeoutMs);
+        if (optimizer.abort) break;
 
-        signals.push(new LteSignal({
-          pci,
-          earfcn,
-          bandwidth,
-          rsrp,
-          rsrq,
-          sinr,
-          rssi,
-          ulConfigured,
-          bandActive,
-          dlFreqMhz: freq ? freq.dlMHz : null,
-          band: freq ? freq.band : null
-        }));
-      });
+        if (!attached) {
+          optimizer.results.push({ candidate: c, attached: false, error: "no attach" });
+          continue;
+        }
 
-      return signals;
+        setOptimizerStatus(`${i + 1}/${candidates.length}: sampling ${describeCandidate(c)}`);
+        const stats = await sampleCandidate(dwellMs);
+        if (optimizer.abort) break;
+
+        optimizer.results.push({ candidate: c, attached: true, ...stats });
+        renderOptimizerState();
+      }
+    } finally {
+      setOptimizerStatus(optimizer.abort ? "aborted, restoring original locks" : "done, restoring original locks");
+      try {
+        await restoreOptimizerOriginal();
+      } catch (e) {
+        scriptErrorMsg(`Optimizer: restoring the band locks failed: ${e.message}`);
+      } finally {
+        // otherwise checkSchedule never starts another run
+        optimizer.running = false;
+        setOptimizerStatus(optimizer.abort ? "aborted" : "done");
+      }
     }
 
-    static calculateEnodeBAndSectorId(cellId) {
-      if (!cellId || isNaN(cellId)) return { eNodeB: null, sector: null };
-      const id = Number(cellId);
-      return {
-        eNodeB: id >>> 8,
-        sector: id & 0xFF
+    const best = rankOptimizerResults(optimizer.results, rankBy)[0];
+    if (!optimizer.abort && best?.attached &&
+        confirm(`Best combination: ${describeCandidate(best.candidate)}\n\nApply it now?`)) {
+      await runWithUiFeedback(async () => {
+        const ok = await applyBandSets(best.candidate.lte, best.candidate.nr);
+        return { success: ok };
+      });
+    }
+  }
+
+  function renderOptimizerState() {
+    const status = document.getElementById("opt-status");
+    const results = document.getElementById("opt-results");
+    const startBtn = document.getElementById("btn-opt-start");
+    const abortBtn = document.getElementById("btn-opt-abort");
+    if (!status || !results) return;
+
+    status.textContent = optimizer.status;
+    startBtn.disabled = optimizer.running;
+    abortBtn.disabled = !optimizer.running;
+
+    const fmt = (v, digits = 1) => v == null ? "-" : v.toFixed(digits);
+    const rows = rankOptimizerResults(optimizer.results, optimizer.rankBy || "sinr").map(r => `
+      <tr>
+        <th>${describeCandidate(r.candidate)}</th>
+        <td>${r.attached ? fmt(r.sinr) : r.error}</td>
+        <td>${r.attached ? fmt(r.rsrp) : "-"}</td>
+        <td>${r.attached && r.rxSpeed != null ? ((r.rxSpeed * 8) / 1e6).toFixed(2) : "-"}</td>
+      </tr>
+    `).join("");
+
+    results.innerHTML = rows ? `
+      <table class="info-table">
+        <tr><th>Combination</th><td>SINR</td><td>RSRP</td><td>DL Mbit/s</td></tr>
+        ${rows}
+      </table>
+    ` : "";
+  }
+
+  function showOptimizer() {
+    const saved = JSON.parse(localStorage.getItem("ScriptOptimizerConfig") || "{}");
+
+    const html = `
+      <div class="optimizer-form">
+        <label>4G band sets (one per line, e.g. 1+3)
+          <textarea id="opt-lte" rows="4">${escapeHtml(saved.lte ?? "1+3\n3+7\n20")}</textarea>
+        </label>
+        <label>5G band sets (one per line, e.g. 78+28)
+          <textarea id="opt-nr" rows="4">${escapeHtml(saved.nr ?? "")}</textarea>
+        </label>
+        <label>Attach timeout (s) <input type="number" id="opt-attach" min="10" value="${saved.attach ?? 60}"></label>
+        <label>Dwell time (s) <input type="number" id="opt-dwell" min="5" value="${saved.dwell ?? 30}"></label>
+        <label>Rank by
+          <select id="opt-rank">
+            <option value="sinr">SINR</option>
+            <option value="rsrp">RSRP</option>
+            <option value="rxSpeed">DL Speed</option>
+          </select>
+        </label>
+      </div>
+      <p class="optimizer-hint">Leave a list empty to keep that band lock unchanged.
+        The original band locks are restored after the run.</p>
+      <div class="optimizer-actions">
+        <button id="btn-opt-start">Start</button>
+        <button id="btn-opt-abort">Abort</button>
+      </div>
+      <div id="opt-status"></div>
+      <div id="opt-results"></div>
+
+      <style>
+        .optimizer-form {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 8px 16px;
+          font-size: 13px;
+        }
+        .optimizer-form textarea {
+          display: block;
+          width: 100%;
+          box-sizing: border-box;
+        }
+        .optimizer-form input[type=number] {
+          width: 70px;
+        }
+        .optimizer-hint {
+          font-size: 12px;
+          color: #666;
+        }
+        .optimizer-actions {
+          text-align: center;
+        }
+        #opt-status {
+          margin-top: 8px;
+          text-align: center;
+          font-size: 13px;
+        }
+      </style>
+    `;
+
+    ShowInfoWindow("Band Optimizer", html);
+
+    document.getElementById("opt-rank").value = saved.rank ?? "sinr";
+    renderOptimizerState();
+
+    document.getElementById("btn-opt-start").addEventListener("click", () => {
+      const config = {
+        lte: document.getElementById("opt-lte").value,
+        nr: document.getElementById("opt-nr").value,
+        attach: parseInt(document.getElementById("opt-attach").value, 10),
+        dwell: parseInt(document.getElementById("opt-dwell").value, 10),
+        rank: document.getElementById("opt-rank").value
       };
+
+      let candidates;
+      try {
+        candidates = buildOptimizerCandidates(parseBandSetLines(config.lte), parseBandSetLines(config.nr));
+      } catch (e) {
+        alert(e.message);
+        return;
+      }
+
+      if (candidates.length === 0) {
+        alert("Enter at least one 4G or 5G band set.");
+        return;
+      }
+      if (!(config.attach >= 10) || !(config.dwell >= 5)) {
+        alert("Attach timeout must be at least 10 s and dwell time at least 5 s.");
+        return;
+      }
+
+      localStorage.setItem("ScriptOptimizerConfig", JSON.stringify(config));
+
+      const perCandidate = 5 + config.attach + config.dwell;
+      if (!confirm(`Test ${candidates.length} combination(s)? This may take up to ${formatSeconds(candidates.length * perCandidate)}.`)) {
+        return;
+      }
+
+      runOptimizer(candidates, {
+        attachTimeoutMs: config.attach * 1000,
+        dwellMs: config.dwell * 1000,
+        rankBy: config.rank
+      }).catch(e => scriptErrorMsg(`Optimizer failed: ${e}`));
+    });
+
+    document.getElementById("btn-opt-abort").addEventListener("click", () => {
+      optimizer.abort = true;
+      setOptimizerStatus("aborting...");
+    });
+  }
+
+  function setupOptimizer() {
+    window.addEventListener("beforeunload", restoreOptimizerOnUnload);
+
+    // a previous run was interrupted by closing the page
+    if (localStorage.getItem("ScriptOptimizerRestore")) {
+      scriptMsg("Optimizer: restoring band locks of an interrupted run...");
+      restoreOptimizerOriginal()
+        .catch(e => scriptErrorMsg(`Optimizer: restoring the band locks failed: ${e.message}`));
     }
   }
 
-  class NrSignal {
-    constructor({
-      pci,
-      arfcn,
-      bandwidth,
-      rsrp = null,
-      rsrq = null,
-      sinr = null,
-      rssi = null,
-      ulConfigured = false,
-      bandActive = false,
-      dlFreqMhz = null,
-      band = null
-    }) {
-      this.pci = pci;
-      this.arfcn = arfcn;
-      this.bandwidth = bandwidth;
-      this.rsrp = rsrp;
-      this.rsrq = rsrq;
-      this.sinr = sinr;
-      this.rssi = rssi;
-      this.ulConfigured = ulConfigured;
-      this.bandActive = bandActive;
-      this.dlFreqMhz = dlFreqMhz;
-      this.band = band;
+  // --- Connectivity watchdog ---
+
+  const WATCHDOG_ACTIONS = {
+    toggle_bearer: {
+      label: "Toggle bearer",
+      run: async () => {
+        const original = currentNetInfo?.net_select;
+        if (!original) return { success: false };
+
+        const other = original === "Only_LTE" ? "WL_AND_5G" : "Only_LTE";
+        const { res: first } = await runWithRetry(() => setBearer(other));
+        await sleep(10 * 1000);
+        const { res: second } = await runWithRetry(() => setBearer(original));
+        return { success: !!(first?.success && second?.success) };
+      }
+    },
+    clear_cell_locks: {
+      label: "Clear cell locks",
+      run: async () => {
+        const { res: lte } = await runWithRetry(() => unlock4gCell());
+        const { res: nr } = await runWithRetry(() => unlock5gCell());
+        return { success: !!(lte?.success && nr?.success) };
+      }
+    },
+    reset_band_locks: {
+      label: "Reset band locks to all",
+      run: async () => {
+        const { res: lte } = await runWithRetry(() => set4gBandLock(buildLteMask(SUPPORTED_4G_BANDS)));
+        const { res: nr } = await runWithRetry(() => set5gBandLock(FULL_5G_BANDS));
+        return { success: !!(lte?.success && nr?.success) };
+      }
+    },
+    reboot: {
+      label: "Reboot router",
+      run: async () => (await runWithRetry(() => rebootRouter())).res
+    }
+  };
+
+  const WATCHDOG_DEFAULTS = {
+    enabled: false,
+    checkStatus: true,
+    checkReset: false,
+    checkThroughput: false, // an idle link also has zero throughput
+    downSeconds: 30,
+    zeroSeconds: 120,
+    recoverySeconds: 90,
+    ladder: ["toggle_bearer", "clear_cell_locks", "reset_band_locks", "reboot"]
+  };
+
+  const watchdog = {
+    downSince: null,
+    zeroSince: null,
+    lastRealTime: null,
+    resetDetected: false,
+    recovering: false
+  };
+
+  function loadWatchdogConfig() {
+    try {
+      return { ...WATCHDOG_DEFAULTS, ...JSON.parse(localStorage.getItem("ScriptWatchdogConfig") || "{}") };
+    } catch {
+      return { ...WATCHDOG_DEFAULTS };
     }
+  }
 
-    static parse(netInfo) {
-      const signals = [];
+  function saveWatchdogConfig(config) {
+    localStorage.setItem("ScriptWatchdogConfig", JSON.stringify(config));
+  }
+
+  function loadWatchdogLog() {
+    try {
+      return JSON.parse(localStorage.getItem("ScriptWatchdogLog") || "[]");
+    } catch {
+      return [];
+    }
+  }
+
+  function watchdogLog(msg, isError = false) {
+    if (isError) {
+      scriptErrorMsg(`Watchdog: ${msg}`);
+    } else {
+      scriptMsg(`Watchdog: ${msg}`);
+    }
+
+    // keep the last 200 entries
+    const log = loadWatchdogLog();
+    log.push({ ts: Date.now(), msg, error: isError });
+    localStorage.setItem("ScriptWatchdogLog", JSON.stringify(log.slice(-200)));
+    renderWatchdogLog();
+  }
+
+  // returns a reason string if the connection looks broken, null otherwise
+  function detectWatchdogFailure(config, wanInfo, wanStat, now = Date.now()) {
+    const connected = wanInfo?.mwan_wanlan1_status === "connected";
+    watchdog.downSince = connected ? null : (watchdog.downSince ?? now);
+
+    const realTime = Number(wanStat?.real_time);
+    // only while the check is on, enabling it later must not act on an old reset
+    if (config.checkReset && watchdog.lastRealTime != null && realTime < watchdog.lastRealTime) {
+      watchdog.resetDetected = true;
+    }
+    watchdog.lastRealTime = Number.isFinite(realTime) ? realTime : null;
+
+    const idle = !Number(wanStat?.real_rx_speed) && !Number(wanStat?.real_tx_speed);
+    watchdog.zeroSince = idle ? (watchdog.zeroSince ?? now) : null;
+
+    if (config.checkStatus && watchdog.downSince != null &&
+        now - watchdog.downSince >= config.downSeconds * 1000) {
+      return `WAN status "${wanInfo?.mwan_wanlan1_status || "unknown"}" for ${config.downSeconds}s`;
+    }
+    if (config.checkReset && watchdog.resetDetected) {
+      watchdog.resetDetected = false;
+      return "connection time was reset";
+    }
+    if (config.checkThroughput && watchdog.zeroSince != null &&
+        now - watchdog.zeroSince >= config.zeroSeconds * 1000) {
+      return `no throughput for ${config.zeroSeconds}s`;
+    }
+    return null;
+  }
+
+  async function runWatchdogLadder(config, reason) {
+    watchdog.recovering = true;
+    watchdogLog(`Failure detected: ${reason}`, true);
+
+    try {
+      for (const id of config.ladder) {
+        const action = WATCHDOG_ACTIONS[id];
+        if (!action) continue;
+
+        watchdogLog(`Running "${action.label}"...`);
+        let res;
+        try {
+          res = await action.run();
+        } catch (e) {
+          res = { success: false };
+          watchdogLog(`"${action.label}" threw: ${e}`, true);
+        }
+        watchdogLog(`"${action.label}" ${res?.success ? "succeeded" : "failed"}.`, !res?.success);
+
+        if (id === "reboot" && res?.success) {
+          watchdogLog("Router is rebooting, stopping the ladder.");
+          return;
+        }
+
+        await sleep(config.recoverySeconds * 1000);
+        await updateDeviceInfo();
+
+        if (isWanConnected()) {
+          watchdogLog(`Connection recovered after "${action.label}".`);
+          return;
+        }
+        watchdogLog(`Still not connected after "${action.label}".`, true);
+      }
+
+      watchdogLog("Escalation ladder exhausted without recovery.", true);
+    } finally {
+      watchdog.downSince = null;
+      watchdog.zeroSince = null;
+      watchdog.recovering = false;
+    }
+  }
+
+  function watchdogCheck(wanInfo, wanStat) {
+    const config = loadWatchdogConfig();
+    if (!config.enabled || watchdog.recovering || optimizer.running) return;
+
+    const reason = detectWatchdogFailure(config, wanInfo, wanStat);
+    if (reason) {
+      runWatchdogLadder(config, reason).catch(e => watchdogLog(`Ladder failed: ${e}`, true));
+    }
+  }
+
+  function renderWatchdogLog() {
+    const box = document.getElementById("watchdog-log");
+    if (!box) return;
+
+    const entries = loadWatchdogLog().slice().reverse();
+    box.innerHTML = entries.length > 0
+      ? entries.map(e => `
+          <div class="${e.error ? "wd-error" : ""}">
+            <span class="wd-time">${new Date(e.ts).toLocaleString()}</span> ${escapeHtml(e.msg)}
+          </div>
+        `).join("")
+      : "<div>No events yet.</div>";
+  }
 
-      // --- Primary NR cell ---
-      if (netInfo.nr5g_action_channel) {
-        const arfcn = parseInt(netInfo.nr5g_action_channel, 10);
-        const bw = parseInt(netInfo.nr5g_bandwidth, 10);
-        const pci = parseInt(netInfo.nr5g_pci, 10);
+  function showWatchdog() {
+    const config = loadWatchdogConfig();
+    const actionList = Object.entries(WATCHDOG_ACTIONS).map(([id, a]) => `${id} (${a.label})`).join(", ");
 
-        const conv = convert5gArfcnToMhz(arfcn);
+    const html = `
+      <div class="watchdog-form">
+        <label><input type="checkbox" id="wd-enabled" ${config.enabled ? "checked" : ""}> Enabled</label>
+        <label><input type="checkbox" id="wd-check-status" ${config.checkStatus ? "checked" : ""}>
+          WAN not connected for <input type="number" id="wd-down" min="5" value="${config.downSeconds}"> s</label>
+        <label><input type="checkbox" id="wd-check-throughput" ${config.checkThroughput ? "checked" : ""}>
+          Zero throughput for <input type="number" id="wd-zero" min="10" value="${config.zeroSeconds}"> s</label>
+        <label><input type="checkbox" id="wd-check-reset" ${config.checkReset ? "checked" : ""}>
+          Connection time reset</label>
+        <label>Wait after each action <input type="number" id="wd-recovery" min="10" value="${config.recoverySeconds}"> s</label>
+        <label>Escalation ladder (in order)
+          <input type="text" id="wd-ladder" value="${config.ladder.join(",")}">
+        </label>
+        <div class="wd-hint">Available actions: ${actionList}</div>
+      </div>
+      <div class="watchdog-actions">
+        <button id="btn-wd-save">Save</button>
+        <button id="btn-wd-clear">Clear Log</button>
+      </div>
+      <div id="watchdog-log"></div>
 
-        let band = null;
-        if (conv) {
-          band = conv.band;
-        } else if (netInfo.nr5g_action_band) {
-          band = netInfo.nr5g_action_band.replace(/^n/i, ""); // strip leading "n"
+      <style>
+        .watchdog-form {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          font-size: 13px;
+        }
+        .watchdog-form input[type=number] {
+          width: 60px;
+        }
+        .watchdog-form input[type=text] {
+          width: 100%;
+          box-sizing: border-box;
+        }
+        .wd-hint {
+          font-size: 12px;
+          color: #666;
+        }
+        .watchdog-actions {
+          margin: 12px 0;
+          text-align: center;
+        }
+        #watchdog-log {
+          max-height: 240px;
+          overflow-y: auto;
+          font-size: 12px;
+          font-family: monospace;
+          border: 1px solid #eee;
+          padding: 6px;
+        }
+        #watchdog-log .wd-error {
+          color: #c00;
         }
+        #watchdog-log .wd-time {
+          color: #888;
+        }
+      </style>
+    `;
 
-        signals.push(new NrSignal({
-          pci,
-          arfcn,
-          bandwidth: bw,
-          rsrp: parseFloat(netInfo.nr5g_rsrp ?? null),
-          rsrq: parseFloat(netInfo.nr5g_rsrq ?? null),
-          sinr: parseFloat(netInfo.nr5g_snr ?? null),
-          rssi: parseFloat(netInfo.nr5g_rssi ?? null),
-          ulConfigured: true,  // primary always true
-          bandActive: true,    // primary always active
-          dlFreqMhz: conv ? conv.dlMHz : null,
-          band
-        }));
+    ShowInfoWindow("Connectivity Watchdog", html);
+    renderWatchdogLog();
+
+    document.getElementById("btn-wd-save").addEventListener("click", () => {
+      const ladder = document.getElementById("wd-ladder").value
+        .split(",").map(s => s.trim()).filter(s => s !== "");
+      const unknown = ladder.filter(id => !WATCHDOG_ACTIONS[id]);
+      if (unknown.length > 0 || ladder.length === 0) {
+        alert(`Invalid ladder. Unknown actions: ${unknown.join(", ") || "none given"}`);
+        return;
       }
 
-      // --- NR CA cells ---
-      if (netInfo.nrca) {
-        const caEntries = netInfo.nrca.split(";").filter(e => e.trim() !== "");
-        caEntries.forEach(entry => {
-          const parts = entry.split(",").map(p => p.trim());
-          if (parts.length < 11) return;
+      const num = (id, min) => Math.max(min, parseInt(document.getElementById(id).value, 10) || min);
+      saveWatchdogConfig({
+        enabled: document.getElementById("wd-enabled").checked,
+        checkStatus: document.getElementById("wd-check-status").checked,
+        checkThroughput: document.getElementById("wd-check-throughput").checked,
+        checkReset: document.getElementById("wd-check-reset").checked,
+        downSeconds: num("wd-down", 5),
+        zeroSeconds: num("wd-zero", 10),
+        recoverySeconds: num("wd-recovery", 10),
+        ladder
+      });
 
-          const ulConfFlag = parseInt(parts[0], 10);
-          const pci = parseInt(parts[1], 10);
-          const activeFlag = parseInt(parts[2], 10);
-          const band = parts[3] ? "n" + parts[3] : null;
-          const arfcn = parseInt(parts[4], 10);
-          const bw = parseInt(parts[5], 10);
+      // start detection from scratch
+      watchdog.downSince = null;
+      watchdog.zeroSince = null;
+      watchdog.resetDetected = false;
+      scriptMsg("Watchdog settings saved.");
+    });
 
-          const rsrp = parseFloat(parts[7]);
-          const rsrq = parseFloat(parts[8]);
-          const sinr = parseFloat(parts[9]);
-          const rssi = parseFloat(parts[10]);
+    document.getElementById("btn-wd-clear").addEventListener("click", () => {
+      localStorage.removeItem("ScriptWatchdogLog");
+      renderWatchdogLog();
+    });
+  }
 
-          const conv = convert5gArfcnToMhz(arfcn);
+  // --- Threshold alerts ---
+
+  // Level rules fire after the bad condition held for `hold` seconds and clear
+  // only once the value is back past the threshold plus a margin (hysteresis).
+  // Event rules fire on a transition, at most once per cooldown.
+  const ALERT_RULES = {
+    cpu_temp: {
+      label: "CPU temperature above",
+      unit: "°C",
+      defaults: { enabled: false, threshold: 75, hold: 0 },
+      kind: "level",
+      value: ctx => parseFloat(ctx.thermalInfo?.cpuss_temp),
+      isBad: (v, rule) => v > rule.threshold,
+      isGood: (v, rule) => v <= rule.threshold - 3,
+      message: (v, rule) => `CPU temperature ${v}°C is above ${rule.threshold}°C`
+    },
+    sinr_low: {
+      label: "SINR below",
+      unit: "dB",
+      defaults: { enabled: false, threshold: 0, hold: 60 },
+      kind: "level",
+      value: ctx => getPrimaryCarrier(ctx.netInfo, ctx.signal)?.sinr,
+      isBad: (v, rule) => v < rule.threshold,
+      isGood: (v, rule) => v >= rule.threshold + 2,
+      message: (v, rule) => `SINR ${v} dB below ${rule.threshold} dB for ${rule.hold}s`
+    },
+    monthly_traffic: {
+      label: "Monthly traffic above",
+      unit: "GB",
+      defaults: { enabled: false, threshold: 100, hold: 0 },
+      kind: "level",
+      value: ctx => (Number(ctx.wanStat?.month_rx_bytes || 0) + Number(ctx.wanStat?.month_tx_bytes || 0)) / 1024 ** 3,
+      isBad: (v, rule) => v > rule.threshold,
+      isGood: (v, rule) => v <= rule.threshold * 0.95,
+      message: (v, rule) => `Monthly traffic ${v.toFixed(1)} GB exceeds ${rule.threshold} GB`
+    },
+    sa_to_lte: {
+      label: "Network type changes from SA to LTE",
+      defaults: { enabled: false, cooldown: 300 },
+      kind: "event",
+      value: ctx => ctx.netInfo?.network_type || null,
+      detect: (prev, cur) => prev === "SA" && cur === "LTE" ? "Network type changed from 5G SA to LTE" : null
+    },
+    band_change: {
+      label: "Connected band set changes",
+      defaults: { enabled: false, cooldown: 300 },
+      kind: "event",
+      value: ctx => getConnectedBands(ctx.netInfo, ctx.signal).join("+") || null,
+      detect: (prev, cur) => prev && cur && prev !== cur ? `Band set changed from ${prev} to ${cur}` : null
+    }
+  };
 
-          signals.push(new NrSignal({
-            pci,
-            arfcn,
-            bandwidth: bw,
-            rsrp,
-            rsrq,
-            sinr,
-            rssi,
-            ulConfigured: ulConfFlag === 1, // 1 = true, 0 = false
-            bandActive: activeFlag === 2,    // 2 = active, 1 = inactive
-            dlFreqMhz: conv ? conv.dlMHz : null,
-            band: conv ? conv.band : band
-          }));
-        });
-      }
+  const alertState = {};
+  const activeAlerts = new Map(); // rule id -> { ts, message }
 
-      return signals;
+  function getConnectedBands(netInfo, signal) {
+    const bands = [];
+    if (is5gBasedNetworkType(netInfo?.network_type)) {
+      signal?.nrSignal?.forEach(cell => { if (cell.band) bands.push(`N${cell.band}`); });
     }
-
-    static calculateGnodeBAndSectorId(nci) {
-      if (!nci || isNaN(nci)) return { gNodeB: null, sector: null };
-      const id = Number(nci);
-      return {
-        gNodeB: id >>> 8,
-        sector: id & 0xFF
-      };
+    if (is4gBasedNetworkType(netInfo?.network_type)) {
+      signal?.lteSignal?.forEach(cell => { if (cell.band) bands.push(`B${cell.band}`); });
     }
+    return bands;
   }
 
-  class Signal {
-    constructor() {
-      this.lteSignal = [];
-      this.nrSignal = [];
+  function loadAlertConfig() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem("ScriptAlertRules") || "{}");
+    } catch {
+      // fall back to defaults
     }
 
-    static parse(netInfo) {
-      const signal = new Signal();
+    const config = {};
+    Object.entries(ALERT_RULES).forEach(([id, rule]) => {
+      config[id] = { ...rule.defaults, ...(saved[id] || {}) };
+    });
+    return config;
+  }
 
-      // parse LTE
-      signal.lteSignal = LteSignal.parse(netInfo);
+  function raiseAlert(id, message) {
+    activeAlerts.set(id, { ts: Date.now(), message });
+    scriptErrorMsg(`Alert: ${message}`);
+    renderAlertBanner();
 
-      // parse NR
-      signal.nrSignal = NrSignal.parse(netInfo);
+    if ("Notification" in window && Notification.permission === "granted") {
+      new Notification("ZTE-Script-NG", { body: message, tag: `zte-alert-${id}` });
+    }
+  }
 
-      return signal;
+  function clearAlert(id) {
+    if (activeAlerts.delete(id)) {
+      renderAlertBanner();
     }
   }
 
-  // --- ubus actions ---
-  async function updateDeviceInfo() {
-    const res = await callUbus([
-      { service: "zte_nwinfo_api", method: "nwinfo_get_netinfo" },
-      { service: "zwrt_bsp.thermal", method: "get_cpu_temp" },
-      { service: "zwrt_mc.device.manager", method: "get_device_info" },
-      { service: "zwrt_router.api", method: "router_get_status" },
-      { service: "zwrt_data", method: "get_wwandst", params: { "source_module": "web", "cid": 1, "type": 4 } }
-    ]);
+  function evaluateAlerts(ctx) {
+    const config = loadAlertConfig();
+    const now = ctx.now ?? Date.now();
 
-    if (Array.isArray(res) && res.length === 5) {
-      // check if all calls succeeded
-      const allOk = res.every(r => r?.success);
+    Object.entries(ALERT_RULES).forEach(([id, rule]) => {
+      const settings = config[id];
+      const state = alertState[id] || (alertState[id] = { active: false, badSince: null, prev: null, lastFired: 0 });
 
-      if (!allOk) {
+      if (!settings.enabled) {
+        state.active = false;
+        state.badSince = null;
+        clearAlert(id);
         return;
       }
 
-      const netRes = res[0];
-      const tempRes = res[1];
-      const devRes = res[2];
-      const wanRes = res[3];
-      const wanStat = res[4];
-      const signal = Signal.parse(netRes.data);
-
-      // store latest netInfo globally
-      currentNetInfo = netRes.data;
+      const v = rule.value(ctx);
 
-      InfoRenderer.render(
-        netRes.data,
-        tempRes.data,
-        devRes.data,
-        wanRes.data,
-        signal,
-        wanStat.data
-      );
+      if (rule.kind === "event") {
+        const msg = v != null ? rule.detect(state.prev, v) : null;
+        if (v != null) state.prev = v;
+        if (msg && now - state.lastFired >= settings.cooldown * 1000) {
+          state.lastFired = now;
+          raiseAlert(id, msg);
+        }
+        return;
+      }
 
-      highlightBearer(netRes.data.net_select);
+      if (v == null || !Number.isFinite(v)) return;
 
-      if (netRes.data.lte_band_lock) {
-        const maskNum = BigInt(netRes.data.lte_band_lock);
-        setCurrent4gMask(maskNum);
-        update4gBandLockHeader(maskNum);
+      if (rule.isBad(v, settings)) {
+        state.badSince = state.badSince ?? now;
+        if (!state.active && now - state.badSince >= settings.hold * 1000) {
+          state.active = true;
+          raiseAlert(id, rule.message(v, settings));
+        }
+      } else {
+        state.badSince = null;
+        if (state.active && rule.isGood(v, settings)) {
+          state.active = false;
+          clearAlert(id);
+        }
       }
+    });
+  }
 
-      if (netRes.data.nr5g_sa_band_lock) {
-        const activeBands = netRes.data.nr5g_sa_band_lock.split(",").map(b => b.trim());
-        setCurrent5gBands(activeBands);
-        update5gBandLockHeader(activeBands);
-      }
+  function renderAlertBanner() {
+    const banner = document.getElementById("alert-banner");
+    if (!banner) return;
 
-      update5gCellLockUi(netRes.data);
-      update4gCellLockUi(netRes.data);
-    }
+    banner.style.display = activeAlerts.size > 0 ? "block" : "none";
+    banner.innerHTML = [...activeAlerts.entries()].map(([id, a]) => `
+      <div class="alert-item">
+        <span>⚠ ${new Date(a.ts).toTimeString().slice(0, 8)} ${escapeHtml(a.message)}</span>
+        <button data-alert="${id}" title="Dismiss">×</button>
+      </div>
+    `).join("");
   }
 
-  async function setBearer(modeId) {
-    return await callUbus({
-      service: "zte_nwinfo_api",
-      method: "nwinfo_set_netselect",
-      params: { net_select: modeId }
-    });
-  }
+  function showAlertRules() {
+    const config = loadAlertConfig();
+
+    const rows = Object.entries(ALERT_RULES).map(([id, rule]) => {
+      const s = config[id];
+      const params = rule.kind === "level"
+        ? `<input type="number" data-field="threshold" value="${s.threshold}"> ${rule.unit}
+           for <input type="number" data-field="hold" min="0" value="${s.hold}"> s`
+        : `cooldown <input type="number" data-field="cooldown" min="0" value="${s.cooldown}"> s`;
+      return `
+        <tr data-rule="${id}">
+          <th><label><input type="checkbox" data-field="enabled" ${s.enabled ? "checked" : ""}> ${rule.label}</label></th>
+          <td>${params}</td>
+        </tr>
+      `;
+    }).join("");
 
-  async function set4gBandLock(maskNum) {
-    return await callUbus({
-      service: "zte_nwinfo_api",
-      method: "nwinfo_set_gwl_bandlock",
-      params: { 
-        is_gw_band: "0",
-        gw_band_mask: "0",
-        is_lte_band: "1",
-        lte_band_mask: maskNum.toString() // decimal as string
-      }
-    });
-  }
+    const permission = "Notification" in window ? Notification.permission : "unsupported";
 
-  async function set5gBandLock(bands) {
-    const bandString = bands.join(",");
-    return await callUbus(
-      {
-        service: "zte_nwinfo_api",
-        method: "nwinfo_set_nrbandlock",
-        params: { 
-          nr5g_type: "SA", /* This parameter is actually ignored. NSA won't work here. */
-          nr5g_band: bandString
+    const html = `
+      <div class="info-section">
+        <div class="section-title">Alert Rules</div>
+        <table class="info-table alert-rules">${rows}</table>
+      </div>
+      <p class="alert-hint">Browser notifications: ${permission}</p>
+      <div class="alert-actions"><button id="btn-alerts-save">Save</button></div>
+
+      <style>
+        .alert-rules input[type=number] {
+          width: 60px;
         }
+        .alert-hint {
+          font-size: 12px;
+          color: #666;
+          text-align: center;
+        }
+        .alert-actions {
+          text-align: center;
+        }
+      </style>
+    `;
+
+    ShowInfoWindow("Alerts", html);
+
+    document.getElementById("btn-alerts-save").addEventListener("click", async () => {
+      const saved = {};
+      document.querySelectorAll(".alert-rules tr[data-rule]").forEach(tr => {
+        const entry = {};
+        tr.querySelectorAll("[data-field]").forEach(input => {
+          entry[input.dataset.field] = input.type === "checkbox" ? input.checked : parseFloat(input.value) || 0;
+        });
+        saved[tr.dataset.rule] = entry;
+      });
+      localStorage.setItem("ScriptAlertRules", JSON.stringify(saved));
+
+      // re-evaluate from scratch with the new thresholds
+      Object.keys(alertState).forEach(id => delete alertState[id]);
+      activeAlerts.clear();
+      renderAlertBanner();
+
+      if (Object.values(saved).some(r => r.enabled) &&
+          "Notification" in window && Notification.permission === "default") {
+        await Notification.requestPermission();
       }
-    );
+      scriptMsg("Alert rules saved.");
+    });
   }
 
-  async function lock5gCell(pci, earfcn, band) {
-    return await callUbus({
-      service: "zte_nwinfo_api",
-      method: "nwinfo_lock_nr_cell",
-      params: {
-        lock_nr_pci: pci.toString(),
-        lock_nr_earfcn: earfcn.toString(),
-        lock_nr_cell_band: band.toString()
-      }
+  function setupAlerts() {
+    const banner = document.getElementById("alert-banner");
+    if (!banner) return;
+
+    banner.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-alert]");
+      if (btn) clearAlert(btn.dataset.alert);
     });
   }
 
-  async function unlock5gCell() {
-    return lock5gCell(0, 0, 0);
+  // --- Backup and restore ---
+
+  const BACKUP_WIRELESS_SECTIONS = ["wifi0", "wifi1"];
+  // options the WiFi menu writes through zwrt_wlan.set, everything else
+  // (txpower in dBm, band, ...) is derived or read-only
+  const BACKUP_WIRELESS_OPTIONS = ["txpowerpercent", "country", "maxassoc"];
+
+  function withoutMetaKeys(values) {
+    return Object.fromEntries(Object.entries(values || {}).filter(([k]) => !k.startsWith(".")));
   }
 
-  async function lock4gCell(pci, earfcn) {
-    return await callUbus({
-      service: "zte_nwinfo_api",
-      method: "nwinfo_lock_lte_cell",
-      params: {
-        lock_lte_pci: pci.toString(),
-        lock_lte_earfcn: earfcn.toString()
+  function pickWirelessOptions(values) {
+    return Object.fromEntries(BACKUP_WIRELESS_OPTIONS
+      .filter(option => values?.[option] !== undefined)
+      .map(option => [option, values[option]]));
+  }
+
+  // everything the script can change, in the same shape as the backup file
+  async function readBackupState() {
+    const { res } = await runWithRetry(() =>
+      callUbus([
+        { service: "uci", method: "get", params: { config: "zwrt_common_info", section: "common_config" } },
+        { service: "zte_nwinfo_api", method: "nwinfo_get_netinfo" },
+        ...BACKUP_WIRELESS_SECTIONS.map(section => (
+          { service: "uci", method: "get", params: { config: "wireless", section } }
+        ))
+      ])
+    );
+
+    if (!Array.isArray(res) || !res[1]?.success) {
+      throw new Error("Failed to read the current router settings");
+    }
+
+    const wireless = {};
+    BACKUP_WIRELESS_SECTIONS.forEach((section, idx) => {
+      const r = res[idx + 2];
+      if (r?.success && r.data?.values) {
+        wireless[section] = pickWirelessOptions(r.data.values);
       }
     });
+
+    return {
+      device: withoutMetaKeys(res[0]?.data?.values),
+      settings: {
+        ...captureCurrentConfig(res[1].data),
+        wireless
+      }
+    };
   }
 
-  async function unlock4gCell() {
-    return lock4gCell(0, 0);
+  // [label, value, key] rows, the same fields as "HW and SW Info"
+  function describeDevice(device) {
+    return buildInfoRowsFromValues(device || {}, HW_INFO_FILTER)
+      .filter(([, val]) => typeof val !== "object");
   }
 
-  // --- UI feedback overlay ---
-  function showUiFeedback(success) {
-    let overlay = document.getElementById("ui-feedback-overlay");
-    if (!overlay) {
-      overlay = document.createElement("div");
-      overlay.id = "ui-feedback-overlay";
-      overlay.style.cssText = `
-        position: absolute;
-        top: 50%;
-        left: 50%;
-        transform: translate(-50%, -50%);
-        font-size: 48px;
-        font-weight: bold;
-        z-index: 1000;
-        pointer-events: none;
-        display: none;
-      `;
-      const panelBox = document.getElementById("router-info-box");
-      panelBox.style.position = "relative";
-      panelBox.appendChild(overlay);
+  async function createBackup() {
+    let state;
+    try {
+      state = await readBackupState();
+    } catch (e) {
+      alert(e.message);
+      return;
     }
 
-    overlay.textContent = success ? "✓" : "✗";
-    overlay.style.color = success ? "green" : "red";
-    overlay.style.display = "block";
+    const backup = {
+      type: "zte-script-ng-backup",
+      version: 1,
+      scriptVersion: VERSION,
+      created: new Date().toISOString(),
+      ...state
+    };
 
-    setTimeout(() => {
-      overlay.style.display = "none";
-    }, 1000);
+    const stamp = backup.created.slice(0, 19).replace(/[:T]/g, "-");
+    downloadFile(`zte-backup-${stamp}.json`,
+      JSON.stringify(backup, null, 2), "application/json");
+    scriptMsg("Backup created.");
   }
 
-  // generic retry wrapper for ubus requests
-  // NOTE: ZTE's web server has a bug and sometimes requests fail even though they should succeed.
-  async function runWithRetry(fn, maxAttempts = 5, logSuccess = false) {
-    let attempts = 1;
-    let res;
-
-    while (attempts <= maxAttempts) {
-      res = await fn();
+  function formatBackupValue(v) {
+    if (v == null) return "-";
+    if (Array.isArray(v)) return v.join(",") || "auto";
+    if (typeof v === "object") return Object.values(v).join(",");
+    return String(v);
+  }
 
-      // detect accessDenied on single object or inside array
-      const denied = Array.isArray(res)
-        ? res.some(r => r?.accessDenied)
-        : res?.accessDenied;
+  // one entry per restorable item that differs from the current state
+  function diffBackup(backup, current) {
+    const items = [];
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+    [
+      ["bearer", "Bearer"],
+      ["lteBandMask", "4G band mask"],
+      ["nrBands", "5G bands"],
+      ["lteCellLock", "4G cell lock"],
+      ["nrCellLock", "5G cell lock"]
+    ].forEach(([key, label]) => {
+      const from = current.settings[key];
+      const to = backup.settings[key];
+      // a missing lock means "unlocked", everything else missing is skipped
+      if (to === undefined || (to === null && !key.endsWith("CellLock"))) return;
+      if (!same(from, to)) items.push({ id: key, label, from, to });
+    });
 
-      if (!denied) {
-        break;
-      }
+    // older backups hold whole sections, only the writable options are restored
+    BACKUP_WIRELESS_SECTIONS.forEach(section => {
+      const values = pickWirelessOptions(backup.settings.wireless?.[section]);
+      Object.entries(values).forEach(([option, to]) => {
+        const from = current.settings.wireless?.[section]?.[option];
+        if (!same(from, to)) {
+          items.push({ id: `wireless.${section}.${option}`, label: `WiFi ${section}.${option}`, section, option, from, to });
+        }
+      });
+    });
 
-      attempts++;
-    }
+    return items;
+  }
 
-    // only log success if requested
-    const allSucceeded = Array.isArray(res)
-      ? res.every(r => r?.success)
-      : res?.success;
+  async function applyBackupItems(items) {
+    const steps = [];
+    const byId = Object.fromEntries(items.map(i => [i.id, i]));
 
-    if (logSuccess && attempts > 1 && allSucceeded) {
-      scriptMsg(`Request succeeded after ${attempts} attempts.`);
+    if (byId.lteBandMask) steps.push(["4G band lock", () => set4gBandLock(BigInt(byId.lteBandMask.to))]);
+    if (byId.nrBands) steps.push(["5G band lock", () => set5gBandLock(byId.nrBands.to)]);
+    if (byId.lteCellLock) {
+      const lock = byId.lteCellLock.to;
+      steps.push(["4G cell lock", () => lock ? lock4gCell(lock.pci, lock.earfcn) : unlock4gCell()]);
+    }
+    if (byId.nrCellLock) {
+      const lock = byId.nrCellLock.to;
+      steps.push(["5G cell lock", () => lock ? lock5gCell(lock.pci, lock.earfcn, lock.band) : unlock5gCell()]);
     }
 
-    return { res, attempts };
-  }
+    // one zwrt_wlan call per wireless section
+    const wireless = {};
+    items.filter(i => i.section).forEach(i => {
+      wireless[i.section] = { ...(wireless[i.section] || {}), [i.option]: i.to };
+    });
+    Object.entries(wireless).forEach(([section, values]) => {
+      steps.push([`WiFi ${section}`, () => callUbus({
+        service: "zwrt_wlan",
+        method: "set",
+        params: { [section]: values }
+      })]);
+    });
 
-  async function runWithUiFeedback(fn) {
-    try {
-      const { res } = await runWithRetry(fn, 5, true);
+    // the bearer goes last because switching it makes the modem re-attach
+    if (byId.bearer) steps.push(["bearer", () => setBearer(byId.bearer.to)]);
 
-      if (!res || res.success === false) {
-        showUiFeedback(false);
+    const failed = [];
+    for (const [label, fn] of steps) {
+      const res = await runWithUiFeedback(fn);
+      if (res?.success) {
+        scriptMsg(`Restore: ${label} applied.`);
       } else {
-        showUiFeedback(true);
+        scriptErrorMsg(`Restore: ${label} failed.`);
+        failed.push(label);
       }
-
-      updateDeviceInfo();
-      return res;
-    } catch (e) {
-      showUiFeedback(false);
-      throw e;
     }
+    return failed;
   }
 
-  // --- render ---
-  class InfoRenderer {
-  static render(netInfo, thermalInfo, deviceInfo, wanInfo, signalInfo, wanStat) {
-      const netTable = document.getElementById("router-info-table");
-      const wanTable = document.getElementById("wan-info-table");
-      const sysTable = document.getElementById("system-info-table");
-      const trafTable = document.getElementById("traffic-info-table");
-
-      if (!netTable || !wanTable || !sysTable || !trafTable) return;
+  function validateBackup(data) {
+    if (data?.type !== "zte-script-ng-backup" || !data.settings) {
+      throw new Error("Not a ZTE-Script-NG backup file");
+    }
 
-      this.renderNetworkInfo(netTable, netInfo, signalInfo, wanStat);
-      this.renderSignalInfo(netInfo, signalInfo);
-      this.renderWanInfo(wanTable, wanInfo);
-      this.renderDeviceInfo(sysTable, thermalInfo, deviceInfo);
-      this.renderTrafficInfo(trafTable, wanStat);
+    const s = data.settings;
+    // reuse the profile checks for bearer, band and cell lock values
+    validateProfile({ name: "backup", ...s });
+    if (s.wireless && typeof s.wireless !== "object") {
+      throw new Error("Invalid wireless settings");
     }
+    BACKUP_WIRELESS_SECTIONS.forEach(section => {
+      Object.values(pickWirelessOptions(s.wireless?.[section])).forEach(v => {
+        if (!["string", "number"].includes(typeof v)) {
+          throw new Error(`Invalid wireless settings for ${section}`);
+        }
+      });
+    });
+    return data;
+  }
 
-    static renderNetworkInfo(table, netInfo, signalInfo, wanStat) {
-      let bandSummary = "-";
-      let totalBandwidth = 0;
+  function showRestoreDiff(backup, current, items) {
+    const device = describeDevice(backup.device);
+    const cur = Object.fromEntries(describeDevice(current.device).map(([, val, key]) => [key, val]));
+    const differs = device.filter(([, val, key]) => key in cur && String(cur[key]) !== String(val));
+    const warn = differs.length > 0
+      ? `<p class="restore-warn">⚠ Backup was taken on a different device or firmware (${escapeHtml(differs.map(([label]) => label).join(", "))} differ).</p>`
+      : "";
+    const deviceRows = device.map(([label, val]) => [escapeHtml(label), escapeHtml(String(val))]);
 
-      if (signalInfo) {
-        const nrBands = [];
-        const lteBands = [];
+    const rows = items.map((item, idx) => `
+      <tr>
+        <th><label><input type="checkbox" name="restore-item" value="${idx}" checked> ${escapeHtml(item.label)}</label></th>
+        <td>${escapeHtml(formatBackupValue(item.from))} → <b>${escapeHtml(formatBackupValue(item.to))}</b></td>
+      </tr>
+    `).join("");
 
-        if (is5gBasedNetworkType(netInfo?.network_type)) {
-          signalInfo.nrSignal?.forEach(cell => {
-            if (cell.band) nrBands.push(`N${cell.band}`);
-            if (cell.bandwidth) totalBandwidth += cell.bandwidth;
-          });
-        }
+    const html = `
+      <p class="restore-meta">Backup from ${escapeHtml(backup.created)}</p>
+      ${warn}
+      ${deviceRows.length > 0 ? buildInfoTableForInfoWindow("Backup Device", deviceRows) : ""}
+      <div class="info-section">
+        <div class="section-title">Changes</div>
+        <table class="info-table">
+          ${rows || `<tr><td style="text-align:center">The router already matches this backup.</td></tr>`}
+        </table>
+      </div>
+      ${items.length > 0 ? `<div class="restore-actions"><button id="btn-restore-apply">Restore Selected</button></div>` : ""}
 
-        if (is4gBasedNetworkType(netInfo?.network_type)) {
-          signalInfo.lteSignal?.forEach(cell => {
-            if (cell.band) lteBands.push(`B${cell.band}`);
-            if (cell.bandwidth) totalBandwidth += cell.bandwidth;
-          });
+      <style>
+        .restore-meta {
+          font-size: 13px;
+          text-align: center;
         }
-
-        const parts = [];
-        if (nrBands.length > 0) parts.push(...nrBands);
-        if (lteBands.length > 0) parts.push(...lteBands);
-
-        if (parts.length > 0) {
-          bandSummary = parts.join(" + ");
+        .restore-warn {
+          color: #c00;
+          text-align: center;
         }
-      }
-
-      let connType = netInfo.network_type || "-";
-      if (connType === "SA") {
-        connType = "5G SA";
-      } else if (connType === "ENDC") {
-        connType = "5G NSA";
-      }
+        .restore-actions {
+          margin-top: 12px;
+          text-align: center;
+        }
+      </style>
+    `;
 
-      let cellIdDisplay = "-";
+    ShowInfoWindow("Restore Backup", html);
 
-      let nodeId = null;
-      let sectorId = null;
+    document.getElementById("btn-restore-apply")?.addEventListener("click", async () => {
+      const selected = [...document.querySelectorAll("input[name=restore-item]:checked")]
+        .map(c => items[c.value]);
+      if (selected.length === 0) {
+        alert("Nothing selected.");
+        return;
+      }
+      if (!confirm(`Restore ${selected.length} item(s)?`)) return;
 
-      if (is4gBasedNetworkType(netInfo.network_type) && netInfo.cell_id) {
-        const { eNodeB, sector } = LteSignal.calculateEnodeBAndSectorId(netInfo.cell_id);
-        nodeId = eNodeB;
-        sectorId = sector;
-      } else if (netInfo.nr5g_cell_id) {
-        const { gNodeB, sector } = NrSignal.calculateGnodeBAndSectorId(netInfo.nr5g_cell_id);
-        nodeId = gNodeB;
-        sectorId = sector;
+      document.getElementById("info-window-overlay")?.remove();
+      const failed = await applyBackupItems(selected);
+      if (failed.length > 0) {
+        alert(`Restore finished with errors: ${failed.join(", ")} failed.`);
+      } else {
+        scriptMsg("Restore finished.");
       }
+    });
+  }
 
-      if (nodeId != null && sectorId != null) {
-        cellIdDisplay = `${toHex(nodeId, false)}<span class="cellid-sep">|</span>${toHex(sectorId, false)}`;
+  function restoreBackup() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/json,.json";
+
+    input.addEventListener("change", async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+
+      try {
+        const backup = validateBackup(JSON.parse(await file.text()));
+        const current = await readBackupState();
+        showRestoreDiff(backup, current, diffBackup(backup, current));
+      } catch (e) {
+        alert(`Restore failed: ${e.message}`);
       }
+    });
 
-      table.innerHTML = `
-        <tr><th>Provider</th><td>${netInfo.network_provider_fullname || "-"}</td></tr>
-        <tr><th>Connection</th><td>${connType}</td></tr>
-        <tr><th>Duration</th><td>${formatSeconds(wanStat.real_time || 0)}</td></tr>
-        <tr><th>Bands</th><td>${bandSummary}</td></tr>
-        <tr><th>BW</th><td>${totalBandwidth > 0 ? totalBandwidth + " MHz" : "-"}</td></tr>
-        <tr><th>Cell ID</th><td>${cellIdDisplay}</td></tr>
-      `;
-    }
+    input.click();
+  }
 
-    static renderSignalInfo(netInfo, signalInfo) {
-      const sigContainer = document.getElementById("signal-info-container");
-      if (!sigContainer) return;
+  // --- ubus console ---
 
-      sigContainer.innerHTML = "";
+  // services whose read methods are known, everything else on them is a write
+  const UBUS_READ_METHODS = {
+    "uci": ["get", "configs", "state", "changes"],
+    "session": ["list", "access"],
+    "system": ["info", "board"],
+    "iwinfo": ["devices", "info", "assoclist", "freqlist", "txpowerlist", "countrylist"],
+    "luci-rpc": ["getDHCPLeases", "getHostHints", "getNetworkDevices", "getWirelessDevices", "getBoardJSON"]
+  };
 
-      function tf(val) {
-        return val ? "✓" : "✗";
-      }
+  const UBUS_WRITE_VERB = /(^|_)(set|add|delete|del|modify|lock|unlock|reboot|reset|send|apply|commit|restore)/i;
 
-      // --- NR signals ---
-      if ((netInfo?.network_type === "SA" || netInfo?.network_type === "ENDC") &&
-          signalInfo?.nrSignal?.length > 0) {
-        const grid = document.createElement("div");
-        grid.className = "signal-grid";
+  // Everything not recognized as a read is treated as a write. A write verb
+  // anywhere in the name wins over the read patterns (set_mac_black_list).
+  function isReadOnlyUbusCall(service, method) {
+    if (UBUS_READ_METHODS[service]) {
+      return UBUS_READ_METHODS[service].includes(method);
+    }
+    if (UBUS_WRITE_VERB.test(method)) {
+      return false;
+    }
+    return /^(get|list|show|query)(_|$)|_(get|list|query)(_|$)|_(info|status|state|capacity)$/.test(method);
+  }
 
-        signalInfo.nrSignal.forEach((cell, idx) => {
-          const box = document.createElement("div");
-          box.className = "signal-cell";
-          const bandTitle = cell.band ? `N${cell.band}` : `NR Cell ${idx + 1}`;
+  function loadUbusConsoleList(key) {
+    try {
+      const list = JSON.parse(localStorage.getItem(key) || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch {
+      return [];
+    }
+  }
 
-          box.innerHTML = `
-            <div class="cell-title">${bandTitle}</div>
-            <table>
-              <tr><th>RSRP</th><td>${cell.rsrp ?? "-"}</td></tr>
-              <tr><th>RSRQ</th><td>${cell.rsrq ?? "-"}</td></tr>
-              <tr><th>SINR</th><td>${cell.sinr ?? "-"}</td></tr>
-              <tr><th>RSSI</th><td>${cell.rssi ?? "-"}</td></tr>
-              <tr><th>PCI</th><td>${cell.pci ?? "-"}</td></tr>
-              <tr><th>BW</th><td>${cell.bandwidth ? cell.bandwidth + " MHz" : "-"}</td></tr>
-              <tr><th>ARFCN</th><td>${cell.arfcn ?? "-"}</td></tr>
-              <tr><th>Freq</th><td>${cell.dlFreqMhz ? cell.dlFreqMhz + " MHz" : "-"}</td></tr>
-              <tr><th>UL Configured</th><td>${tf(cell.ulConfigured)}</td></tr>
-              <tr><th>Active</th><td>${tf(cell.bandActive)}</td></tr>
-            </table>
-          `;
-          grid.appendChild(box);
-        });
+  function addUbusHistory(call) {
+    const history = loadUbusConsoleList("ScriptUbusHistory")
+      .filter(h => JSON.stringify([h.service, h.method, h.params]) !==
+        JSON.stringify([call.service, call.method, call.params]));
+    history.unshift(call);
+    localStorage.setItem("ScriptUbusHistory", JSON.stringify(history.slice(0, 50)));
+  }
 
-        sigContainer.appendChild(grid);
-      }
+  function showUbusConsole() {
+    const history = loadUbusConsoleList("ScriptUbusHistory");
+    const favorites = loadUbusConsoleList("ScriptUbusFavorites");
 
-      // --- LTE signals ---
-      if (is4gBasedNetworkType(netInfo?.network_type) && signalInfo?.lteSignal?.length > 0) {
-        const grid = document.createElement("div");
-        grid.className = "signal-grid";
+    const callLabel = c => `${c.service} ${c.method} ${JSON.stringify(c.params)}`;
+    const listHtml = (list, kind) => list.map((c, idx) => `
+      <div class="ubus-list-item">
+        <a href="#" data-action="load-${kind}" data-idx="${idx}">${escapeHtml(c.name ? `${c.name}: ` : "")}${escapeHtml(callLabel(c))}</a>
+        ${kind === "fav" ? `<button data-action="del-fav" data-idx="${idx}">×</button>` : ""}
+      </div>
+    `).join("") || "<div>-</div>";
 
-        signalInfo.lteSignal.forEach((cell, idx) => {
-          const box = document.createElement("div");
-          box.className = "signal-cell";
-          const bandTitle = cell.band ? `B${cell.band}` : `Cell ${idx + 1}`;
+    const html = `
+      <div class="ubus-form">
+        <label>Service <input type="text" id="ubus-service" placeholder="zte_nwinfo_api"></label>
+        <label>Method <input type="text" id="ubus-method" placeholder="nwinfo_get_netinfo"></label>
+        <label>Params (JSON) <textarea id="ubus-params" rows="4">{}</textarea></label>
+        <label class="ubus-write"><input type="checkbox" id="ubus-allow-write"> Allow write calls</label>
+      </div>
+      <div class="ubus-actions">
+        <button id="btn-ubus-send">Send</button>
+        <button id="btn-ubus-fav">Save as Favorite</button>
+      </div>
+      <pre id="ubus-result"></pre>
+      <div class="ubus-lists">
+        <div><b>Favorites</b>${listHtml(favorites, "fav")}</div>
+        <div><b>History</b>${listHtml(history, "hist")}</div>
+      </div>
 
-          box.innerHTML = `
-            <div class="cell-title">${bandTitle}</div>
-            <table>
-              <tr><th>RSRP</th><td>${cell.rsrp ?? "-"}</td></tr>
-              <tr><th>RSRQ</th><td>${cell.rsrq ?? "-"}</td></tr>
-              <tr><th>SINR</th><td>${cell.sinr ?? "-"}</td></tr>
-              <tr><th>RSSI</th><td>${cell.rssi ?? "-"}</td></tr>
-              <tr><th>PCI</th><td>${cell.pci ?? "-"}</td></tr>
-              <tr><th>BW</th><td>${cell.bandwidth ? cell.bandwidth + " MHz" : "-"}</td></tr>
-              <tr><th>EARFCN</th><td>${cell.earfcn ?? "-"}</td></tr>
-              <tr><th>Freq</th><td>${cell.dlFreqMhz ? cell.dlFreqMhz + " MHz" : "-"}</td></tr>
-              <tr><th>UL Configured</th><td>${tf(cell.ulConfigured)}</td></tr>
-              <tr><th>Active</th><td>${tf(cell.bandActive)}</td></tr>
-            </table>
-          `;
-          grid.appendChild(box);
-        });
+      <style>
+        .ubus-form {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          font-size: 13px;
+        }
+        .ubus-form input[type=text], .ubus-form textarea {
+          display: block;
+          width: 100%;
+          box-sizing: border-box;
+          font-family: monospace;
+        }
+        .ubus-form textarea.invalid {
+          border-color: #c00;
+        }
+        .ubus-actions {
+          margin: 10px 0;
+          text-align: center;
+        }
+        #ubus-result {
+          max-height: 260px;
+          overflow: auto;
+          background: #f7f7f7;
+          border: 1px solid #eee;
+          padding: 6px;
+          font-size: 12px;
+          white-space: pre-wrap;
+          word-break: break-all;
+        }
+        .ubus-lists {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 12px;
+          font-size: 12px;
+        }
+        .ubus-list-item {
+          display: flex;
+          justify-content: space-between;
+          gap: 4px;
+          word-break: break-all;
+        }
+        .ubus-list-item button {
+          padding: 0 6px;
+        }
+      </style>
+    `;
 
-        sigContainer.appendChild(grid);
+    ShowInfoWindow("ubus Console", html);
+
+    const serviceInput = document.getElementById("ubus-service");
+    const methodInput = document.getElementById("ubus-method");
+    const paramsInput = document.getElementById("ubus-params");
+    const result = document.getElementById("ubus-result");
+
+    function readForm() {
+      const service = serviceInput.value.trim();
+      const method = methodInput.value.trim();
+      let params;
+      try {
+        params = JSON.parse(paramsInput.value.trim() || "{}");
+      } catch (e) {
+        throw new Error(`Invalid JSON in params: ${e.message}`);
       }
+      if (!service || !method) throw new Error("Service and method are required.");
+      if (params === null || typeof params !== "object" || Array.isArray(params)) {
+        throw new Error("Params must be a JSON object.");
+      }
+      return { service, method, params };
     }
 
-    static renderTrafficInfo(table, wanStat) {
-      if (!wanStat || !table) return;
-
-      // Toggle whether to show error/drop stats (saves space if false)
-      const show_errors = false;
+    function fillForm(c) {
+      serviceInput.value = c.service;
+      methodInput.value = c.method;
+      paramsInput.value = JSON.stringify(c.params ?? {}, null, 2);
+      paramsInput.classList.remove("invalid");
+    }
 
-      function fmtBytes(val) {
-        if (!val || isNaN(val)) return "-";
-        const units = ["B","KB","MB","GB","TB"];
-        let v = Number(val);
-        let i = 0;
-        while (v >= 1024 && i < units.length - 1) {
-          v /= 1024;
-          i++;
-        }
-        return v.toFixed(1) + " " + units[i];
+    paramsInput.addEventListener("input", () => {
+      try {
+        JSON.parse(paramsInput.value.trim() || "{}");
+        paramsInput.classList.remove("invalid");
+      } catch {
+        paramsInput.classList.add("invalid");
       }
+    });
 
-      function fmtSpeed(val) {
-        if (!val || isNaN(val)) return "-";
-        const mbit = (Number(val) * 8) / 1e6;
-        return mbit.toFixed(2) + " Mbit/s";
+    document.getElementById("btn-ubus-send").addEventListener("click", async () => {
+      let call;
+      try {
+        call = readForm();
+      } catch (e) {
+        result.textContent = e.message;
+        return;
       }
 
-      let rows = "";
+      if (!isReadOnlyUbusCall(call.service, call.method) &&
+          !document.getElementById("ubus-allow-write").checked) {
+        result.textContent = `"${call.service} ${call.method}" may change settings. ` +
+          `Enable "Allow write calls" to send it.`;
+        return;
+      }
 
-      // --- Current (realtime) stats ---
-      rows += `<tr><th colspan="2" class="info-subtitle">Current</th></tr>`;
-      rows += `<tr><th>Time</th><td>${formatSeconds(wanStat.real_time)}</td></tr>`;
-      rows += `<tr><th>DL Speed</th><td>${fmtSpeed(wanStat.real_rx_speed)}</td></tr>`;
-      rows += `<tr><th>UL Speed</th><td>${fmtSpeed(wanStat.real_tx_speed)}</td></tr>`;
-      rows += `<tr><th>DL</th><td>${fmtBytes(wanStat.real_rx_bytes)}</td></tr>`;
-      rows += `<tr><th>UL</th><td>${fmtBytes(wanStat.real_tx_bytes)}</td></tr>`;
-      rows += `<tr><th>DL Packets</th><td>${wanStat.real_rx_packets ?? "-"}</td></tr>`;
-      rows += `<tr><th>UL Packets</th><td>${wanStat.real_tx_packets ?? "-"}</td></tr>`;
-      if (show_errors) {
-        rows += `<tr><th>Errors (DL/UL)</th><td>${wanStat.real_rx_error_packets}/${wanStat.real_tx_error_packets}</td></tr>`;
-        rows += `<tr><th>Drops (DL/UL)</th><td>${wanStat.real_rx_drop_packets}/${wanStat.real_tx_drop_packets}</td></tr>`;
+      result.textContent = "Sending...";
+      addUbusHistory(call);
+
+      try {
+        const { res, attempts } = await runWithRetry(() => callUbus(call), 5, true);
+        result.textContent = `// success: ${res?.success}, attempts: ${attempts}\n` +
+          JSON.stringify(res?.data ?? null, null, 2);
+      } catch (e) {
+        result.textContent = `Request failed: ${e}`;
       }
+    });
 
-      // --- Monthly stats ---
-      rows += `<tr><th colspan="2" class="info-subtitle">Monthly</th></tr>`;
-      rows += `<tr><th>Time</th><td>${formatSeconds(wanStat.month_time)}</td></tr>`;
-      rows += `<tr><th>DL</th><td>${fmtBytes(wanStat.month_rx_bytes)}</td></tr>`;
-      rows += `<tr><th>UL</th><td>${fmtBytes(wanStat.month_tx_bytes)}</td></tr>`;
-      rows += `<tr><th>DL Packets</th><td>${wanStat.month_rx_packets ?? "-"}</td></tr>`;
-      rows += `<tr><th>UL Packets</th><td>${wanStat.month_tx_packets ?? "-"}</td></tr>`;
-      if (show_errors) {
-        rows += `<tr><th>Errors (DL/UL)</th><td>${wanStat.month_rx_error_packets}/${wanStat.month_tx_error_packets}</td></tr>`;
-        rows += `<tr><th>Drops (DL/UL)</th><td>${wanStat.month_rx_drop_packets}/${wanStat.month_tx_drop_packets}</td></tr>`;
+    document.getElementById("btn-ubus-fav").addEventListener("click", () => {
+      let call;
+      try {
+        call = readForm();
+      } catch (e) {
+        result.textContent = e.message;
+        return;
       }
 
-      // --- Total stats ---
-      rows += `<tr><th colspan="2" class="info-subtitle">Total</th></tr>`;
-      rows += `<tr><th>Time</th><td>${formatSeconds(wanStat.total_time)}</td></tr>`;
-      rows += `<tr><th>DL</th><td>${fmtBytes(wanStat.total_rx_bytes)}</td></tr>`;
-      rows += `<tr><th>UL</th><td>${fmtBytes(wanStat.total_tx_bytes)}</td></tr>`;
-      rows += `<tr><th>DL Packets</th><td>${wanStat.total_rx_packets ?? "-"}</td></tr>`;
-      rows += `<tr><th>UL Packets</th><td>${wanStat.total_tx_packets ?? "-"}</td></tr>`;
-      if (show_errors) {
-        rows += `<tr><th>Errors (DL/UL)</th><td>${wanStat.total_rx_error_packets}/${wanStat.total_tx_error_packets}</td></tr>`;
-        rows += `<tr><th>Drops (DL/UL)</th><td>${wanStat.total_rx_drop_packets}/${wanStat.total_tx_drop_packets}</td></tr>`;
+      const name = prompt("Favorite name:", `${call.service} ${call.method}`);
+      if (!name) return;
+
+      const list = loadUbusConsoleList("ScriptUbusFavorites").filter(f => f.name !== name);
+      list.push({ name, ...call });
+      localStorage.setItem("ScriptUbusFavorites", JSON.stringify(list));
+      showUbusConsole();
+      fillForm(call);
+    });
+
+    document.getElementById("info-window-overlay").addEventListener("click", (e) => {
+      const el = e.target.closest("[data-action]");
+      if (!el) return;
+      e.preventDefault();
+
+      const idx = Number(el.dataset.idx);
+      switch (el.dataset.action) {
+        case "load-fav":
+          fillForm(favorites[idx]);
+          break;
+        case "load-hist":
+          fillForm(history[idx]);
+          break;
+        case "del-fav": {
+          const current = (() => {
+            try { return readForm(); } catch { return null; }
+          })();
+          localStorage.setItem("ScriptUbusFavorites",
+            JSON.stringify(favorites.filter((_, i) => i !== idx)));
+          showUbusConsole();
+          if (current) fillForm(current);
+          break;
+        }
       }
+    });
+  }
 
-      table.innerHTML = rows;
-    }
+  // --- UCI browser ---
 
-    static renderWanInfo(table, wanInfo) {
-      let rows = "";
+  const uciBrowser = {
+    config: null,
+    section: null,
+    staged: [] // { config, section, option, action: "set" | "delete", value, old }
+  };
 
-      if (wanInfo) {
-        rows += `<tr><th>Mode</th><td>${wanInfo.mwan_wanlan1_link_mode || "-"}</td></tr>`;
-        rows += `<tr><th>Status</th><td>${wanInfo.mwan_wanlan1_status || "-"}</td></tr>`;
+  function formatUciValue(v) {
+    return Array.isArray(v) ? v.join(", ") : String(v ?? "");
+  }
 
-        rows += `<tr><th>IPv4 Address</th><td>${wanInfo.mwan_wanlan1_wan_ipaddr || "-"}</td></tr>`;
-        rows += `<tr><th>Netmask</th><td>${wanInfo.mwan_wanlan1_wan_netmask || "-"}</td></tr>`;
-        rows += `<tr><th>Gateway</th><td>${wanInfo.mwan_wanlan1_wan_gateway || "-"}</td></tr>`;
+  function stageUciChange(change) {
+    // a newer change to the same option replaces the older one
+    uciBrowser.staged = uciBrowser.staged.filter(c =>
+      !(c.config === change.config && c.section === change.section && c.option === change.option)
+    );
+    uciBrowser.staged.push(change);
+  }
 
-        const dns4 = [wanInfo.mwan_wanlan1_prefer_dns_auto, wanInfo.mwan_wanlan1_standby_dns_auto]
-          .filter(Boolean).join(", ");
-        rows += `<tr><th>DNS</th><td>${dns4 || "-"}</td></tr>`;
+  async function commitUciChanges() {
+    const configs = [...new Set(uciBrowser.staged.map(c => c.config))];
+    const failed = [];
 
-        if (wanInfo.mwan_wanlan1_ipv6_wan_ipaddr && wanInfo.mwan_wanlan1_ipv6_wan_ipaddr !== "0::0") {
-          rows += `<tr><th>IPv6 Address</th><td>${wanInfo.mwan_wanlan1_ipv6_wan_ipaddr}</td></tr>`;
-          rows += `<tr><th>IPv6 Gateway</th><td>${wanInfo.mwan_wanlan1_ipv6_wan_gateway || "-"}</td></tr>`;
+    for (const config of configs) {
+      const changes = uciBrowser.staged.filter(c => c.config === config);
+      const calls = [];
 
-          const dns6 = [wanInfo.mwan_wanlan1_ipv6_prefer_dns_auto, wanInfo.mwan_wanlan1_ipv6_standby_dns_auto]
-            .filter(Boolean).join(", ");
-          rows += `<tr><th>IPv6 DNS</th><td>${dns6 || "-"}</td></tr>`;
+      // group per section: one set and one delete call each
+      [...new Set(changes.map(c => c.section))].forEach(section => {
+        const sets = changes.filter(c => c.section === section && c.action === "set");
+        const deletes = changes.filter(c => c.section === section && c.action === "delete");
+
+        if (sets.length > 0) {
+          calls.push({
+            service: "uci",
+            method: "set",
+            params: { config, section, values: Object.fromEntries(sets.map(c => [c.option, c.value])) }
+          });
+        }
+        if (deletes.length > 0) {
+          calls.push({
+            service: "uci",
+            method: "delete",
+            params: { config, section, options: deletes.map(c => c.option) }
+          });
         }
+      });
+
+      calls.push({ service: "uci", method: "commit", params: { config } });
+
+      const { res } = await runWithRetry(() => callUbus(calls));
+      if (Array.isArray(res) && res.every(r => r?.success)) {
+        uciBrowser.staged = uciBrowser.staged.filter(c => c.config !== config);
+        scriptMsg(`UCI: committed ${changes.length} change(s) to ${config}.`);
+      } else {
+        // a failed commit leaves the set/delete calls pending in the router's
+        // uci delta, drop them there; they stay staged here for another try
+        const step = res?.[calls.length - 1]?.success === false && res.slice(0, -1).every(r => r?.success)
+          ? "commit" : "set/delete";
+        const { res: revertRes } = await runWithRetry(() =>
+          callUbus({ service: "uci", method: "revert", params: { config } })
+        );
+        scriptErrorMsg(`UCI: ${step} failed for ${config}` +
+          (revertRes?.success ? ", reverted on the router." : ", revert failed: the router still has uncommitted changes."));
+        failed.push({ config, reverted: !!revertRes?.success });
       }
+    }
 
-      table.innerHTML = rows;
+    return failed;
+  }
+
+  async function showUciBrowser() {
+    const { res: cfgRes } = await runWithRetry(() =>
+      callUbus({ service: "uci", method: "configs", params: {} })
+    );
+    const configs = (cfgRes?.data?.configs || []).slice().sort();
+    if (!cfgRes?.success || configs.length === 0) {
+      ShowInfoWindow("UCI Browser", "<p>Failed to list UCI configs.</p>");
+      return;
     }
 
-    static renderDeviceInfo(table, thermalInfo, deviceInfo) {
-      let rows = "";
+    if (!configs.includes(uciBrowser.config)) {
+      uciBrowser.config = configs[0];
+      uciBrowser.section = null;
+    }
 
-      rows += `<tr><th>CPU Temp</th><td>${thermalInfo?.cpuss_temp ?? "-"}°C</td></tr>`;
+    const { res } = await runWithRetry(() =>
+      callUbus({ service: "uci", method: "get", params: { config: uciBrowser.config } })
+    );
+    const sections = res?.data?.values || {};
+    const sectionNames = Object.keys(sections)
+      .sort((a, b) => (sections[a][".index"] ?? 0) - (sections[b][".index"] ?? 0));
 
-      if (deviceInfo?.cpuinfo) {
-        deviceInfo.cpuinfo
-          .filter(c => c.name !== "all")
-          .forEach(c => {
-            const idle = parseFloat(c.idle) || 0;
-            const load = Math.round(100 - idle);
-            rows += `<tr><th>CPU Core ${c.name}</th><td>${load}%</td></tr>`;
-          });
-      }
+    if (!sectionNames.includes(uciBrowser.section)) {
+      uciBrowser.section = sectionNames[0] ?? null;
+    }
 
-      if (deviceInfo?.meminfo) {
-        const total = parseInt(deviceInfo.meminfo.total, 10);
-        const available = parseInt(deviceInfo.meminfo.avaliable, 10);
-        const used = total - available;
-        const percent = total > 0 ? Math.round((used / total) * 100) : 0;
+    const values = uciBrowser.section ? sections[uciBrowser.section] : {};
+    const pending = uciBrowser.staged.filter(c =>
+      c.config === uciBrowser.config && c.section === uciBrowser.section
+    );
 
-        const usedMB = (used / 1024).toFixed(0);
-        const totalMB = (total / 1024).toFixed(0);
+    // empty options are real options too, they must stay editable
+    const rows = buildInfoRowsFromValues(values, { excludePrefixes: ["."], keepEmpty: true }).map(([label, val, key]) => {
+      const change = pending.find(c => c.option === key);
+      const shown = change
+        ? `<s>${escapeHtml(formatUciValue(val))}</s> ${change.action === "set" ? escapeHtml(formatUciValue(change.value)) : ""}`
+        : escapeHtml(formatUciValue(val));
+      return `
+        <tr>
+          <th title="${escapeHtml(key)}">${escapeHtml(label)}</th>
+          <td>${shown}</td>
+          <td class="uci-btns">
+            <button data-action="edit" data-key="${escapeHtml(key)}">Edit</button>
+            <button data-action="delete" data-key="${escapeHtml(key)}">Delete</button>
+          </td>
+        </tr>
+      `;
+    }).join("");
 
-        rows += `<tr><th>Memory</th><td>${usedMB}MB/${totalMB}MB (${percent}%)</td></tr>`;
-      }
+    // new options only exist as staged changes so far
+    const added = pending.filter(c => c.action === "set" && !(c.option in values)).map(c => `
+      <tr>
+        <th>${escapeHtml(c.option)}</th>
+        <td><i>${escapeHtml(formatUciValue(c.value))}</i></td>
+        <td></td>
+      </tr>
+    `).join("");
+
+    const staged = uciBrowser.staged.map((c, idx) => `
+      <div class="uci-staged-item">
+        <span>${c.action === "set" ? "set" : "delete"} ${escapeHtml(`${c.config}.${c.section}.${c.option}`)}${
+          c.action === "set" ? ` = ${escapeHtml(formatUciValue(c.value))}` : ""}</span>
+        <button data-action="unstage" data-idx="${idx}">×</button>
+      </div>
+    `).join("");
+
+    const sectionLabel = name => `${name} (${sections[name][".type"] || "?"})`;
+
+    const html = `
+      <div class="uci-nav">
+        <label>Config
+          <select id="uci-config">
+            ${configs.map(c => `<option ${c === uciBrowser.config ? "selected" : ""}>${escapeHtml(c)}</option>`).join("")}
+          </select>
+        </label>
+        <label>Section
+          <select id="uci-section">
+            ${sectionNames.map(n => `<option value="${escapeHtml(n)}" ${n === uciBrowser.section ? "selected" : ""}>${escapeHtml(sectionLabel(n))}</option>`).join("")}
+          </select>
+        </label>
+        <button data-action="add">Add Option</button>
+      </div>
+      <div class="info-section">
+        <div class="section-title">${escapeHtml(`${uciBrowser.config}.${uciBrowser.section ?? "-"}`)}</div>
+        <table class="info-table uci-table">
+          ${rows}${added}
+        </table>
+      </div>
+      <div class="info-section">
+        <div class="section-title">Staged Changes</div>
+        <div class="uci-staged">${staged || "<div>None</div>"}</div>
+      </div>
+      <div class="uci-actions">
+        <button data-action="commit" ${uciBrowser.staged.length === 0 ? "disabled" : ""}>Commit</button>
+        <button data-action="discard" ${uciBrowser.staged.length === 0 ? "disabled" : ""}>Discard All</button>
+      </div>
+
+      <style>
+        .uci-nav {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 12px;
+          justify-content: center;
+          align-items: center;
+          font-size: 13px;
+        }
+        .uci-table .uci-btns {
+          white-space: nowrap;
+          width: 1%;
+        }
+        .uci-table button, .uci-staged button {
+          padding: 2px 8px;
+          font-size: 12px;
+        }
+        .uci-staged {
+          padding: 6px 10px;
+          font-size: 12px;
+          font-family: monospace;
+        }
+        .uci-staged-item {
+          display: flex;
+          justify-content: space-between;
+          gap: 8px;
+          word-break: break-all;
+        }
+        .uci-actions {
+          margin-top: 12px;
+          text-align: center;
+        }
+      </style>
+    `;
+
+    ShowInfoWindow("UCI Browser", html);
+
+    document.getElementById("uci-config").addEventListener("change", (e) => {
+      uciBrowser.config = e.target.value;
+      uciBrowser.section = null;
+      showUciBrowser();
+    });
+
+    document.getElementById("uci-section").addEventListener("change", (e) => {
+      uciBrowser.section = e.target.value;
+      showUciBrowser();
+    });
+
+    document.getElementById("info-window-overlay").addEventListener("click", async (e) => {
+      const btn = e.target.closest("button[data-action]");
+      if (!btn) return;
 
-      if (deviceInfo?.device_uptime) {
-        rows += `<tr><th>Uptime</th><td>${formatSeconds(deviceInfo.device_uptime)}</td></tr>`;
+      const { config, section } = uciBrowser;
+      const key = btn.dataset.key;
+
+      // list options are edited as comma separated values
+      const parseInput = (input, isList) => isList
+        ? input.split(",").map(s => s.trim()).filter(s => s !== "")
+        : input;
+
+      switch (btn.dataset.action) {
+        case "edit": {
+          const old = values[key];
+          const input = prompt(`New value for ${config}.${section}.${key}:`, formatUciValue(old));
+          if (input === null) return;
+          stageUciChange({ config, section, option: key, action: "set", value: parseInput(input, Array.isArray(old)), old });
+          break;
+        }
+        case "delete":
+          stageUciChange({ config, section, option: key, action: "delete", old: values[key] });
+          break;
+        case "add": {
+          if (!section) return;
+          const name = prompt(`New option name in ${config}.${section}:`);
+          if (!name) return;
+          if (!/^[A-Za-z0-9_]+$/.test(name)) {
+            alert("Option names may only contain letters, digits and underscores.");
+            return;
+          }
+          const input = prompt(`Value for ${config}.${section}.${name} (comma separated for a list):`);
+          if (input === null) return;
+          const asList = input.includes(",") && confirm("Store as a list?");
+          stageUciChange({ config, section, option: name, action: "set", value: parseInput(input, asList), old: values[name] });
+          break;
+        }
+        case "unstage":
+          uciBrowser.staged.splice(Number(btn.dataset.idx), 1);
+          break;
+        case "discard":
+          if (!confirm("Discard all staged changes?")) return;
+          uciBrowser.staged = [];
+          break;
+        case "commit": {
+          if (!confirm(`Commit ${uciBrowser.staged.length} change(s) to the router?`)) return;
+          const failed = await commitUciChanges();
+          showUiFeedback(failed.length === 0);
+          if (failed.length > 0) {
+            const notReverted = failed.filter(f => !f.reverted).map(f => f.config);
+            alert(`Commit failed for: ${failed.map(f => f.config).join(", ")}. These changes are still staged here.` +
+              (notReverted.length > 0
+                ? `\nReverting failed for ${notReverted.join(", ")}: the router keeps uncommitted changes until it reboots or they are committed.`
+                : "\nThe router's uncommitted changes were reverted."));
+          }
+          break;
+        }
+        default:
+          return;
       }
 
-      table.innerHTML = rows;
-    }
+      showUciBrowser();
+    });
   }
 
   function highlightBearer(current) {
@@ -1528,9 +6963,7 @@
 
     lockBtn.dataset.pci = info.nr5g_pci || "<PCI>";
     lockBtn.dataset.earfcn = info.nr5g_action_channel || "<EARFCN>";
-    lockBtn.dataset.band = info.nr5g_action_band
-      ? info.nr5g_action_band.replace("n", "")
-      : "<BAND>";
+    lockBtn.dataset.band = parseNrBand(info.nr5g_action_band) ?? "<BAND>";
 
     if (info.lock_nr_cell && info.lock_nr_cell.trim() !== "" && info.lock_nr_cell !== "0,0,0") {
       title.textContent = `5G Cell Lock (${info.lock_nr_cell})`;
@@ -1556,14 +6989,8 @@
 
   // --- Setup 4G Band Buttons ---
   function setup4gBandButtons() {
-    const SUPPORTED_4G_BANDS = [1, 3, 7, 8, 20, 28, 38, 40, 41, 42, 43];
-
-    function buildMask(bands) {
-      return bands.reduce((mask, b) => mask | get4gBandMask(Number(b)), 0n);
-    }
-
     function buildFullMask() {
-      return buildMask(SUPPORTED_4G_BANDS);
+      return buildLteMask(SUPPORTED_4G_BANDS);
     }
 
     function setupBandButton(btnId, bands, isAll = false, isManual = false) {
@@ -1582,7 +7009,7 @@
 
             const tokens = input.split(/[\+,]/).map(t => t.trim()).filter(t => t !== "");
             if (tokens.length > 0 && tokens.every(t => /^\d+$/.test(t))) {
-              newMask = buildMask(tokens);
+              newMask = buildLteMask(tokens);
               break;
             } else {
               alert("Invalid input. Please enter band numbers like: 1+3+20");
@@ -1590,7 +7017,7 @@
           }
         } else {
           const arr = Array.isArray(bands) ? bands : [bands];
-          newMask = buildMask(arr);
+          newMask = buildLteMask(arr);
         }
 
         setCurrent4gMask(newMask);
@@ -1614,8 +7041,6 @@
 
   // --- Setup 5G Band Buttons ---
   function setup5gBandButtons() {
-    const FULL_5G_BANDS = ["1","3","7","8","20","28","38","40","41","75","77","78"];
-
     function setupBandButton(btnId, bands, isAll = false, isManual = false) {
       const btn = document.getElementById(btnId);
       if (!btn) return;
@@ -1676,12 +7101,20 @@
     const devChk = document.getElementById("chk-device-info");
     const sigChk = document.getElementById("chk-signal-info");
     const trafChk = document.getElementById("chk-traffic-stats");
+    const histChk = document.getElementById("chk-signal-history");
+    const ngbrChk = document.getElementById("chk-neighbor-info");
+    const clientChk = document.getElementById("chk-client-info");
+    const tputChk = document.getElementById("chk-throughput");
 
     const netSection = document.getElementById("network-info-section");
     const wanSection = document.getElementById("wan-info-section");
     const devSection = document.getElementById("device-info-section");
     const sigSection = document.getElementById("signal-info-section");
     const trafSection = document.getElementById("traffic-info-section");
+    const histSection = document.getElementById("signal-history-section");
+    const ngbrSection = document.getElementById("neighbor-info-section");
+    const clientSection = document.getElementById("client-info-section");
+    const tputSection = document.getElementById("throughput-section");
 
     // Load states
     netChk.checked = localStorage.getItem("ScriptCheckBoxNetworkInfo") !== "false"; // default ON
@@ -1689,12 +7122,20 @@
     devChk.checked = localStorage.getItem("ScriptCheckBoxDeviceInfo") === "true";   // default OFF
     sigChk.checked = localStorage.getItem("ScriptCheckBoxSignalInfo") !== "false";  // default ON
     trafChk.checked = localStorage.getItem("ScriptCheckBoxTrafficInfo") === "true"; // default OFF
+    histChk.checked = localStorage.getItem("ScriptCheckBoxSignalHistory") === "true"; // default OFF
+    ngbrChk.checked = localStorage.getItem("ScriptCheckBoxNeighborInfo") === "true";  // default OFF
+    clientChk.checked = localStorage.getItem("ScriptCheckBoxClientInfo") === "true";  // default OFF
+    tputChk.checked = localStorage.getItem("ScriptCheckBoxThroughput") === "true";    // default OFF
 
     netSection.style.display = netChk.checked ? "block" : "none";
     wanSection.style.display = wanChk.checked ? "block" : "none";
     devSection.style.display = devChk.checked ? "block" : "none";
     sigSection.style.display = sigChk.checked ? "block" : "none";
     trafSection.style.display = trafChk.checked ? "block" : "none";
+    histSection.style.display = histChk.checked ? "block" : "none";
+    ngbrSection.style.display = ngbrChk.checked ? "block" : "none";
+    clientSection.style.display = clientChk.checked ? "block" : "none";
+    tputSection.style.display = tputChk.checked ? "block" : "none";
 
     // Handlers
     netChk.addEventListener("change", () => {
@@ -1721,6 +7162,29 @@
       localStorage.setItem("ScriptCheckBoxTrafficInfo", trafChk.checked);
       trafSection.style.display = trafChk.checked ? "block" : "none";
     });
+
+    histChk.addEventListener("change", () => {
+      localStorage.setItem("ScriptCheckBoxSignalHistory", histChk.checked);
+      histSection.style.display = histChk.checked ? "block" : "none";
+      refreshSignalHistoryChart();
+    });
+
+    ngbrChk.addEventListener("change", () => {
+      localStorage.setItem("ScriptCheckBoxNeighborInfo", ngbrChk.checked);
+      ngbrSection.style.display = ngbrChk.checked ? "block" : "none";
+      updateNeighborCells();
+    });
+
+    clientChk.addEventListener("change", () => {
+      localStorage.setItem("ScriptCheckBoxClientInfo", clientChk.checked);
+      clientSection.style.display = clientChk.checked ? "block" : "none";
+    });
+
+    tputChk.addEventListener("change", () => {
+      localStorage.setItem("ScriptCheckBoxThroughput", tputChk.checked);
+      tputSection.style.display = tputChk.checked ? "block" : "none";
+      renderThroughputChart();
+    });
   }
 
   // --- Global button blur handler ---
@@ -1758,6 +7222,9 @@
         </p>
       </div>
 
+      <div id="alert-banner" style="display:none;"></div>
+      <div id="session-banner" style="display:none;"></div>
+
       <!-- Network Mode -->
       <div class="section">
         <div class="section-title">Network Mode</div>
@@ -1820,6 +7287,13 @@
         </div>
       </div>
 
+      <!-- Profiles -->
+      <div class="section">
+        <div class="section-title">Profiles</div>
+        <div class="button-row" id="profile-buttons"></div>
+        <div id="schedule-next" class="schedule-next"></div>
+      </div>
+
       <!-- Info Checkboxes -->
       <div class="section" id="info-checkboxes">
         <div class="checkbox-group">
@@ -1828,6 +7302,10 @@
           <label><input type="checkbox" id="chk-traffic-stats"> Show Traffic Stats</label>
           <label><input type="checkbox" id="chk-wan-info"> Show WAN Info</label>
           <label><input type="checkbox" id="chk-device-info"> Show Device Info</label>
+          <label><input type="checkbox" id="chk-signal-history"> Show Signal History</label>
+          <label><input type="checkbox" id="chk-neighbor-info"> Show Neighbor Cells</label>
+          <label><input type="checkbox" id="chk-client-info"> Show Clients</label>
+          <label><input type="checkbox" id="chk-throughput"> Show Throughput Graph</label>
         </div>
       </div>
 
@@ -1842,8 +7320,49 @@
         <div id="signal-info-container"></div>
       </div>
 
+      <div class="info-section" id="neighbor-info-section">
+        <div class="section-title">Neighbor Cells</div>
+        <div id="neighbor-info-container"></div>
+      </div>
+
+      <div class="info-section" id="signal-history-section">
+        <div class="section-title">Signal History</div>
+        <div class="chart-controls">
+          <select id="signal-history-metric">
+            <option value="rsrp">RSRP</option>
+            <option value="rsrq">RSRQ</option>
+            <option value="sinr">SINR</option>
+            <option value="rssi">RSSI</option>
+          </select>
+          <select id="signal-history-range">
+            <option value="15m">15 min</option>
+            <option value="1h">1 hour</option>
+            <option value="6h">6 hours</option>
+            <option value="24h">24 hours</option>
+            <option value="7d">7 days</option>
+          </select>
+          <label>Keep <input type="number" id="signal-history-retention" min="1" max="365"> days</label>
+        </div>
+        <canvas id="signal-history-chart" class="chart-canvas"></canvas>
+        <div id="signal-history-legend" class="chart-legend"></div>
+      </div>
+
+      <div class="info-section" id="throughput-section">
+        <div class="section-title">Throughput</div>
+        <div class="chart-controls">
+          <select id="throughput-range">
+            <option value="60s">60 s</option>
+            <option value="10m">10 min</option>
+            <option value="1h">1 hour</option>
+          </select>
+        </div>
+        <canvas id="throughput-chart" class="chart-canvas"></canvas>
+        <div id="throughput-legend" class="chart-legend"></div>
+      </div>
+
       <div class="info-section" id="traffic-info-section">
         <div class="section-title">Traffic Stats</div>
+        <div id="quota-info" style="display:none;"></div>
         <table id="traffic-info-table" class="info-table"></table>
       </div>
 
@@ -1857,6 +7376,11 @@
         <table id="system-info-table" class="info-table"></table>
       </div>
 
+      <div class="info-section" id="client-info-section">
+        <div class="section-title">Clients</div>
+        <table id="client-info-table" class="info-table client-table"></table>
+      </div>
+
       <!-- More Options -->
       <div class="section" id="more-section">
         <button id="btn-more">More Options</button>
@@ -1868,6 +7392,30 @@
               <button id="btn-show-hw-sw">Show HW and SW Info</button>
               <button id="btn-show-sim">Show SIM Info</button>
               <button id="btn-show-wms">Show WMS Info</button>
+              <button id="btn-sms">SMS</button>
+              <button id="btn-ussd">USSD</button>
+              <button id="btn-apn">APN Profiles</button>
+            </div>
+          </div>
+
+          <div class="option-section">
+            <div class="section-title">Tools</div>
+            <div class="button-row">
+              <button id="btn-band-optimizer">Band Optimizer</button>
+              <button id="btn-watchdog">Watchdog</button>
+              <button id="btn-scheduler">Scheduler</button>
+              <button id="btn-alerts">Alerts</button>
+              <button id="btn-quota">Data Quota</button>
+            </div>
+          </div>
+
+          <div class="option-section">
+            <div class="section-title">Data</div>
+            <div class="button-row">
+              <button id="btn-export-samples">Export Samples</button>
+              <button id="btn-cell-db">Cell Database</button>
+              <button id="btn-backup">Backup Settings</button>
+              <button id="btn-restore">Restore Settings</button>
             </div>
           </div>
 
@@ -1880,6 +7428,14 @@
               <button id="btn-set-wifi-max-clients" style="display:none;">Set Max Clients</button>
             </div>
           </div>
+
+          <div class="option-section">
+            <div class="section-title">Advanced</div>
+            <div class="button-row">
+              <button id="btn-ubus-console">ubus Console</button>
+              <button id="btn-uci-browser">UCI Browser</button>
+            </div>
+          </div>
         </div>
       </div>
     </div>
@@ -2142,6 +7698,124 @@
       .info-table td {
         text-align:right;
       }
+      .client-table th {
+        text-align:right;
+      }
+      .client-table th:first-child, .client-table td:first-child {
+        text-align:left;
+      }
+      .ngbr-table {
+        width:100%;
+        border-collapse:collapse;
+        margin-top:10px;
+        font-size:13px;
+      }
+      .ngbr-table th, .ngbr-table td {
+        padding:4px 6px;
+        border-bottom:1px solid #eee;
+        text-align:right;
+      }
+      .ngbr-table th {
+        font-weight:normal;
+        color:#444;
+        cursor:pointer;
+        user-select:none;
+      }
+      .ngbr-table button {
+        padding:2px 8px;
+        font-size:12px;
+      }
+      .ngbr-empty {
+        text-align:center;
+        color:#666;
+        font-size:13px;
+      }
+      #alert-banner {
+        margin:8px 0;
+        border:1px solid #e0a800;
+        border-radius:6px;
+        background:#fff8e1;
+        padding:4px 8px;
+        font-size:13px;
+      }
+      #alert-banner .alert-item {
+        display:flex;
+        justify-content:space-between;
+        align-items:center;
+        gap:8px;
+        padding:2px 0;
+      }
+      #session-banner {
+        margin:8px 0;
+        border:1px solid #90caf9;
+        border-radius:6px;
+        background:#e3f2fd;
+        padding:4px 8px;
+        font-size:13px;
+      }
+      #router-info-panel.reconnecting .section {
+        opacity:0.5;
+      }
+      #alert-banner button {
+        border:none;
+        background:transparent;
+        font-size:16px;
+        padding:0 4px;
+        color:#000;
+      }
+      .quota-bar {
+        height:10px;
+        margin:10px 10px 0;
+        background:#eee;
+        border-radius:5px;
+        overflow:hidden;
+      }
+      .quota-bar div {
+        height:100%;
+      }
+      #quota-info .quota-note {
+        font-size:12px;
+        color:#777;
+        text-align:center;
+      }
+      .schedule-next {
+        margin-top:6px;
+        text-align:center;
+        font-size:12px;
+        color:#666;
+      }
+      .chart-controls {
+        display:flex;
+        flex-wrap:wrap;
+        gap:8px;
+        justify-content:center;
+        align-items:center;
+        margin:10px 0 6px;
+        font-size:13px;
+      }
+      .chart-controls input[type=number] {
+        width:60px;
+      }
+      .chart-canvas {
+        display:block;
+        width:100%;
+        height:220px;
+      }
+      .chart-legend {
+        display:flex;
+        flex-wrap:wrap;
+        gap:4px 12px;
+        justify-content:center;
+        padding:6px;
+        font-size:12px;
+      }
+      .chart-legend i {
+        display:inline-block;
+        width:10px;
+        height:10px;
+        margin-right:4px;
+        border-radius:2px;
+      }
     </style>
   `;
 
@@ -2247,6 +7921,64 @@
       await showWmsInfo();
     });
 
+    // Action for Band Optimizer button
+    document.getElementById("btn-band-optimizer").addEventListener("click", () => {
+      showOptimizer();
+    });
+
+    // Action for Watchdog button
+    document.getElementById("btn-watchdog").addEventListener("click", () => {
+      showWatchdog();
+    });
+
+    // Action for Scheduler button
+    document.getElementById("btn-scheduler").addEventListener("click", () => {
+      showScheduler();
+    });
+
+    // Action for Alerts button
+    document.getElementById("btn-alerts").addEventListener("click", () => {
+      showAlertRules();
+    });
+
+    // Action for Data Quota button
+    document.getElementById("btn-quota").addEventListener("click", () => {
+      showQuotaSettings();
+    });
+
+    // Action for Export Samples button
+    document.getElementById("btn-export-samples").addEventListener("click", () => {
+      showExportDialog();
+    });
+
+    // Action for Cell Database button
+    document.getElementById("btn-cell-db").addEventListener("click", async () => {
+      await showCellDatabase();
+    });
+
+    // Action for Backup/Restore buttons
+    document.getElementById("btn-backup").addEventListener("click", async () => {
+      await createBackup();
+    });
+    document.getElementById("btn-restore").addEventListener("click", () => {
+      restoreBackup();
+    });
+
+    // Action for SMS button
+    document.getElementById("btn-sms").addEventListener("click", async () => {
+      await showSmsClient();
+    });
+
+    // Action for USSD button
+    document.getElementById("btn-ussd").addEventListener("click", async () => {
+      await showUssd();
+    });
+
+    // Action for APN button
+    document.getElementById("btn-apn").addEventListener("click", async () => {
+      await showApnManager();
+    });
+
     // Action for WiFi info button
     document.getElementById("btn-show-wifi").addEventListener("click", async () => {
       await showWifiInfo();
@@ -2264,6 +7996,16 @@
       await setWifiMaxClients();
     });
 
+    // Action for ubus console button
+    document.getElementById("btn-ubus-console").addEventListener("click", () => {
+      showUbusConsole();
+    });
+
+    // Action for UCI browser button
+    document.getElementById("btn-uci-browser").addEventListener("click", async () => {
+      await showUciBrowser();
+    });
+
     // auto-refresh
     setInterval(updateDeviceInfo, 1000);
 
@@ -2272,6 +8014,80 @@
 
     // info checkboxes
     setupInfoCheckboxes();
+
+    // active APN name for the WAN info
+    getApnProfiles().catch(e => scriptErrorMsg(`Failed to read the APN profiles: ${e.message}`));
+
+    // configuration profiles
+    setupProfiles();
+
+    // band optimizer (restores interrupted runs)
+    setupOptimizer();
+
+    // time-based profile scheduler
+    setupScheduler();
+
+    // threshold alerts
+    setupAlerts();
+
+    // log in again when the session expires
+    setupSessionRecovery();
+
+    // data quota tracking
+    setupQuota();
+
+    // neighbor cells
+    setupNeighborCells();
+
+    // throughput chart
+    setupThroughputChart();
+
+    // signal history chart
+    setupSignalHistory();
+    refreshSignalHistoryChart();
+  }
+
+  // Node (cli/): export the ubus core and the parsers instead of starting the panel
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+      VERSION,
+      configureUbus,
+      callUbus,
+      login,
+      sha256Hex,
+      runWithRetry,
+      sleep,
+      DEVICE_INFO_CALLS,
+      parseDeviceInfo,
+      Signal,
+      LteSignal,
+      NrSignal,
+      convert4gEarfcnToMhz,
+      convert5gArfcnToMhz,
+      parseNrBand,
+      parseCellLock,
+      getConnectedBands,
+      is4gBasedNetworkType,
+      is5gBasedNetworkType,
+      buildLteMask,
+      lteBandsFromMask,
+      SUPPORTED_4G_BANDS,
+      FULL_5G_BANDS,
+      BEARER_MODES,
+      setBearer,
+      set4gBandLockCall,
+      set4gBandLock,
+      set5gBandLockCall,
+      set5gBandLock,
+      lock4gCell,
+      unlock4gCell,
+      lock5gCell,
+      unlock5gCell,
+      rebootRouter,
+      setWifiParamCall,
+      isValidTxPowerPercent
+    };
+    return;
   }
 
   (async () => {
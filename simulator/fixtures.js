@@ -0,0 +1,34 @@
+"use strict";
+
+// Fixture files map calls to synthetic responses. A value of the form
+// { "$sequence": [a, b, ...] } is replayed in order (looping), so a series
+// of polls can be played back.
+
+const fs = require("fs");
+
+class Fixture {
+  constructor(file) {
+    this.file = file;
+    this.data = JSON.parse(fs.readFileSync(file, "utf8"));
+    this.positions = new Map();
+  }
+
+  // next fixture value for key, undefined if there is none
+  next(section, key) {
+    const value = this.data[section]?.[key];
+    if (value?.$sequence) {
+      const list = value.$sequence;
+      const id = `${section}:${key}`;
+      const pos = this.positions.get(id) || 0;
+      this.positions.set(id, (pos + 1) % list.length);
+      return structuredClone(list[pos]);
+    }
+    return value === undefined ? undefined : structuredClone(value);
+  }
+
+  get(key, fallback = null) {
+    return this.data[key] ?? fallback;
+  }
+}
+
+module.exports = { Fixture };
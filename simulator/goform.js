@@ -0,0 +1,192 @@
+"use strict";
+
+// Legacy goform endpoints (MC7010, MC888, MC889, ...).
+// goform_get_cmd_process serves fixture fields, goform_set_cmd_process
+// checks the RD/AD handshake and emulates the lock and bearer settings:
+//   AD = hash(hash(wa_inner_version + cr_version) + RD)
+//   LOGIN password = SHA256(SHA256(password) + LD)
+// hash is SHA256 on MC888/MC889 and MD5 on the older models.
+
+const crypto = require("crypto");
+
+// readable without login, everything else is returned empty
+const PUBLIC_FIELDS = new Set(["wa_inner_version", "cr_version", "RD", "LD", "loginfo"]);
+
+const SUCCESS = { result: "success" };
+const FAILURE = { result: "failure" };
+
+function digest(algorithm, str) {
+  return crypto.createHash(algorithm).update(str).digest("hex");
+}
+
+function sameHex(a, b) {
+  return String(a || "").toLowerCase() === String(b || "").toLowerCase();
+}
+
+class GoformSimulator {
+  constructor(fixture, faults, { reattachMs = 3000, log = () => {} } = {}) {
+    this.fixture = fixture;
+    this.faults = faults;
+    this.reattachMs = reattachMs;
+    this.log = log;
+
+    this.sessions = new Set(); // "stok" cookie values
+    this.fields = {};          // overrides of the fixture fields
+    this.rd = null;
+    this.ld = null;
+    this.detachedUntil = 0;
+  }
+
+  get state() {
+    return {
+      sessions: [...this.sessions],
+      fields: this.fields,
+      detached: Date.now() < this.detachedUntil
+    };
+  }
+
+  expireSessions() {
+    this.sessions.clear();
+  }
+
+  get hashAlgorithm() {
+    return /MC88[89]/.test(this.field("wa_inner_version")) ? "sha256" : "md5";
+  }
+
+  field(name) {
+    return this.fields[name] ?? this.fixture.data.goform?.[name] ?? "";
+  }
+
+  isLoggedIn(cookies) {
+    return this.sessions.has(cookies.stok);
+  }
+
+  // GET /goform/goform_get_cmd_process?cmd=a,b,c&multi_data=1
+  get(query, cookies) {
+    const loggedIn = this.isLoggedIn(cookies);
+    const names = String(query.cmd || "").split(",").filter(Boolean);
+    const polled = this.fixture.next("goform", "$poll") || {};
+    const detached = Date.now() < this.detachedUntil;
+    const result = {};
+
+    names.forEach(name => {
+      if (name === "RD") {
+        this.rd = crypto.randomBytes(16).toString("hex");
+        result.RD = this.rd;
+      } else if (name === "LD") {
+        this.ld = crypto.randomBytes(16).toString("hex").toUpperCase();
+        result.LD = this.ld;
+      } else if (name === "loginfo") {
+        result.loginfo = loggedIn ? "ok" : "";
+      } else if (!loggedIn && !PUBLIC_FIELDS.has(name)) {
+        result[name] = "";
+      } else if (detached && name === "network_type") {
+        result[name] = "NO_SERVICE";
+      } else {
+        result[name] = polled[name] ?? this.field(name);
+      }
+    });
+
+    return result;
+  }
+
+  // POST /goform/goform_set_cmd_process (form encoded)
+  set(form, cookies) {
+    const id = form.goformId;
+
+    if (!this.checkAd(form.AD)) {
+      this.log(`goform ${id}: bad AD`);
+      return { body: FAILURE };
+    }
+
+    if (id === "LOGIN" || id === "DEVELOPER_OPTION_LOGIN") {
+      return this.login(form, cookies);
+    }
+
+    if (!this.isLoggedIn(cookies)) {
+      this.log(`goform ${id}: not logged in`);
+      return { body: FAILURE };
+    }
+    if (this.faults.shouldDeny()) {
+      this.log(`goform ${id}: injected failure`);
+      return { body: FAILURE };
+    }
+
+    const handler = this.handlers[id];
+    if (!handler) {
+      this.log(`goform ${id}: accepted without effect`);
+      return { body: SUCCESS };
+    }
+    return { body: handler.call(this, form, cookies) };
+  }
+
+  // RD is single use, like on the router
+  checkAd(ad) {
+    if (!this.rd) return false;
+    const hash = str => digest(this.hashAlgorithm, str);
+    const expected = hash(hash(this.field("wa_inner_version") + this.field("cr_version")) + this.rd);
+    this.rd = null;
+    return sameHex(ad, expected);
+  }
+
+  login(form, cookies) {
+    const passwordHash = digest("sha256", this.fixture.get("password", "admin"));
+    // the router's SHA256() case is not fixed, accept both
+    const ok = this.ld && [passwordHash, passwordHash.toUpperCase()]
+      .some(h => sameHex(form.password, digest("sha256", h + this.ld)));
+    this.ld = null;
+
+    if (!ok) {
+      this.log(`goform ${form.goformId}: wrong password`);
+      return { body: { result: "3" } };
+    }
+
+    const stok = cookies.stok && this.sessions.has(cookies.stok)
+      ? cookies.stok
+      : crypto.randomBytes(16).toString("hex");
+    this.sessions.add(stok);
+    this.log(`goform ${form.goformId}: session ${stok}`);
+    return { body: { result: "0" }, cookie: `stok=${stok}; Path=/; HttpOnly` };
+  }
+
+  setFields(values) {
+    Object.assign(this.fields, values);
+    this.log(`goform fields: ${JSON.stringify(values)}`);
+    this.detachedUntil = Date.now() + this.reattachMs;
+    return SUCCESS;
+  }
+}
+
+GoformSimulator.prototype.handlers = {
+  BAND_SELECT(form) {
+    return this.setFields({ lte_band_lock: String(form.lte_band_mask) });
+  },
+
+  WAN_PERFORM_NR5G_BAND_LOCK(form) {
+    return this.setFields({
+      nr5g_sa_band_lock: String(form.nr5g_band_mask),
+      nr5g_nsa_band_lock: String(form.nr5g_band_mask)
+    });
+  },
+
+  LTE_LOCK_CELL_SET(form) {
+    return this.setFields({ lte_pci_lock: String(form.lte_pci_lock), lte_earfcn_lock: String(form.lte_earfcn_lock) });
+  },
+
+  NR5G_LOCK_CELL_SET(form) {
+    return this.setFields({ nr5g_cell_lock: String(form.nr5g_cell_lock) });
+  },
+
+  SET_BEARER_PREFERENCE(form) {
+    return this.setFields({ net_select: String(form.BearerPreference) });
+  },
+
+  REBOOT_DEVICE() {
+    this.log("REBOOT_DEVICE: dropping all sessions");
+    this.expireSessions();
+    this.detachedUntil = Date.now() + this.reattachMs;
+    return SUCCESS;
+  }
+};
+
+module.exports = { GoformSimulator };
@@ -0,0 +1,33 @@
+// Logs in through /ubus/ like the router's web UI and stores the session
+// where the NG script expects it, then loads the script.
+(async () => {
+  const NULL_SESSION = "00000000000000000000000000000000";
+
+  async function sha256Hex(str) {
+    const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(str));
+    return Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, "0")).join("").toUpperCase();
+  }
+
+  async function call(method, params) {
+    const res = await fetch("/ubus/", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 0, method: "call", params: [NULL_SESSION, "zwrt_web", method, params] })
+    }).then(r => r.json());
+    return res.result?.[1];
+  }
+
+  // always start with a fresh session, the simulator forgets them on restart
+  const { zte_web_sault: salt } = await call("web_login_info", {});
+  const password = await sha256Hex(await sha256Hex(SIM_CONFIG.password) + salt);
+  const login = await call("web_login", { password });
+  if (login?.result !== 0) {
+    document.body.textContent = "Simulator login failed.";
+    return;
+  }
+  sessionStorage.setItem("ct", login.ubus_rpc_session);
+
+  const script = document.createElement("script");
+  script.src = "/ng/zte-script-ng.js?t=" + Date.now();
+  document.body.appendChild(script);
+})();
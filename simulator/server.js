@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+"use strict";
+
+// Local router simulator for developing and testing both scripts without a
+// router. Node built-ins only:
+//
+//   node simulator/server.js [options]
+//
+//   --host 127.0.0.1 --port 8080
+//   --ng-fixture <file>      ubus fixture (default fixtures/g5tc.json)
+//   --legacy-fixture <file>  goform fixture (default fixtures/mc889.json)
+//   --deny-rate 0.05         answer 5% of the calls with access denied
+//   --deny-burst 5 --burst-interval 60   5 access denied answers in a row every minute
+//   --session-ttl 300        expire sessions after 5 idle minutes
+//   --reattach 3             seconds without service after lock changes
+//   --quiet
+//
+// http://localhost:8080/            NG page (/ubus/), logs in and loads ng/zte-script-ng.js
+// http://localhost:8080/legacy.html legacy page (/goform/), loads legacy/zte-script-legacy.js
+//
+// Control endpoints for tests:
+//   GET  /sim/state              sessions and emulated settings
+//   POST /sim/fault {"deny": n}  answer the next n calls with access denied
+//   POST /sim/expire             invalidate all sessions
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { URL } = require("url");
+
+const { Fixture } = require("./fixtures");
+const { UbusSimulator } = require("./ubus");
+const { GoformSimulator } = require("./goform");
+
+const ROOT = path.resolve(__dirname, "..");
+
+const DEFAULT_OPTIONS = {
+  host: "127.0.0.1",
+  port: 8080,
+  ngFixture: path.join(__dirname, "fixtures", "g5tc.json"),
+  legacyFixture: path.join(__dirname, "fixtures", "mc889.json"),
+  denyRate: 0,       // probability of access denied per call
+  denyBurst: 0,      // calls per periodic access denied burst
+  burstInterval: 60, // seconds between bursts
+  sessionTtl: 0,     // idle seconds until a session expires, 0 = never
+  reattach: 3,       // seconds without service after a lock change
+  quiet: false
+};
+
+const STATIC_FILES = {
+  "/": path.join(__dirname, "public", "ng.html"),
+  "/index.html": path.join(__dirname, "public", "ng.html"),
+  "/legacy.html": path.join(__dirname, "public", "legacy.html"),
+  "/sim/login-ng.js": path.join(__dirname, "public", "login-ng.js"),
+  "/sim/sha256.js": path.join(__dirname, "public", "sha256.js"),
+  "/sim/jquery.min.js": path.join(__dirname, "public", "vendor", "jquery-3.7.1.min.js"),
+  "/ng/zte-script-ng.js": path.join(ROOT, "ng", "zte-script-ng.js"),
+  "/legacy/zte-script-legacy.js": path.join(ROOT, "legacy", "zte-script-legacy.js")
+};
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "application/javascript; charset=utf-8"
+};
+
+// --name value / --flag, names in kebab-case
+function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      console.log(fs.readFileSync(__filename, "utf8").split("\n").slice(3, 25).join("\n").replace(/^\/\/ ?/gm, ""));
+      process.exit(0);
+    }
+    const name = arg.replace(/^--/, "").replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    if (!arg.startsWith("--") || !(name in DEFAULT_OPTIONS)) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+    if (typeof DEFAULT_OPTIONS[name] === "boolean") {
+      options[name] = true;
+    } else {
+      const value = argv[++i];
+      options[name] = typeof DEFAULT_OPTIONS[name] === "number" ? Number(value) : value;
+      if (value === undefined || Number.isNaN(options[name])) {
+        throw new Error(`Invalid value for ${arg}`);
+      }
+    }
+  }
+  return options;
+}
+
+class FaultInjector {
+  constructor({ denyRate, denyBurst, burstInterval }) {
+    this.denyRate = denyRate;
+    this.pending = 0;
+    if (denyBurst > 0 && burstInterval > 0) {
+      setInterval(() => this.inject(denyBurst), burstInterval * 1000).unref();
+    }
+  }
+
+  inject(count) {
+    this.pending += count;
+  }
+
+  shouldDeny() {
+    if (this.pending > 0) {
+      this.pending--;
+      return true;
+    }
+    return Math.random() < this.denyRate;
+  }
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || "").split(";").forEach(part => {
+    const idx = part.indexOf("=");
+    if (idx > 0) cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+  });
+  return cookies;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", c => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body, headers = {}) {
+  const isText = typeof body === "string";
+  res.writeHead(status, {
+    "Content-Type": isText ? "text/plain; charset=utf-8" : "application/json",
+    "Cache-Control": "no-store",
+    ...headers
+  });
+  res.end(isText ? body : JSON.stringify(body));
+}
+
+function createServer(options) {
+  const log = options.quiet ? () => {} : msg => console.log(`[${new Date().toISOString()}] ${msg}`);
+  const faults = new FaultInjector(options);
+  const ubus = new UbusSimulator(new Fixture(options.ngFixture), faults, {
+    sessionTtl: options.sessionTtl * 1000,
+    reattachMs: options.reattach * 1000,
+    log
+  });
+  const goform = new GoformSimulator(new Fixture(options.legacyFixture), faults, {
+    reattachMs: options.reattach * 1000,
+    log
+  });
+
+  async function route(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const cookies = parseCookies(req.headers.cookie);
+
+    if (url.pathname === "/ubus/" || url.pathname === "/ubus") {
+      let body;
+      try {
+        body = JSON.parse(await readBody(req));
+      } catch {
+        return send(res, 200, { jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } });
+      }
+      return send(res, 200, ubus.handle(body));
+    }
+
+    if (url.pathname === "/goform/goform_get_cmd_process") {
+      return send(res, 200, goform.get(Object.fromEntries(url.searchParams), cookies));
+    }
+
+    if (url.pathname === "/goform/goform_set_cmd_process") {
+      const form = Object.fromEntries(new URLSearchParams(await readBody(req)));
+      const { body, cookie } = goform.set(form, cookies);
+      // the router answers with text/html, the legacy script parses it itself
+      return send(res, 200, JSON.stringify(body), {
+        "Content-Type": "text/html",
+        ...(cookie ? { "Set-Cookie": cookie } : {})
+      });
+    }
+
+    if (url.pathname === "/sim/config.js") {
+      const config = {
+        password: ubus.fixture.get("password", "admin"),
+        legacyPassword: goform.fixture.get("password", "admin")
+      };
+      return send(res, 200, `window.SIM_CONFIG = ${JSON.stringify(config)};`, {
+        "Content-Type": MIME_TYPES[".js"]
+      });
+    }
+
+    if (url.pathname === "/sim/state") {
+      return send(res, 200, { ubus: ubus.state, goform: goform.state, pendingDenies: faults.pending });
+    }
+
+    if (url.pathname === "/sim/fault" && req.method === "POST") {
+      const { deny = 0 } = JSON.parse((await readBody(req)) || "{}");
+      faults.inject(Number(deny) || 0);
+      log(`injecting ${deny} access denied answers`);
+      return send(res, 200, { pendingDenies: faults.pending });
+    }
+
+    if (url.pathname === "/sim/expire" && req.method === "POST") {
+      ubus.expireSessions();
+      goform.expireSessions();
+      log("all sessions expired");
+      return send(res, 200, { ok: true });
+    }
+
+    const file = STATIC_FILES[url.pathname];
+    if (file) {
+      const content = await fs.promises.readFile(file);
+      return send(res, 200, content.toString("utf8"), { "Content-Type": MIME_TYPES[path.extname(file)] });
+    }
+
+    return send(res, 404, "Not found");
+  }
+
+  return http.createServer((req, res) => {
+    route(req, res).catch(e => {
+      log(`${req.method} ${req.url}: ${e.message}`);
+      send(res, 500, e.message);
+    });
+  });
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+
+  createServer(options).listen(options.port, options.host, () => {
+    console.log(`Router simulator listening on http://${options.host}:${options.port}/`);
+  });
+}
+
+module.exports = { createServer, parseArgs, DEFAULT_OPTIONS };
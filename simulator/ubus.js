@@ -0,0 +1,304 @@
+"use strict";
+
+// /ubus/ JSON-RPC endpoint of the NG firmware (G5TC and later).
+// Calls are answered from the fixture ("service.method" keys), the login and
+// the lock/bearer setters are emulated so the script sees its own changes.
+
+const crypto = require("crypto");
+
+const PUBLIC_CALLS = new Set(["zwrt_web.web_login_info", "zwrt_web.web_login"]);
+
+const ACCESS_DENIED = { code: -32002, message: "Access denied" };
+const METHOD_NOT_FOUND = { code: -32601, message: "Method not found" };
+
+// ubus status codes
+const UBUS_STATUS_OK = 0;
+const UBUS_STATUS_INVALID_ARGUMENT = 2;
+const UBUS_STATUS_NOT_FOUND = 4;
+
+const USSD_ANSWER_MS = 1500; // network round trip of a USSD request
+
+function sha256Upper(str) {
+  return crypto.createHash("sha256").update(str).digest("hex").toUpperCase();
+}
+
+class UbusSimulator {
+  constructor(fixture, faults, { sessionTtl = 0, reattachMs = 3000, log = () => {} } = {}) {
+    this.fixture = fixture;
+    this.faults = faults;
+    this.sessionTtl = sessionTtl;
+    this.reattachMs = reattachMs;
+    this.log = log;
+
+    this.sessions = new Map(); // id -> last use (ms)
+    this.netinfo = {};         // overrides of the fixture netinfo (locks, bearer)
+    this.detachedUntil = 0;
+    this.uci = structuredClone(fixture.get("uci", {}));
+    // answerAt: when the fixture answer shows up, null after a cancel;
+    // 0 at start, an answer left over from an earlier session
+    this.ussd = { answerAt: 0 };
+  }
+
+  get state() {
+    return {
+      sessions: [...this.sessions.keys()],
+      netinfo: this.netinfo,
+      detached: Date.now() < this.detachedUntil
+    };
+  }
+
+  expireSessions() {
+    this.sessions.clear();
+  }
+
+  // body is a single request or a batch, the answer has the same shape
+  handle(body) {
+    const requests = Array.isArray(body) ? body : [body];
+    const responses = requests.map(rq => {
+      const [sessionId, service, method, params] = rq?.params || [];
+      const reply = this.call(sessionId, service, method, params || {});
+      return reply.error
+        ? { jsonrpc: "2.0", id: rq?.id, error: reply.error }
+        : { jsonrpc: "2.0", id: rq?.id, result: reply.result };
+    });
+    return Array.isArray(body) ? responses : responses[0];
+  }
+
+  call(sessionId, service, method, params) {
+    const key = `${service}.${method}`;
+
+    if (!PUBLIC_CALLS.has(key)) {
+      if (!this.touchSession(sessionId)) {
+        return { error: ACCESS_DENIED };
+      }
+      if (this.faults.shouldDeny()) {
+        this.log(`ubus ${key}: injected access denied`);
+        return { error: ACCESS_DENIED };
+      }
+    }
+
+    const handler = this.handlers[key];
+    if (handler) {
+      return handler.call(this, params, sessionId);
+    }
+    if (service === "uci") {
+      return this.callUci(method, params);
+    }
+
+    const data = this.fixture.next("ubus", key);
+    if (data === undefined) {
+      this.log(`ubus ${key}: no fixture`);
+      return { error: METHOD_NOT_FOUND };
+    }
+    return { result: [UBUS_STATUS_OK, data] };
+  }
+
+  touchSession(id) {
+    const last = this.sessions.get(id);
+    if (last === undefined) return false;
+    if (this.sessionTtl > 0 && Date.now() - last > this.sessionTtl) {
+      this.sessions.delete(id);
+      this.log(`session ${id} expired`);
+      return false;
+    }
+    this.sessions.set(id, Date.now());
+    return true;
+  }
+
+  checkPassword(password) {
+    const salt = this.fixture.next("ubus", "zwrt_web.web_login_info")?.zte_web_sault || "";
+    const expected = sha256Upper(sha256Upper(this.fixture.get("password", "admin")) + salt);
+    return String(password || "").toUpperCase() === expected;
+  }
+
+  // the modem drops the connection for a moment after every lock change
+  reattach() {
+    this.detachedUntil = Date.now() + this.reattachMs;
+  }
+
+  setNetinfo(values) {
+    Object.assign(this.netinfo, values);
+    this.log(`netinfo: ${JSON.stringify(values)}`);
+    this.reattach();
+    return { result: [UBUS_STATUS_OK, { result: 0 }] };
+  }
+
+  buildNetinfo() {
+    const info = { ...this.fixture.next("ubus", "zte_nwinfo_api.nwinfo_get_netinfo"), ...this.netinfo };
+
+    if (Date.now() < this.detachedUntil) {
+      return { ...info, network_type: "NO_SERVICE", lteca: "", ltecasig: "", nrca: "", nr5g_action_channel: "" };
+    }
+
+    if (info.net_select === "Only_LTE") {
+      info.network_type = "LTE";
+      info.nr5g_action_channel = "";
+      info.nrca = "";
+    } else if (info.net_select === "Only_5G") {
+      info.network_type = "SA";
+      info.lteca = "";
+      info.ltecasig = "";
+    }
+
+    // a cell lock leaves only the locked cell, without SCells
+    const [pci, earfcn] = String(info.lock_lte_cell || "0,0").split(",");
+    if (info.lteca && Number(pci) > 0) {
+      info.lteca = `${pci},0,0,${earfcn},20;`;
+      info.ltecasig = "";
+    }
+    const [nrPci, nrArfcn, nrBand] = String(info.lock_nr_cell || "0,0,0").split(",");
+    if (info.nr5g_action_channel && Number(nrPci) > 0) {
+      Object.assign(info, {
+        nr5g_pci: nrPci,
+        nr5g_action_channel: nrArfcn,
+        nr5g_action_band: `n${nrBand}`,
+        nrca: ""
+      });
+    }
+
+    return info;
+  }
+
+  callUci(method, params) {
+    const { config, section, option, values } = params;
+    const conf = this.uci[config];
+
+    switch (method) {
+      case "configs":
+        return { result: [UBUS_STATUS_OK, { configs: Object.keys(this.uci) }] };
+      case "get":
+        if (!conf) return { result: [UBUS_STATUS_NOT_FOUND] };
+        if (!section) return { result: [UBUS_STATUS_OK, { values: conf }] };
+        if (!conf[section]) return { result: [UBUS_STATUS_NOT_FOUND] };
+        if (!option) return { result: [UBUS_STATUS_OK, { values: conf[section] }] };
+        return conf[section][option] === undefined
+          ? { result: [UBUS_STATUS_NOT_FOUND] }
+          : { result: [UBUS_STATUS_OK, { value: conf[section][option] }] };
+      case "set":
+        if (!conf || !conf[section] || !values) return { result: [UBUS_STATUS_INVALID_ARGUMENT] };
+        Object.assign(conf[section], values);
+        return { result: [UBUS_STATUS_OK] };
+      case "delete":
+        if (!conf || !conf[section]) return { result: [UBUS_STATUS_NOT_FOUND] };
+        if (option) delete conf[section][option];
+        else delete conf[section];
+        return { result: [UBUS_STATUS_OK] };
+      case "commit":
+        // changes are applied right away, commit only validates the config name
+        return { result: [conf ? UBUS_STATUS_OK : UBUS_STATUS_NOT_FOUND] };
+      case "revert":
+        // nothing is pending, see commit
+        return { result: [conf ? UBUS_STATUS_OK : UBUS_STATUS_NOT_FOUND] };
+      default:
+        return { error: METHOD_NOT_FOUND };
+    }
+  }
+}
+
+UbusSimulator.prototype.handlers = {
+  "zwrt_web.web_login"(params) {
+    if (!this.checkPassword(params.password)) {
+      this.log("web_login: wrong password");
+      return { result: [UBUS_STATUS_OK, { result: 3 }] };
+    }
+    const session = crypto.randomBytes(16).toString("hex");
+    this.sessions.set(session, Date.now());
+    this.log(`web_login: session ${session}`);
+    return { result: [UBUS_STATUS_OK, { result: 0, ubus_rpc_session: session }] };
+  },
+
+  "zwrt_web.web_developer_option_login"(params) {
+    return { result: [UBUS_STATUS_OK, { result: this.checkPassword(params.password) ? 0 : 3 }] };
+  },
+
+  "zwrt_web.web_logout"(params, sessionId) {
+    this.sessions.delete(sessionId);
+    return { result: [UBUS_STATUS_OK, { result: 0 }] };
+  },
+
+  "zte_nwinfo_api.nwinfo_get_netinfo"() {
+    return { result: [UBUS_STATUS_OK, this.buildNetinfo()] };
+  },
+
+  "zwrt_router.api.router_get_status"() {
+    const status = this.fixture.next("ubus", "zwrt_router.api.router_get_status") || {};
+    if (Date.now() < this.detachedUntil) status.mwan_wanlan1_status = "disconnected";
+    return { result: [UBUS_STATUS_OK, status] };
+  },
+
+  "zwrt_data.get_wwandst"() {
+    const stat = this.fixture.next("ubus", "zwrt_data.get_wwandst") || {};
+    if (Date.now() < this.detachedUntil) {
+      stat.real_rx_speed = 0;
+      stat.real_tx_speed = 0;
+    }
+    return { result: [UBUS_STATUS_OK, stat] };
+  },
+
+  "zte_nwinfo_api.nwinfo_set_gwl_bandlock"(params) {
+    return this.setNetinfo({ lte_band_lock: String(params.lte_band_mask) });
+  },
+
+  "zte_nwinfo_api.nwinfo_set_nrbandlock"(params) {
+    return this.setNetinfo({ nr5g_sa_band_lock: String(params.nr5g_band) });
+  },
+
+  "zte_nwinfo_api.nwinfo_lock_lte_cell"(params) {
+    return this.setNetinfo({ lock_lte_cell: `${params.lock_lte_pci},${params.lock_lte_earfcn}` });
+  },
+
+  "zte_nwinfo_api.nwinfo_lock_nr_cell"(params) {
+    return this.setNetinfo({
+      lock_nr_cell: `${params.lock_nr_pci},${params.lock_nr_earfcn},${params.lock_nr_cell_band}`
+    });
+  },
+
+  "zte_nwinfo_api.nwinfo_set_netselect"(params) {
+    return this.setNetinfo({ net_select: params.net_select });
+  },
+
+  // { wifi0: {...}, wifi1: {...} } goes to the wireless uci sections
+  "zwrt_wlan.set"(params) {
+    const wireless = this.uci.wireless || {};
+    const sections = Object.keys(params);
+    if (sections.length === 0 || !sections.every(s => wireless[s])) {
+      return { result: [UBUS_STATUS_INVALID_ARGUMENT] };
+    }
+    sections.forEach(s => Object.assign(wireless[s], params[s]));
+    this.log(`zwrt_wlan.set: ${JSON.stringify(params)}`);
+    return { result: [UBUS_STATUS_OK, { result: 0 }] };
+  },
+
+  // ussd_process clears the stored answer, the fixture's answer follows
+  // a moment later (ussd_send/ussd_reply) or never (ussd_cancel)
+  "zwrt_zte_mdm.api.ussd_process"(params) {
+    const cancel = params.USSD_operator === "ussd_cancel";
+    this.ussd = { answerAt: cancel ? null : Date.now() + USSD_ANSWER_MS };
+    this.log(`ussd_process: ${params.USSD_operator} ${params.USSD_send_number || ""}`);
+    return { result: [UBUS_STATUS_OK, { result: 0 }] };
+  },
+
+  "zwrt_zte_mdm.api.get_ussd_data_info"() {
+    const { answerAt } = this.ussd;
+    if (answerAt === null || Date.now() < answerAt) {
+      return { result: [UBUS_STATUS_OK, { ussd_action: "0", ussd_dcs: "15", ussd_data: "" }] };
+    }
+    return { result: [UBUS_STATUS_OK, this.fixture.next("ubus", "zwrt_zte_mdm.api.get_ussd_data_info")] };
+  },
+
+  // the WAN re-establishes the data session with the new APN
+  "zwrt_data.set_default_apn_profile"(params) {
+    this.log(`APN profile ${params?.profile_id} activated`);
+    this.reattach();
+    return { result: [UBUS_STATUS_OK, { result: 0 }] };
+  },
+
+  "system.reboot"() {
+    this.log("reboot: dropping all sessions");
+    this.expireSessions();
+    this.reattach();
+    return { result: [UBUS_STATUS_OK] };
+  }
+};
+
+module.exports = { UbusSimulator };